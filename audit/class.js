@@ -0,0 +1,340 @@
+/**
+ * StoryKeys Class Dashboard
+ * Combines learner backups (storykeys-backup-*.json) into per-pupil and class-wide progress.
+ * Files are read in the browser and never leave the device.
+ */
+
+import { parseBackup } from '../src/backup.js';
+import { getKeySummary } from '../src/keyStats.js';
+import { toDateKey } from '../src/wordBank.js';
+
+const STAGES = ['KS1', 'KS2', 'KS3', 'KS4'];
+const TREND_WEEKS = 6;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// Same thresholds the lesson recommender uses for a weak key
+const MIN_KEY_ATTEMPTS = 5;
+const WEAK_KEY_ERROR_RATE = 0.05;
+const WEAK_KEYS_SHOWN = 3;
+
+// Pupils keyed by profile id (or file name for backups made before the id was exported), so
+// a newer backup of the same pupil replaces the older one while pupils who share a name do not
+const pupils = new Map();
+let loadProblems = [];
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('generatedDate').textContent = new Date().toLocaleDateString('en-GB', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+    });
+
+    document.getElementById('backupFiles').addEventListener('change', async (e) => {
+        await loadBackupFiles([...e.target.files]);
+        e.target.value = '';
+        updateDashboard();
+    });
+    document.getElementById('clearPupilsBtn').addEventListener('click', () => {
+        pupils.clear();
+        loadProblems = [];
+        updateDashboard();
+    });
+    document.getElementById('csvBtn').addEventListener('click', downloadClassCSV);
+    document.getElementById('pdfBtn').addEventListener('click', generateClassPDF);
+
+    updateDashboard();
+});
+
+// ============================================
+// Loading Backups
+// ============================================
+
+async function loadBackupFiles(files) {
+    loadProblems = [];
+    for (const file of files) {
+        const text = await file.text();
+        const result = parseBackup(text);
+        if (!result.ok) {
+            loadProblems.push(`${file.name}: ${result.error}`);
+            continue;
+        }
+        const pupil = summarisePupil(JSON.parse(text).profile, result.backup, file.name);
+        const existing = pupils.get(pupil.key);
+        if (!existing) {
+            pupils.set(pupil.key, pupil);
+        } else if ((pupil.lastPlayed ?? -Infinity) >= (existing.lastPlayed ?? -Infinity)) {
+            loadProblems.push(`${file.name}: replaces the older backup of ${pupil.name} from ${existing.fileName}.`);
+            pupils.set(pupil.key, pupil);
+        } else {
+            loadProblems.push(`${file.name}: skipped, as the backup of ${pupil.name} from ${existing.fileName} is newer.`);
+        }
+    }
+}
+
+/**
+ * Works out the dashboard figures for one pupil.
+ * @param {object} [profile] - The backup's { id, name, avatar }, missing in older backups.
+ * @param {object} backup - From parseBackup.
+ * @param {string} fileName - Used as the name when the backup has none.
+ * @returns {object}
+ */
+function summarisePupil(profile, backup, fileName) {
+    const { progress, sessions } = backup;
+    const now = Date.now();
+
+    const weeklyMinutes = sessions
+        .filter(s => now - new Date(s.ts) < WEEK_MS)
+        .reduce((sum, s) => sum + (s.durationSec || 0) / 60, 0);
+
+    const stageSessions = Object.fromEntries(STAGES.map(stage => [stage, 0]));
+    sessions.forEach(s => {
+        if (stageSessions[s.stage] !== undefined) stageSessions[s.stage]++;
+    });
+
+    const weakKeys = Object.entries(getKeySummary(progress.keyStats))
+        .filter(([key, k]) => /^[a-z]$/i.test(key) && k.attempts >= MIN_KEY_ATTEMPTS && k.errorRate >= WEAK_KEY_ERROR_RATE)
+        .sort((a, b) => b[1].errorRate - a[1].errorRate)
+        .slice(0, WEAK_KEYS_SHOWN)
+        .map(([key]) => key);
+
+    return {
+        key: profile?.id ? `profile:${profile.id}` : `file:${fileName}`,
+        fileName,
+        name: profile?.name || fileName.replace(/\.json$/i, ''),
+        avatar: profile?.avatar || '',
+        sessions,
+        sessionCount: sessions.length,
+        minutesTotal: Math.round(progress.minutesTotal || 0),
+        weeklyMinutes: Math.round(weeklyMinutes),
+        accuracy: average(sessions.map(s => s.accuracy)),
+        wpm: average(sessions.map(s => s.netWPM)),
+        accuracyTrend: weeklyTrend(sessions, 'accuracy', now),
+        wpmTrend: weeklyTrend(sessions, 'netWPM', now),
+        weakKeys,
+        stageSessions,
+        lastPlayed: getLastPlayed(progress, sessions)
+    };
+}
+
+/**
+ * When a pupil last practised, from their latest session. Backups with no sessions fall back
+ * to `progress.lastPlayed`, which older versions kept as either ISO or toDateString() text.
+ * @returns {number|null} A timestamp in milliseconds.
+ */
+function getLastPlayed(progress, sessions) {
+    const times = sessions.map(s => new Date(s.ts).getTime()).filter(Number.isFinite);
+    if (times.length) return Math.max(...times);
+    const saved = progress.lastPlayed ? new Date(progress.lastPlayed).getTime() : NaN;
+    return Number.isFinite(saved) ? saved : null;
+}
+
+// ============================================
+// Calculations
+// ============================================
+
+function average(values) {
+    const numbers = values.filter(v => Number.isFinite(v));
+    return numbers.length ? Math.round(numbers.reduce((a, b) => a + b, 0) / numbers.length) : null;
+}
+
+// Weekly averages of one session field, oldest week first. Weeks without practice are null.
+function weeklyTrend(sessions, field, now) {
+    const weeks = Array.from({ length: TREND_WEEKS }, () => []);
+    sessions.forEach(s => {
+        const weeksAgo = Math.floor((now - new Date(s.ts)) / WEEK_MS);
+        if (weeksAgo >= 0 && weeksAgo < TREND_WEEKS) weeks[TREND_WEEKS - 1 - weeksAgo].push(s[field]);
+    });
+    return weeks.map(average);
+}
+
+// Change from the first to the last week with practice in a trend
+function trendChange(trend) {
+    const known = trend.filter(v => v !== null);
+    return known.length >= 2 ? known[known.length - 1] - known[0] : null;
+}
+
+function summariseClass(list) {
+    const allSessions = list.flatMap(p => p.sessions);
+    const now = Date.now();
+    const keyCounts = {};
+    list.forEach(p => p.weakKeys.forEach(key => { keyCounts[key] = (keyCounts[key] || 0) + 1; }));
+
+    return {
+        pupilCount: list.length,
+        sessionCount: allSessions.length,
+        minutesTotal: list.reduce((sum, p) => sum + p.minutesTotal, 0),
+        weeklyMinutes: list.reduce((sum, p) => sum + p.weeklyMinutes, 0),
+        accuracy: average(allSessions.map(s => s.accuracy)),
+        wpm: average(allSessions.map(s => s.netWPM)),
+        accuracyTrend: weeklyTrend(allSessions, 'accuracy', now),
+        wpmTrend: weeklyTrend(allSessions, 'netWPM', now),
+        // Keys that are weak for the most pupils
+        weakKeys: Object.entries(keyCounts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, 5),
+        stageSessions: Object.fromEntries(STAGES.map(stage => [stage, list.reduce((sum, p) => sum + p.stageSessions[stage], 0)])),
+        stagePupils: Object.fromEntries(STAGES.map(stage => [stage, list.filter(p => p.stageSessions[stage] > 0).length]))
+    };
+}
+
+function sortedPupils() {
+    return [...pupils.values()].sort((a, b) => a.name.localeCompare(b.name) || a.fileName.localeCompare(b.fileName));
+}
+
+// Pupils who share a name, such as the default "Learner 1", are told apart by their backup file
+function pupilLabel(pupil, list) {
+    return list.some(p => p !== pupil && p.name === pupil.name) ? `${pupil.name} (${pupil.fileName})` : pupil.name;
+}
+
+// ============================================
+// Dashboard Rendering
+// ============================================
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function formatChange(change, unit = '') {
+    if (change === null) return '-';
+    return `${change > 0 ? '+' : ''}${change}${unit}`;
+}
+
+function formatTrend(trend) {
+    return trend.map(v => (v === null ? '-' : v)).join(', ');
+}
+
+// A small line chart of weekly values; the numbers are also given as text for screen readers
+function sparklineSvg(trend, label) {
+    const known = trend.map((v, i) => [i, v]).filter(([, v]) => v !== null);
+    const description = `${label} by week, oldest first: ${formatTrend(trend)}`;
+    if (known.length < 2) return `<span class="trend-empty" title="${escapeHtml(description)}">${known.length ? known[0][1] : '-'}</span>`;
+
+    const width = 90, height = 24, pad = 3;
+    const values = known.map(([, v]) => v);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const points = known.map(([i, v]) => {
+        const x = pad + (i / (TREND_WEEKS - 1)) * (width - pad * 2);
+        const y = height - pad - ((v - min) / range) * (height - pad * 2);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+    return `<svg class="trend-line" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(description)}"><title>${escapeHtml(description)}</title><polyline points="${points}" /></svg>`;
+}
+
+function updateDashboard() {
+    const list = sortedPupils();
+    const summary = summariseClass(list);
+
+    document.getElementById('loadProblems').innerHTML = loadProblems.map(p => `<p class="load-problem">${escapeHtml(p)}</p>`).join('');
+    document.getElementById('pupilCount').textContent = summary.pupilCount;
+    document.getElementById('classSessions').textContent = summary.sessionCount;
+    document.getElementById('classMinutes').textContent = summary.minutesTotal;
+    document.getElementById('classWeeklyMinutes').textContent = summary.weeklyMinutes;
+    document.getElementById('classAccuracy').textContent = summary.accuracy === null ? '-' : `${summary.accuracy}%`;
+    document.getElementById('classWPM').textContent = summary.wpm === null ? '-' : summary.wpm;
+    ['csvBtn', 'pdfBtn', 'clearPupilsBtn'].forEach(id => { document.getElementById(id).disabled = list.length === 0; });
+
+    document.getElementById('classTrends').innerHTML = list.length ? `
+        <div class="stat-row"><span>Accuracy by week</span><span>${sparklineSvg(summary.accuracyTrend, 'Class accuracy')} ${formatChange(trendChange(summary.accuracyTrend), '%')}</span></div>
+        <div class="stat-row"><span>Speed (WPM) by week</span><span>${sparklineSvg(summary.wpmTrend, 'Class speed')} ${formatChange(trendChange(summary.wpmTrend))}</span></div>
+        <div class="stat-row"><span>Keys most often weak</span><span>${summary.weakKeys.map(([key, count]) => `${escapeHtml(key)} (${count})`).join(', ') || 'None yet'}</span></div>
+        <p class="themes-label">Stage coverage (pupils / sessions):</p>
+        <div class="track-breakdown">
+            ${STAGES.map(stage => `
+                <div class="track-item">
+                    <span class="track-name">${stage}</span>
+                    <span class="track-count">${summary.stagePupils[stage]} / ${summary.stageSessions[stage]}</span>
+                </div>
+            `).join('')}
+        </div>` : '<p>Load learner backups to see class trends.</p>';
+
+    document.getElementById('pupilRows').innerHTML = list.map(p => `
+        <tr>
+            <th scope="row">${escapeHtml(`${p.avatar} ${pupilLabel(p, list)}`.trim())}</th>
+            <td>${p.sessionCount}</td>
+            <td>${p.minutesTotal} <span class="cell-note">(${p.weeklyMinutes} this week)</span></td>
+            <td>${p.accuracy === null ? '-' : `${p.accuracy}%`}</td>
+            <td>${sparklineSvg(p.accuracyTrend, `${pupilLabel(p, list)} accuracy`)} ${formatChange(trendChange(p.accuracyTrend), '%')}</td>
+            <td>${p.wpm === null ? '-' : p.wpm}</td>
+            <td>${sparklineSvg(p.wpmTrend, `${pupilLabel(p, list)} speed`)} ${formatChange(trendChange(p.wpmTrend))}</td>
+            <td>${p.weakKeys.map(escapeHtml).join(', ') || '-'}</td>
+            <td>${STAGES.filter(stage => p.stageSessions[stage] > 0).map(stage => `<span class="theme-tag">${stage} · ${p.stageSessions[stage]}</span>`).join('') || '-'}</td>
+            <td>${p.lastPlayed !== null ? new Date(p.lastPlayed).toLocaleDateString('en-GB') : '-'}</td>
+        </tr>
+    `).join('') || `<tr><td colspan="10">No pupils loaded yet.</td></tr>`;
+}
+
+// ============================================
+// CSV Export
+// ============================================
+
+// Names come from the backup files, so text a spreadsheet would read as a formula is kept as text
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadClassCSV() {
+    const header = ['Pupil', 'Sessions', 'Minutes', 'Minutes this week', 'Accuracy %', 'Accuracy change', 'Net WPM', 'WPM change', 'Weakest keys', ...STAGES.map(s => `${s} sessions`), 'Last practised'];
+    const list = sortedPupils();
+    const rows = list.map(p => [
+        pupilLabel(p, list),
+        p.sessionCount,
+        p.minutesTotal,
+        p.weeklyMinutes,
+        p.accuracy,
+        trendChange(p.accuracyTrend),
+        p.wpm,
+        trendChange(p.wpmTrend),
+        p.weakKeys.join(' '),
+        ...STAGES.map(stage => p.stageSessions[stage]),
+        p.lastPlayed !== null ? toDateKey(new Date(p.lastPlayed)) : ''
+    ]);
+    const csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `StoryKeys_Class_Report_${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// ============================================
+// Class PDF Generation
+// ============================================
+
+function generateClassPDF() {
+    const list = sortedPupils();
+    const summary = summariseClass(list);
+    const doc = createPDF();
+    const cfg = PDF_CONFIG;
+
+    let y = addHeader(doc, 'Class Typing Report', `${summary.pupilCount} pupils • StoryKeys`);
+
+    y = addSectionHeader(doc, y, 'Class Overview');
+    y = addText(doc, y, `Sessions: ${summary.sessionCount} | Minutes: ${summary.minutesTotal} (${summary.weeklyMinutes} this week)`);
+    y = addText(doc, y, `Average accuracy: ${summary.accuracy ?? '-'}% | Average speed: ${summary.wpm ?? '-'} WPM`);
+    y = addText(doc, y, `Accuracy by week: ${formatTrend(summary.accuracyTrend)}`);
+    y = addText(doc, y, `Speed by week: ${formatTrend(summary.wpmTrend)}`);
+    y = addText(doc, y, `Keys most often weak: ${summary.weakKeys.map(([key, count]) => `${key} (${count} pupils)`).join(', ') || 'None yet'}`);
+    y = addText(doc, y, `Stage coverage: ${STAGES.map(stage => `${stage} ${summary.stagePupils[stage]} pupils`).join(', ')}`);
+    y += 5;
+
+    y = addSectionHeader(doc, y, 'Pupils');
+    for (const p of list) {
+        if (y > cfg.pageHeight - 50) {
+            doc.addPage();
+            y = cfg.margin;
+        }
+
+        y = addSubheading(doc, y, pupilLabel(p, list));
+        y = addText(doc, y, `Sessions: ${p.sessionCount} | Minutes: ${p.minutesTotal} (${p.weeklyMinutes} this week) | Last practised: ${p.lastPlayed !== null ? new Date(p.lastPlayed).toLocaleDateString('en-GB') : '-'}`, 5);
+        y = addText(doc, y, `Accuracy: ${p.accuracy ?? '-'}% (change ${formatChange(trendChange(p.accuracyTrend), '%')}) | Speed: ${p.wpm ?? '-'} WPM (change ${formatChange(trendChange(p.wpmTrend))})`, 5);
+        y = addText(doc, y, `Weakest keys: ${p.weakKeys.join(', ') || 'None yet'}`, 5);
+        y = addSmallText(doc, y, `Sessions by stage: ${STAGES.map(stage => `${stage} ${p.stageSessions[stage]}`).join(' | ')}`, 5);
+        y = addDivider(doc, y);
+        y += 3;
+    }
+
+    addFooter(doc, 'StoryKeys Class Report');
+    doc.save(`StoryKeys_Class_Report_${new Date().toISOString().slice(0, 10)}.pdf`);
+}
@@ -0,0 +1,146 @@
+/**
+ * StoryKeys PDF helpers
+ * Shared jsPDF page layout for the audit and class dashboards
+ */
+
+const { jsPDF } = window.jspdf;
+
+// PDF Configuration
+const PDF_CONFIG = {
+    margin: 20,
+    lineHeight: 7,
+    titleSize: 18,
+    headingSize: 14,
+    subheadingSize: 11,
+    bodySize: 10,
+    smallSize: 8,
+    pageWidth: 210,
+    pageHeight: 297
+};
+
+function createPDF(title) {
+    const doc = new jsPDF();
+    doc.setFont('helvetica');
+    return doc;
+}
+
+function addHeader(doc, title, subtitle = '') {
+    const cfg = PDF_CONFIG;
+
+    // Header background
+    doc.setFillColor(45, 45, 45);
+    doc.rect(0, 0, cfg.pageWidth, 35, 'F');
+
+    // Title
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(cfg.titleSize);
+    doc.setFont('helvetica', 'bold');
+    doc.text(title, cfg.margin, 20);
+
+    // Subtitle
+    if (subtitle) {
+        doc.setFontSize(cfg.bodySize);
+        doc.setFont('helvetica', 'normal');
+        doc.text(subtitle, cfg.margin, 28);
+    }
+
+    // Reset
+    doc.setTextColor(0, 0, 0);
+    return 45;
+}
+
+function addSectionHeader(doc, y, text) {
+    const cfg = PDF_CONFIG;
+
+    if (y > cfg.pageHeight - 40) {
+        doc.addPage();
+        y = cfg.margin;
+    }
+
+    doc.setFillColor(64, 64, 64);
+    doc.rect(cfg.margin, y - 5, cfg.pageWidth - (cfg.margin * 2), 10, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(cfg.headingSize);
+    doc.setFont('helvetica', 'bold');
+    doc.text(text, cfg.margin + 5, y + 2);
+    doc.setTextColor(0, 0, 0);
+
+    return y + 15;
+}
+
+function addSubheading(doc, y, text) {
+    const cfg = PDF_CONFIG;
+
+    if (y > cfg.pageHeight - 30) {
+        doc.addPage();
+        y = cfg.margin;
+    }
+
+    doc.setFontSize(cfg.subheadingSize);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(64, 64, 64);
+    doc.text(text, cfg.margin, y);
+    doc.setTextColor(0, 0, 0);
+
+    return y + cfg.lineHeight;
+}
+
+function addText(doc, y, text, indent = 0) {
+    const cfg = PDF_CONFIG;
+    const maxWidth = cfg.pageWidth - (cfg.margin * 2) - indent;
+
+    doc.setFontSize(cfg.bodySize);
+    doc.setFont('helvetica', 'normal');
+
+    const lines = doc.splitTextToSize(text, maxWidth);
+
+    for (const line of lines) {
+        if (y > cfg.pageHeight - cfg.margin) {
+            doc.addPage();
+            y = cfg.margin;
+        }
+        doc.text(line, cfg.margin + indent, y);
+        y += cfg.lineHeight;
+    }
+
+    return y;
+}
+
+function addSmallText(doc, y, text, indent = 0) {
+    const cfg = PDF_CONFIG;
+    doc.setFontSize(cfg.smallSize);
+    doc.setTextColor(100, 100, 100);
+
+    if (y > cfg.pageHeight - cfg.margin) {
+        doc.addPage();
+        y = cfg.margin;
+    }
+
+    doc.text(text, cfg.margin + indent, y);
+    doc.setTextColor(0, 0, 0);
+    return y + cfg.lineHeight;
+}
+
+function addDivider(doc, y) {
+    const cfg = PDF_CONFIG;
+    doc.setDrawColor(200, 200, 200);
+    doc.line(cfg.margin, y, cfg.pageWidth - cfg.margin, y);
+    return y + 5;
+}
+
+function addFooter(doc, label = 'StoryKeys Content Audit') {
+    const pageCount = doc.internal.getNumberOfPages();
+    const cfg = PDF_CONFIG;
+
+    for (let i = 1; i <= pageCount; i++) {
+        doc.setPage(i);
+        doc.setFontSize(cfg.smallSize);
+        doc.setTextColor(128, 128, 128);
+        doc.text(
+            `${label} • Page ${i} of ${pageCount} • Generated ${new Date().toLocaleDateString('en-GB')}`,
+            cfg.pageWidth / 2,
+            cfg.pageHeight - 10,
+            { align: 'center' }
+        );
+    }
+}
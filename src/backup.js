@@ -0,0 +1,184 @@
+/**
+ * @file backup.js
+ * @description Reads StoryKeys backup files (as written by Parent Glance "Export Data")
+ * and merges or replaces the learner's saved state with their contents.
+ */
+
+import { SCHEMA_VERSION, migrateState } from './migrations.js';
+
+const MAX_SESSIONS = 500;
+
+/**
+ * Parses and validates the text of a `storykeys-backup-*.json` file.
+ * Backups from older schema versions are upgraded with the same migrations as saved state.
+ * @param {string} text - The raw file contents.
+ * @returns {{ok: true, backup: object} | {ok: false, error: string}}
+ */
+export function parseBackup(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        return { ok: false, error: 'This file is not valid JSON.' };
+    }
+
+    if (!parsed || typeof parsed !== 'object' || !parsed.state || typeof parsed.state !== 'object') {
+        return { ok: false, error: 'This does not look like a StoryKeys backup file.' };
+    }
+
+    const version = parsed._v;
+    if (!Number.isInteger(version) || version < 1) {
+        return { ok: false, error: 'This backup has no schema version, so it cannot be read safely.' };
+    }
+    if (version > SCHEMA_VERSION) {
+        return { ok: false, error: `This backup was made by a newer version of StoryKeys (${parsed.appVersion || 'unknown'}). Please update the app first.` };
+    }
+
+    const migration = migrateState({ ...parsed.state, _v: version });
+    if (!migration.ok) {
+        return { ok: false, error: migration.error };
+    }
+
+    const state = migration.data;
+    if (state.sessions !== undefined && !Array.isArray(state.sessions)) {
+        return { ok: false, error: 'The sessions in this backup are damaged.' };
+    }
+    if (state.progress !== undefined && (typeof state.progress !== 'object' || Array.isArray(state.progress))) {
+        return { ok: false, error: 'The progress in this backup is damaged.' };
+    }
+
+    return {
+        ok: true,
+        backup: {
+            version,
+            appVersion: parsed.appVersion || null,
+            settings: state.settings || {},
+            progress: state.progress || {},
+            sessions: (state.sessions || []).filter(s => s && s.ts),
+            meta: state.meta || {}
+        }
+    };
+}
+
+function countsFor(progress, sessions) {
+    return {
+        sessions: sessions.length,
+        badges: (progress.badges || []).length,
+        minutes: Math.round(progress.minutesTotal || 0)
+    };
+}
+
+// Estimates words typed in a session from its gross speed and duration.
+function sessionWords(session) {
+    return ((session.grossWPM || 0) * (session.durationSec || 0)) / 60;
+}
+
+// Key and letter-pair stats are running totals that cannot be split by session, so merging
+// keeps whichever side has seen more keystrokes rather than double counting shared sessions.
+function totalAttempts(stats = {}) {
+    return Object.values(stats).reduce((sum, entry) => sum + (entry.attempts || 0), 0);
+}
+
+// Keeps whichever copy of each word-bank entry was practised most recently
+function mergeWordBanks(a = {}, b = {}) {
+    const merged = { ...a };
+    for (const [word, entry] of Object.entries(b)) {
+        if (!merged[word] || (entry.lastSeen || '') > (merged[word].lastSeen || '')) merged[word] = entry;
+    }
+    return merged;
+}
+
+// Keeps the larger day of practice from either side; a backup of this device would otherwise count it twice
+function mergePracticeLogs(a = {}, b = {}) {
+    const merged = { ...a };
+    for (const [day, entry] of Object.entries(b)) {
+        const mine = merged[day] || { minutes: 0, lessons: 0 };
+        merged[day] = { minutes: Math.max(mine.minutes, entry.minutes || 0), lessons: Math.max(mine.lessons, entry.lessons || 0) };
+        // A day met its goal if it did on either side
+        if (mine.met !== undefined || entry.met !== undefined) merged[day].met = !!(mine.met || entry.met);
+    }
+    return merged;
+}
+
+// Keeps whichever copy of each word or phonics mastery entry has seen more attempts
+function mergeMasteryEntries(a = {}, b = {}) {
+    const merged = { ...a };
+    for (const [key, entry] of Object.entries(b)) {
+        if (!merged[key] || (entry.seen || 0) > (merged[key].seen || 0)) merged[key] = entry;
+    }
+    return merged;
+}
+
+function unionList(a = [], b = []) {
+    return [...new Set([...a, ...b])];
+}
+
+/**
+ * Merges a parsed backup into the current saved state without losing either side.
+ * Sessions are de-duplicated by id, badges keep the earliest award date, and
+ * totals grow only by sessions the device has not seen before.
+ * @param {object} current - The current state ({ settings, progress, sessions, meta }).
+ * @param {object} backup - A backup returned by parseBackup.
+ * @returns {{progress: object, sessions: object[]}} The merged progress and sessions.
+ */
+export function mergeBackup(current, backup) {
+    const knownIds = new Set(current.sessions.map(s => s.id));
+    const newSessions = backup.sessions.filter(s => !knownIds.has(s.id));
+    const sessions = [...current.sessions, ...newSessions]
+        .sort((a, b) => new Date(a.ts) - new Date(b.ts))
+        .slice(-MAX_SESSIONS);
+
+    const cur = current.progress;
+    const inc = backup.progress;
+
+    const badgeMap = new Map();
+    [...(cur.badges || []), ...(inc.badges || [])].forEach(entry => {
+        const existing = badgeMap.get(entry.id);
+        if (!existing || (entry.earnedAt && (!existing.earnedAt || entry.earnedAt < existing.earnedAt))) {
+            badgeMap.set(entry.id, entry);
+        }
+    });
+
+    const addedMinutes = newSessions.reduce((sum, s) => sum + (s.durationSec || 0) / 60, 0);
+    const addedWords = newSessions.reduce((sum, s) => sum + sessionWords(s), 0);
+
+    const progress = {
+        ...cur,
+        minutesTotal: Math.max((cur.minutesTotal || 0) + addedMinutes, inc.minutesTotal || 0),
+        wordsTotal: Math.max((cur.wordsTotal || 0) + addedWords, inc.wordsTotal || 0),
+        badges: [...badgeMap.values()],
+        themesCompleted: { ...(inc.themesCompleted || {}), ...(cur.themesCompleted || {}) },
+        stagesCompleted: { ...(inc.stagesCompleted || {}), ...(cur.stagesCompleted || {}) },
+        completedPassages: unionList(cur.completedPassages, inc.completedPassages),
+        completedSpellings: unionList(cur.completedSpellings, inc.completedSpellings),
+        completedPhonics: unionList(cur.completedPhonics, inc.completedPhonics),
+        keyStats: totalAttempts(inc.keyStats) > totalAttempts(cur.keyStats) ? inc.keyStats : (cur.keyStats || {}),
+        ngramStats: totalAttempts(inc.ngramStats) > totalAttempts(cur.ngramStats) ? inc.ngramStats : (cur.ngramStats || {}),
+        wordBank: mergeWordBanks(cur.wordBank, inc.wordBank),
+        mastery: {
+            words: mergeMasteryEntries(cur.mastery?.words, inc.mastery?.words),
+            phonics: mergeMasteryEntries(cur.mastery?.phonics, inc.mastery?.phonics)
+        },
+        course: { unlocked: unionList(cur.course?.unlocked, inc.course?.unlocked) },
+        // The streak itself follows from the merged sessions and practice log
+        practiceLog: mergePracticeLogs(cur.practiceLog, inc.practiceLog),
+        bestStreak: Math.max(cur.bestStreak || 0, inc.bestStreak || 0)
+    };
+
+    return { progress, sessions };
+}
+
+/**
+ * Builds the before/after numbers shown in the import preview.
+ * @param {object} current - The current state.
+ * @param {object} backup - A backup returned by parseBackup.
+ * @returns {{current: object, replace: object, merge: object}} Counts of sessions, badges and minutes.
+ */
+export function summariseImport(current, backup) {
+    const merged = mergeBackup(current, backup);
+    return {
+        current: countsFor(current.progress, current.sessions),
+        replace: countsFor(backup.progress, backup.sessions),
+        merge: countsFor(merged.progress, merged.sessions)
+    };
+}
@@ -0,0 +1,230 @@
+/**
+ * @file badgeAudit.js
+ * @description Looks back over a learner's saved sessions to find badges they are owed, for
+ * example after a backup is imported or the rules in badges.json change, and explains to
+ * parents why each badge was or wasn't earned.
+ *
+ * Owed badges join `state.progress.badgeQueue` ([{ id, since }]) and are handed out a few at a
+ * time by checkAndAwardBadges, under the usual per-session limits.
+ *
+ * The replay rebuilds the metrics each session would have seen. Saved sessions hold less than
+ * a live one, so a few figures are estimates: words typed come from gross speed and time, and
+ * minutes leave out drills (which are not saved). Where in doubt the replay undercounts, so a
+ * badge is never handed out that was not earned.
+ */
+
+import { evaluateRule } from './badgeRules.js';
+import { getStreakDays, computeStreak } from './streaks.js';
+import { toDateKey } from './wordBank.js';
+
+const STAGE_ORDER = ['KS1', 'KS2', 'KS3', 'KS4'];
+
+const METRIC_LABELS = {
+    accuracy: 'Accuracy (%)',
+    netWPM: 'Speed (WPM)',
+    grossWPM: 'Gross speed (WPM)',
+    errors: 'Errors in a lesson',
+    durationSec: 'Lesson length (seconds)',
+    charCount: 'Characters in a lesson',
+    contentType: 'Lesson type',
+    lockstep: 'Lockstep on',
+    hasPunctuation: 'Lesson with punctuation',
+    aboveUsualStage: 'Above the usual Key Stage',
+    sessionHour: 'Hour of the day',
+    isWeekend: 'At the weekend',
+    totalLessons: 'Lessons finished',
+    minutesTotal: 'Minutes practised',
+    wordsTotal: 'Words typed',
+    daysPractised: 'Days practised',
+    streak: 'Streak (days)',
+    themesCount: 'Themes tried',
+    stagesCount: 'Key Stages tried'
+};
+
+const OP_TEXT = { '>=': 'at least', '>': 'more than', '<=': 'at most', '<': 'under', '==': 'is', '!=': 'is not' };
+
+// Every count rule within a badge's criteria, the same object each time so it can key a Map
+function findCountRules(rule) {
+    if (!rule || typeof rule !== 'object') return [];
+    if (Array.isArray(rule.all)) return rule.all.flatMap(findCountRules);
+    if (Array.isArray(rule.any)) return rule.any.flatMap(findCountRules);
+    return 'count' in rule ? [rule] : [];
+}
+
+/**
+ * Rebuilds, for each saved session in order, the metrics badge criteria would have seen when
+ * it finished (see getBadgeMetrics in badges.js).
+ * Count rules are tallied as the replay goes, so each context carries its counts so far rather
+ * than the sessions before it.
+ * @param {object} state - The app state.
+ * @param {object} DATA - The global data object; load every stage first so themes and
+ *   punctuation can be looked up.
+ * @returns {{ts: string, metrics: object, counts: Map<object, number>}[]}
+ */
+export function replayBadgeContexts(state, DATA) {
+    const items = new Map([...DATA.PASSAGES, ...DATA.SPELLING, ...DATA.PHONICS, ...DATA.WORDSETS, ...DATA.PATTERNS].map(item => [item.id, item]));
+    const sessions = [...state.sessions].sort((a, b) => new Date(a.ts) - new Date(b.ts));
+    const streakDays = getStreakDays(state);
+    const days = new Set();
+    const themes = new Set();
+    const stages = new Set();
+    const stageCounts = {};
+    const countRules = DATA.BADGES.flatMap(badge => findCountRules(badge.criteria));
+    const counts = new Map(countRules.map(rule => [rule, 0]));
+    // Lessons on the same day share a streak, so it is worked out once per day
+    const streaks = new Map();
+    let minutes = 0;
+    let words = 0;
+
+    return sessions.map((s, i) => {
+        const item = items.get(s.contentId);
+        const finished = new Date(s.ts);
+        const finishedKey = toDateKey(finished);
+        const started = new Date(finished.getTime() - (s.durationSec || 0) * 1000);
+        const charCount = s.replay?.targetText?.length ?? Math.round((s.grossWPM || 0) * 5 * (s.durationSec || 0) / 60);
+        minutes += (s.durationSec || 0) / 60;
+        words += charCount / 5;
+        days.add(finishedKey);
+        if (!streaks.has(finishedKey)) {
+            streaks.set(finishedKey, computeStreak(streakDays.filter(key => key <= finishedKey), state.settings.restDays, finished).days);
+        }
+        if (item?.theme) themes.add(item.theme);
+        if (s.stage) {
+            stages.add(s.stage);
+            stageCounts[s.stage] = (stageCounts[s.stage] || 0) + 1;
+        }
+        const usualStage = Object.entries(stageCounts).sort((a, b) => b[1] - a[1])[0]?.[0];
+        countRules.forEach(rule => {
+            if (evaluateRule(rule.count, { metrics: s })) counts.set(rule, counts.get(rule) + 1);
+        });
+
+        return {
+            ts: s.ts,
+            counts: new Map(counts),
+            metrics: {
+                accuracy: s.accuracy,
+                netWPM: s.netWPM,
+                grossWPM: s.grossWPM,
+                errors: s.errors,
+                durationSec: s.durationSec,
+                charCount,
+                contentType: s.contentType,
+                lockstep: !!s.flags?.lockstep,
+                hasPunctuation: !!item?.tags?.complexity?.punct,
+                aboveUsualStage: !!(usualStage && s.stage && STAGE_ORDER.indexOf(s.stage) > STAGE_ORDER.indexOf(usualStage)),
+                sessionHour: started.getHours(),
+                isWeekend: finished.getDay() === 0 || finished.getDay() === 6,
+                totalLessons: i + 1,
+                minutesTotal: minutes,
+                wordsTotal: words,
+                daysPractised: days.size,
+                streak: streaks.get(finishedKey),
+                themesCount: themes.size,
+                stagesCount: stages.size
+            }
+        };
+    });
+}
+
+/**
+ * Finds badges whose criteria were met in some saved session but which were never awarded.
+ * @param {object} state - The app state.
+ * @param {object} DATA - The global data object, with every stage loaded.
+ * @param {object[]} [contexts] - From replayBadgeContexts, if already built.
+ * @returns {{id: string, since: string}[]} Each owed badge, with the session that earned it.
+ */
+export function findOwedBadges(state, DATA, contexts = replayBadgeContexts(state, DATA)) {
+    const earned = new Set(state.progress.badges.map(b => b.id));
+    return DATA.BADGES
+        .filter(badge => !earned.has(badge.id))
+        .map(badge => ({ id: badge.id, since: contexts.find(c => evaluateRule(badge.criteria, c))?.ts }))
+        .filter(owed => owed.since);
+}
+
+/**
+ * Adds any owed badges to the delivery queue.
+ * @param {object} state - The app state (progress.badgeQueue is mutated).
+ * @param {object} DATA - The global data object, with every stage loaded.
+ * @returns {number} How many badges were newly queued.
+ */
+export function queueOwedBadges(state, DATA) {
+    const queue = state.progress.badgeQueue || (state.progress.badgeQueue = []);
+    const queued = new Set(queue.map(entry => entry.id));
+    const added = findOwedBadges(state, DATA).filter(owed => !queued.has(owed.id));
+    queue.push(...added);
+    return added.length;
+}
+
+/**
+ * A short fingerprint of the badge rules, so a change to badges.json can be noticed.
+ * @param {object[]} badges - DATA.BADGES.
+ * @returns {string}
+ */
+export function getBadgeRulesSignature(badges) {
+    const text = JSON.stringify(badges.map(b => [b.id, b.criteria, b.requires]));
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    return hash.toString(36);
+}
+
+/**
+ * Puts a rule into words, e.g. "Speed (WPM) at least 40".
+ * @param {object} rule - A badge's `criteria`, or part of it.
+ * @returns {string}
+ */
+export function describeRule(rule) {
+    if (!rule || typeof rule !== 'object') return 'No rule set';
+    if (Array.isArray(rule.all)) return rule.all.map(describeRule).join(' and ');
+    if (Array.isArray(rule.any)) return rule.any.map(describeRule).join(' or ');
+    if ('count' in rule) return `Lessons where ${describeRule(rule.count).toLowerCase()}: ${OP_TEXT[rule.op] || rule.op} ${rule.value}`;
+    const label = METRIC_LABELS[rule.metric] || rule.metric;
+    if (rule.value === true) return rule.op === '!=' ? `Not: ${label.toLowerCase()}` : label;
+    if (rule.value === false) return rule.op === '!=' ? label : `Not: ${label.toLowerCase()}`;
+    return `${label} ${OP_TEXT[rule.op] || rule.op} ${rule.value}`;
+}
+
+// The closest the learner has come to one simple rule, in words
+function describeBest(rule, contexts) {
+    if (!contexts.length) return 'No lessons yet';
+    if ('count' in rule) {
+        return `${contexts[contexts.length - 1].counts.get(rule) ?? 0} so far`;
+    }
+    const met = contexts.find(c => evaluateRule(rule, c));
+    const values = contexts.map(c => c.metrics[rule.metric]).filter(v => typeof v === 'number');
+    if (met || !values.length || typeof rule.value !== 'number') return met ? `Yes, on ${new Date(met.ts).toLocaleDateString()}` : 'Not yet';
+    const best = ['<', '<='].includes(rule.op) ? Math.min(...values) : Math.max(...values);
+    return `Best so far: ${Math.round(best * 10) / 10}`;
+}
+
+/**
+ * Explains every badge for the parent audit: earned, waiting in the queue, or not yet earned
+ * and how close the learner has come to each part of its rule.
+ * @param {object} state - The app state.
+ * @param {object} DATA - The global data object.
+ * @returns {{badge: object, status: 'earned'|'queued'|'not-yet', when: string|null, waitingFor: string[], parts: {text: string, progress: string}[]}[]}
+ */
+export function auditBadges(state, DATA) {
+    const contexts = replayBadgeContexts(state, DATA);
+    const earned = new Map(state.progress.badges.map(b => [b.id, b.earnedAt]));
+    const queued = new Map((state.progress.badgeQueue || []).map(entry => [entry.id, entry.since]));
+    const labelOf = id => DATA.BADGES.find(b => b.id === id)?.label || id;
+
+    return DATA.BADGES.map(badge => {
+        const requires = [].concat(badge.requires || []);
+        const rule = badge.criteria;
+        const leaves = Array.isArray(rule?.all) ? rule.all : Array.isArray(rule?.any) ? rule.any : [rule];
+        let status = 'not-yet';
+        if (earned.has(badge.id)) status = 'earned';
+        else if (queued.has(badge.id)) status = 'queued';
+        return {
+            badge,
+            status,
+            when: earned.get(badge.id) || queued.get(badge.id) || null,
+            waitingFor: status === 'earned' ? [] : requires.filter(id => !earned.has(id)).map(labelOf),
+            parts: leaves.map(leaf => ({
+                text: describeRule(leaf),
+                progress: leaf && typeof leaf === 'object' ? describeBest(leaf, contexts) : 'Not yet'
+            }))
+        };
+    });
+}
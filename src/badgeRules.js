@@ -0,0 +1,99 @@
+/**
+ * @file badgeRules.js
+ * @description Evaluates the badge criteria declared in data/badges.json, so a new badge needs
+ * only a new entry there. Rules are plain JSON and are never run as code: operators come from
+ * a fixed list and metrics are looked up by name, so a badly written rule simply fails.
+ *
+ * A rule is one of:
+ * - { metric: 'netWPM', op: '>=', value: 40 }: a metric of this session or the running totals
+ * - { count: <rule>, op: '>=', value: 10 }: how many sessions (this one included) match the
+ *   inner rule, whose metrics are fields of each saved session, e.g. contentType or accuracy
+ * - { all: [<rule>, ...] } or { any: [<rule>, ...] }
+ */
+
+const OPERATORS = {
+    '>=': (a, b) => a >= b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '<': (a, b) => a < b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+// Deep enough for any sensible rule; stops a malformed file from recursing forever
+const MAX_DEPTH = 6;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isComparable(value) {
+    return ['number', 'string', 'boolean'].includes(typeof value);
+}
+
+// Reads a metric without reaching anything inherited, such as __proto__ or constructor
+function readMetric(metrics, name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(metrics, name) ? metrics[name] : undefined;
+}
+
+function compare(actual, op, expected) {
+    if (!Object.prototype.hasOwnProperty.call(OPERATORS, op) || !isComparable(actual) || !isComparable(expected)) return false;
+    return OPERATORS[op](actual, expected);
+}
+
+function evaluate(rule, metrics, sessions, depth, counts) {
+    if (!isPlainObject(rule) || depth > MAX_DEPTH) return false;
+    if (Array.isArray(rule.all)) return rule.all.length > 0 && rule.all.every(r => evaluate(r, metrics, sessions, depth + 1, counts));
+    if (Array.isArray(rule.any)) return rule.any.some(r => evaluate(r, metrics, sessions, depth + 1, counts));
+    if ('count' in rule) {
+        if (counts?.has(rule)) return compare(counts.get(rule), rule.op, rule.value);
+        // Counted rules see only the fields of each session, never the running totals
+        const matches = sessions.filter(s => isPlainObject(s) && evaluate(rule.count, s, [], depth + 1)).length;
+        return compare(matches, rule.op, rule.value);
+    }
+    if ('metric' in rule) return compare(readMetric(metrics, rule.metric), rule.op, rule.value);
+    return false;
+}
+
+/**
+ * Checks whether a badge rule holds.
+ * @param {object} rule - A badge's `criteria` from badges.json.
+ * @param {object} context
+ * @param {object} context.metrics - This session's metrics and the running totals, by name.
+ * @param {object[]} [context.sessions=[]] - Every session, this one included, for count rules.
+ * @param {Map<object, number>} [context.counts] - Matching sessions already counted, keyed by
+ *   count rule; a count rule found here is not worked out again from `sessions`.
+ * @returns {boolean} False for a missing or malformed rule.
+ */
+export function evaluateRule(rule, { metrics, sessions = [], counts = null }) {
+    return evaluate(rule, metrics || {}, sessions, 0, counts);
+}
+
+/**
+ * Lists what is wrong with a rule, for authors checking a new badge.
+ * @param {object} rule - A badge's `criteria`.
+ * @param {string[]} [metricNames] - Known top-level metrics; unknown names are reported when given.
+ * @returns {string[]} Problems found; empty when the rule is well formed.
+ */
+export function validateRule(rule, metricNames = null, depth = 0) {
+    if (!isPlainObject(rule)) return ['A rule must be an object.'];
+    if (depth > MAX_DEPTH) return [`Rules can only be nested ${MAX_DEPTH} deep.`];
+    const checkOp = () => {
+        const problems = [];
+        if (!Object.prototype.hasOwnProperty.call(OPERATORS, rule.op)) problems.push(`Unknown operator "${rule.op}".`);
+        if (!isComparable(rule.value)) problems.push('A value must be a number, string or true/false.');
+        return problems;
+    };
+    if ('all' in rule || 'any' in rule) {
+        const list = rule.all ?? rule.any;
+        if (!Array.isArray(list) || !list.length) return ['"all" and "any" need a list of rules.'];
+        return list.flatMap(r => validateRule(r, metricNames, depth + 1));
+    }
+    if ('count' in rule) return [...validateRule(rule.count, null, depth + 1), ...checkOp()];
+    if ('metric' in rule) {
+        const problems = checkOp();
+        if (metricNames && !metricNames.includes(rule.metric)) problems.push(`Unknown metric "${rule.metric}".`);
+        return problems;
+    }
+    return ['A rule needs "metric", "count", "all" or "any".'];
+}
@@ -5,11 +5,15 @@
  * Design principles:
  * - Badges are organized into tracks (practice, accuracy, fluency, time, consistency, variety, courage, specialty, surprise)
  * - Each track has tiers; higher tiers require prior badges (prerequisites)
- * - Per-session limits prevent overwhelming badge dumps
+ * - Per-session limits prevent overwhelming badge dumps; badges held back queue for later sessions
  * - Prioritization ensures the most meaningful badges are awarded first
  * - Hidden (surprise) badges are deprioritized to keep core progress visible
+ * - When each badge is earned is declared by its `criteria` in badges.json (see badgeRules.js)
  */
 
+import { getStreakStatus } from './streaks.js';
+import { evaluateRule } from './badgeRules.js';
+
 // --- Constants for pacing ---
 const MAX_BADGES_PER_SESSION = 3;      // Soft cap: never overwhelm with badges
 const MAX_PER_TRACK_PER_SESSION = 1;   // Only one badge per track per session
@@ -95,18 +99,40 @@ function selectBadgesToAward(eligible, isFirstSession) {
 }
 
 /**
- * Main entry point: Checks session results against badge criteria and awards new badges.
+ * The running totals badge criteria can use.
+ * @param {object} state - The main application state object.
+ * @param {object[]} sessions - Every session to count.
+ * @param {object} [current] - A session just finished but not yet saved, whose time, words,
+ *   theme and stage are added to the saved totals.
+ * @param {Date} [now=new Date()]
+ * @returns {object} The totals, by metric name.
+ */
+function getRunningTotals(state, sessions, current = {}, now = new Date()) {
+    const themes = new Set([...Object.keys(state.progress.themesCompleted || {}), current.theme].filter(Boolean));
+    const stages = new Set([...Object.keys(state.progress.stagesCompleted || {}), current.stage].filter(Boolean));
+    return {
+        totalLessons: sessions.length,
+        minutesTotal: (state.progress.minutesTotal || 0) + (current.durationSec || 0) / 60,
+        wordsTotal: (state.progress.wordsTotal || 0) + (current.charCount || 0) / 5,
+        daysPractised: new Set(sessions.map(s => new Date(s.ts).toDateString())).size,
+        // Today's practice is logged before badges run, so the streak includes it. Rest days and
+        // streak freezes keep it going, and one that has already ended counts as zero
+        streak: getStreakStatus(state, now).days,
+        themesCount: themes.size,
+        stagesCount: stages.size
+    };
+}
+
+/**
+ * Gathers the metrics badge criteria are written against: this session's results and the
+ * running totals, counted as if this session were already saved.
  * @param {object} results - The calculated metrics from the completed session.
- * @param {object} state - The main application state object (will be mutated).
- * @param {object} DATA - The global data object (for badge definitions).
- * @returns {string[]} An array of IDs for any newly awarded badges.
+ * @param {object} state - The main application state object.
+ * @returns {{metrics: object, sessions: object[]}} The metrics by name, and every session
+ *   including this one (for count rules).
  */
-export function checkAndAwardBadges(results, state, DATA) {
-    const earnedIds = new Set(state.progress.badges.map(b => b.id));
-    const hasBadge = (id) => earnedIds.has(id);
-    const isFirstSession = state.sessions.length === 0;
-    
-    // Build session context
+export function getBadgeMetrics(results, state) {
+    const now = new Date();
     const currentSession = {
         contentType: state.runtime.lesson.type,
         contentId: state.runtime.lesson.data.id,
@@ -118,204 +144,200 @@ export function checkAndAwardBadges(results, state, DATA) {
         netWPM: results.netWPM,
         durationSec: results.durationSec,
         charCount: state.runtime.targetTextNorm?.length || 0,
-        ts: new Date().toISOString()
+        ts: now.toISOString()
     };
-    
-    const allSessions = [...state.sessions, currentSession];
-    const totalLessons = allSessions.length;
-    
-    // Calculate cumulative stats
-    const projectedWordsTotal = state.progress.wordsTotal + (currentSession.charCount / 5);
-    const projectedMinutesTotal = state.progress.minutesTotal + (results.durationSec / 60);
-    
-    // Track themes and stages completed
-    const theme = currentSession.theme;
-    if (theme) state.progress.themesCompleted[theme] = true;
-    const themesCount = Object.keys(state.progress.themesCompleted).length;
-    
-    const stage = currentSession.stage;
-    if (stage) state.progress.stagesCompleted[stage] = true;
-    const stagesCount = Object.keys(state.progress.stagesCompleted).length;
-    
-    // Count sessions by type
-    const countByType = (type) => allSessions.filter(s => s.contentType === type).length;
-    const passageCount = countByType('passage');
-    const spellingCount = countByType('spelling');
-    const phonicsCount = countByType('phonics');
-    
-    // Count high-accuracy sessions
-    const highAccuracySessions = allSessions.filter(s => s.accuracy >= 90).length;
-    
-    // Track unique days practiced
-    const uniqueDays = new Set(allSessions.map(s => new Date(s.ts).toDateString()));
-    const daysCount = uniqueDays.size;
-    
-    // Update consecutive days tracking
-    const now = new Date();
-    const today = now.toDateString();
-    if (state.progress.lastPlayed !== today) {
-        const yesterday = new Date(now);
-        yesterday.setDate(now.getDate() - 1);
-        state.progress.lastPlayed === yesterday.toDateString() 
-            ? state.progress.consecutiveDays = (state.progress.consecutiveDays || 1) + 1 
-            : state.progress.consecutiveDays = 1;
-        state.progress.lastPlayed = today;
-    }
-    const streak = state.progress.consecutiveDays || 1;
-    
+    const sessions = [...state.sessions, currentSession];
+
     // Determine most-used stage for "challenge accepted" badge
     const stageCounts = {};
-    allSessions.forEach(s => {
+    sessions.forEach(s => {
         if (s.stage) stageCounts[s.stage] = (stageCounts[s.stage] || 0) + 1;
     });
     const usualStage = Object.entries(stageCounts).sort((a, b) => b[1] - a[1])[0]?.[0];
     const stageOrder = ['KS1', 'KS2', 'KS3', 'KS4'];
-    const isAboveUsual = usualStage && stage && stageOrder.indexOf(stage) > stageOrder.indexOf(usualStage);
-    
-    // Session-specific flags
-    const sessionHour = state.runtime.startTime.getHours();
-    const isWeekend = now.getDay() === 0 || now.getDay() === 6;
-    const isLockstep = state.runtime.flags?.lockstep;
-    const hasPunctuation = state.runtime.lesson.data.tags?.complexity?.punct;
-    
-    // --- Build eligibility map: badgeId -> true if criteria met ---
-    const criteria = {
-        // Practice track
-        practice_1: totalLessons >= 1,
-        practice_5: totalLessons >= 5,
-        practice_15: totalLessons >= 15,
-        practice_30: totalLessons >= 30,
-        practice_50: totalLessons >= 50,
-        practice_100: totalLessons >= 100,
-        
-        // Accuracy track
-        accuracy_90: results.accuracy >= 90,
-        accuracy_95: results.accuracy >= 95,
-        accuracy_98: results.accuracy >= 98,
-        accuracy_100: results.accuracy === 100,
-        steady_3: highAccuracySessions >= 3,
-        steady_10: highAccuracySessions >= 10,
-        steady_25: highAccuracySessions >= 25,
-        
-        // Fluency track
-        fluency_20: results.netWPM >= 20,
-        fluency_30: results.netWPM >= 30,
-        fluency_40: results.netWPM >= 40,
-        fluency_50: results.netWPM >= 50,
-        fluency_60: results.netWPM >= 60,
-        balanced_40: results.netWPM >= 40 && results.accuracy >= 90,
-        balanced_50: results.netWPM >= 50 && results.accuracy >= 95,
-        
-        // Time track
-        time_15: projectedMinutesTotal >= 15,
-        time_30: projectedMinutesTotal >= 30,
-        time_60: projectedMinutesTotal >= 60,
-        time_120: projectedMinutesTotal >= 120,
-        time_180: projectedMinutesTotal >= 180,
-        words_500: projectedWordsTotal >= 500,
-        words_1k: projectedWordsTotal >= 1000,
-        words_3k: projectedWordsTotal >= 3000,
-        words_5k: projectedWordsTotal >= 5000,
-        
-        // Consistency track
-        routine_2: daysCount >= 2,
-        routine_5: daysCount >= 5,
-        routine_10: daysCount >= 10,
-        routine_20: daysCount >= 20,
-        streak_3: streak >= 3,
-        streak_5: streak >= 5,
-        streak_7: streak >= 7,
-        
-        // Variety track
-        explorer_2: themesCount >= 2,
-        explorer_4: themesCount >= 4,
-        explorer_6: themesCount >= 6,
-        mode_passage: passageCount >= 1,
-        mode_spelling: spellingCount >= 1,
-        mode_phonics: phonicsCount >= 1,
-        mode_mixer: passageCount >= 1 && spellingCount >= 1 && phonicsCount >= 1,
-        stage_2: stagesCount >= 2,
-        stage_3: stagesCount >= 3,
-        stage_4: stagesCount >= 4,
-        
-        // Courage track
-        brave_longer: currentSession.charCount >= 200,
-        brave_challenging: isAboveUsual,
-        brave_steady: results.durationSec >= 300,
-        brave_lockstep: results.errors === 0 && isLockstep,
-        brave_persist: results.errors >= 10 && totalLessons >= 1,
-        
-        // Specialty track
-        spelling_star: results.errors === 0 && currentSession.contentType === 'spelling',
-        spelling_10: spellingCount >= 10,
-        spelling_25: spellingCount >= 25,
-        phonics_precision: results.accuracy >= 90 && currentSession.contentType === 'phonics',
-        phonics_10: phonicsCount >= 10,
-        phonics_25: phonicsCount >= 25,
-        punct_pro: results.accuracy >= 95 && hasPunctuation,
-        
-        // Surprise track (hidden badges)
-        surprise_early: sessionHour < 9,
-        surprise_late: sessionHour >= 21,
-        surprise_weekend: isWeekend,
-        surprise_streak_10: streak >= 10
+    const stage = currentSession.stage;
+
+    const metrics = {
+        // This session
+        accuracy: results.accuracy,
+        netWPM: results.netWPM,
+        grossWPM: results.grossWPM,
+        errors: results.errors,
+        durationSec: results.durationSec,
+        charCount: currentSession.charCount,
+        contentType: currentSession.contentType,
+        lockstep: !!state.runtime.flags?.lockstep,
+        hasPunctuation: !!state.runtime.lesson.data.tags?.complexity?.punct,
+        aboveUsualStage: !!(usualStage && stage && stageOrder.indexOf(stage) > stageOrder.indexOf(usualStage)),
+        sessionHour: state.runtime.startTime.getHours(),
+        isWeekend: now.getDay() === 0 || now.getDay() === 6,
+
+        // Running totals, this session included
+        ...getRunningTotals(state, sessions, currentSession, now)
     };
-    
-    // --- Find all eligible badges ---
-    const eligible = [];
-    
-    for (const badge of DATA.BADGES) {
-        if (badge._comment) continue;  // Skip comment entries
-        
-        const id = badge.id;
-        
-        // Already earned? Skip
-        if (hasBadge(id)) continue;
-        
-        // Criteria not met? Skip
-        if (!criteria[id]) continue;
-        
-        // Prerequisites not met? Skip
-        if (!prerequisitesMet(badge, earnedIds)) continue;
-        
-        eligible.push(badge);
-    }
+    return { metrics, sessions };
+}
+
+/**
+ * Main entry point: Checks session results against badge criteria and awards new badges.
+ * Each badge's `criteria` in badges.json is evaluated by badgeRules.js.
+ * @param {object} results - The calculated metrics from the completed session.
+ * @param {object} state - The main application state object (will be mutated).
+ * @param {object} DATA - The global data object (for badge definitions).
+ * @returns {string[]} An array of IDs for any newly awarded badges.
+ */
+export function checkAndAwardBadges(results, state, DATA) {
+    const earnedIds = new Set(state.progress.badges.map(b => b.id));
+    const hasBadge = (id) => earnedIds.has(id);
+    const isFirstSession = state.sessions.length === 0;
+    const context = getBadgeMetrics(results, state);
+
+    // Track themes and stages completed
+    const { theme, stage } = state.runtime.lesson.data;
+    if (theme) state.progress.themesCompleted[theme] = true;
+    if (stage) state.progress.stagesCompleted[stage] = true;
+
+    // --- Find eligible badges: met this session, or owed from before ---
+    const queue = state.progress.badgeQueue || [];
+    const owedSince = new Map(queue.map(entry => [entry.id, entry.since]));
+    const candidates = DATA.BADGES.filter(badge =>
+        !hasBadge(badge.id) && (owedSince.has(badge.id) || evaluateRule(badge.criteria, context)));
+    const eligible = candidates.filter(badge => prerequisitesMet(badge, earnedIds));
     
     // --- Select which badges to actually award (with pacing) ---
     const toAward = selectBadgesToAward(eligible, isFirstSession);
     const newBadgeIds = toAward.map(b => b.id);
+    const timestamp = new Date().toISOString();
     
     // --- Record awarded badges ---
-    if (newBadgeIds.length > 0) {
-        const timestamp = new Date().toISOString();
-        newBadgeIds.forEach(id => {
-            state.progress.badges.push({ id, earnedAt: timestamp });
-        });
-    }
+    newBadgeIds.forEach(id => {
+        state.progress.badges.push({ id, earnedAt: timestamp });
+    });
+
+    // Badges held back by the limits (or by a prerequisite) wait in the queue for later lessons
+    state.progress.badgeQueue = candidates
+        .filter(badge => !newBadgeIds.includes(badge.id))
+        .map(badge => ({ id: badge.id, since: owedSince.get(badge.id) || timestamp }));
     
     return newBadgeIds;
 }
 
+// Metrics a progress bar can follow, and how each is counted
+const PROGRESS_UNITS = {
+    totalLessons: 'lessons',
+    minutesTotal: 'minutes',
+    wordsTotal: 'words',
+    daysPractised: 'days',
+    streak: 'days in a row',
+    themesCount: 'themes',
+    stagesCount: 'Key Stages',
+    accuracy: 'percent accuracy',
+    netWPM: 'WPM',
+    grossWPM: 'WPM',
+    durationSec: 'seconds in one lesson'
+};
+// Session metrics whose best so far stands in for progress, read from the saved sessions
+const BEST_SO_FAR = ['accuracy', 'netWPM', 'grossWPM', 'durationSec'];
+
+/**
+ * Measures how far the learner is towards a rule, where that can be put as a number.
+ * @returns {{current: number, target: number, unit: string, best: boolean, fraction: number}|null}
+ *   Null for rules with no sensible measure, such as lockstep or the time of day.
+ */
+function measureRule(rule, totals, sessions) {
+    if (!rule || typeof rule !== 'object') return null;
+    if (Array.isArray(rule.all) || Array.isArray(rule.any)) {
+        const parts = (rule.all || rule.any).map(r => measureRule(r, totals, sessions));
+        if (rule.all && parts.some(p => !p)) return null;
+        const measured = parts.filter(Boolean).sort((a, b) => a.fraction - b.fraction);
+        // Every part must be met, so the furthest behind shows; for "any", the nearest
+        return (rule.all ? measured[0] : measured[measured.length - 1]) || null;
+    }
+    if (!['>=', '>', '=='].includes(rule.op) || typeof rule.value !== 'number' || rule.value <= 0) return null;
+
+    let current;
+    let unit;
+    let best = false;
+    if ('count' in rule) {
+        current = sessions.filter(s => evaluateRule(rule.count, { metrics: s })).length;
+        unit = 'lessons';
+    } else if (rule.metric in totals && rule.metric in PROGRESS_UNITS) {
+        current = Math.floor(totals[rule.metric]);
+        unit = PROGRESS_UNITS[rule.metric];
+    } else if (BEST_SO_FAR.includes(rule.metric)) {
+        const values = sessions.map(s => s[rule.metric]).filter(v => typeof v === 'number');
+        current = values.length ? Math.floor(Math.max(...values)) : 0;
+        unit = PROGRESS_UNITS[rule.metric];
+        best = true;
+    } else {
+        return null;
+    }
+    const target = rule.op === '>' ? rule.value + 1 : rule.value;
+    return { current: Math.min(current, target), target, unit, best, fraction: Math.min(1, current / target) };
+}
+
+/**
+ * How close the learner is to every badge they could earn next: not yet earned, not a
+ * surprise, and with its prerequisites met.
+ * @param {object} state - The application state.
+ * @param {object} DATA - The global data object.
+ * @returns {{badge: object, queued: boolean, current: number|null, target: number|null,
+ *   unit: string|null, best: boolean, fraction: number|null}[]} `best` marks a best single
+ *   lesson rather than a running total. Badges owed and waiting in the queue are complete;
+ *   badges with nothing to measure have null progress.
+ */
+export function getBadgeProgress(state, DATA) {
+    const earnedIds = new Set(state.progress.badges.map(b => b.id));
+    const queuedIds = new Set((state.progress.badgeQueue || []).map(entry => entry.id));
+    const totals = getRunningTotals(state, state.sessions);
+
+    return DATA.BADGES
+        .filter(badge => !badge.hidden && !earnedIds.has(badge.id) && prerequisitesMet(badge, earnedIds))
+        .map(badge => {
+            const queued = queuedIds.has(badge.id);
+            const measure = measureRule(badge.criteria, totals, state.sessions);
+            return {
+                badge,
+                queued,
+                current: measure?.current ?? null,
+                target: measure?.target ?? null,
+                unit: measure?.unit ?? null,
+                best: !!measure?.best,
+                fraction: queued ? 1 : measure?.fraction ?? null
+            };
+        });
+}
+
 /**
  * Gets a summary of badge progress for display.
  * @param {object} state - The application state.
  * @param {object} DATA - The global data object.
- * @returns {object} Summary with earned, total, and tracks info.
+ * @returns {object} Summary with earned, total, and tracks info. Each track's `next` is the
+ *   badge in it the learner is closest to, from getBadgeProgress, or null.
  */
 export function getBadgeProgressSummary(state, DATA) {
     const earnedIds = new Set(state.progress.badges.map(b => b.id));
-    const allBadges = DATA.BADGES.filter(b => !b._comment);
+    const allBadges = DATA.BADGES;
     const visibleBadges = allBadges.filter(b => !b.hidden);
     
     const tracks = {};
     for (const badge of allBadges) {
         if (!tracks[badge.track]) {
-            tracks[badge.track] = { earned: 0, total: 0, visible: 0 };
+            tracks[badge.track] = { earned: 0, total: 0, visible: 0, next: null };
         }
         tracks[badge.track].total++;
         if (!badge.hidden) tracks[badge.track].visible++;
         if (earnedIds.has(badge.id)) tracks[badge.track].earned++;
     }
+
+    // Closest first; badges with nothing to measure only when a track has no other
+    for (const entry of getBadgeProgress(state, DATA)) {
+        const track = tracks[entry.badge.track];
+        const closer = !track.next
+            || (entry.fraction ?? -1) > (track.next.fraction ?? -1)
+            || (entry.fraction === track.next.fraction && entry.badge.tier < track.next.badge.tier);
+        if (closer) track.next = entry;
+    }
     
     return {
         earned: state.progress.badges.length,
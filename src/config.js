@@ -10,7 +10,42 @@ export const config = {
     // The default sorting option for the lesson picker
     DEFAULT_SORT_KEY: 'title',
 
-    // How many recent sessions to consider for weighting the randomiser
-    // The randomiser will try to avoid picking lessons from this many recent sessions.
+    // How many recent sessions the lesson recommender looks back over.
+    // Lessons played in this window are scored down, and their tricky words and accuracy feed the next pick.
     RANDOMISER_HISTORY_LENGTH: 15,
+
+    // How many recent sessions keep their full keystroke recording for replay.
+    // Older sessions drop it to keep localStorage small.
+    REPLAY_SESSIONS_KEPT: 15,
+
+    // The most words a "Review due words" session asks for at once.
+    REVIEW_MAX_WORDS: 12,
+
+    // Most letter pairs and triples kept in the running transition stats; the least-typed are dropped first.
+    NGRAM_STATS_MAX: 1500,
+
+    // Words in a focus drill built from the learner's hardest keys.
+    FOCUS_DRILL_WORDS: 10,
+
+    // "Learn the Keys" course: words per drill, and the accuracy (%) a drill needs to unlock the next letter.
+    COURSE_DRILL_WORDS: 12,
+    COURSE_ACCURACY_GATE: 95,
+
+    // Days of practice kept in the daily goal log; older days are dropped.
+    PRACTICE_LOG_DAYS: 120,
+
+    // Words in the warm-up drill that opens today's plan.
+    WARMUP_DRILL_WORDS: 8,
+
+    // Streak freezes: one is earned every this many streak days, and at most this many are saved.
+    STREAK_FREEZE_EVERY_DAYS: 5,
+    STREAK_FREEZES_MAX: 2,
+
+    // Word and phonics mastery: how far each attempt moves the score, the score that counts as
+    // secure, the attempts needed first (per word, per phonics tag), and the most words kept.
+    MASTERY_WEIGHT: 0.4,
+    MASTERY_SECURE_SCORE: 0.85,
+    MASTERY_WORD_MIN_SEEN: 3,
+    MASTERY_TAG_MIN_SEEN: 10,
+    MASTERY_MAX_WORDS: 3000,
 };
\ No newline at end of file
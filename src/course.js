@@ -0,0 +1,131 @@
+/**
+ * @file course.js
+ * @description "Learn the Keys": a beginner course that starts with the home row and adds
+ * one letter at a time. Drills only use letters unlocked so far, and a drill typed at or
+ * above the accuracy gate unlocks the next letter.
+ *
+ * The teaching order comes from the learner's keyboard layout: home row first, then the top
+ * row, then the bottom row. Within a row, keys under a resting finger come before the
+ * index-finger stretch keys in the middle, and stronger fingers come before weaker ones.
+ *
+ * Stored in `state.progress.course` as { unlocked: string[] }: the letters unlocked beyond
+ * the home row, in the order they were earned. Letters rather than positions are kept, so
+ * switching layout never takes a letter away.
+ */
+
+import { createSeededRandom, seededShuffle } from './utils.js';
+import { generateDrill } from './drillGenerator.js';
+
+const ROW_ORDER = { 2: 0, 1: 1, 3: 2 };
+const FINGER_ORDER = { index: 0, middle: 1, ring: 2, pinky: 3 };
+// Columns reached by stretching an index finger inwards, per row. The bottom row sits one
+// key further right (after the ISO key beside left Shift), so its stretch keys are b and n.
+const STRETCH_COLS = { 1: [4, 5], 2: [4, 5], 3: [5, 6] };
+
+function isStretch(entry) {
+    return STRETCH_COLS[entry.row].includes(entry.col);
+}
+
+// A drill never has more than this share of real words, so made-up letter groups always
+// give extra practice on the new key.
+const MAX_REAL_WORD_SHARE = 2 / 3;
+
+function courseEntries(keymap) {
+    return keymap.filter(k => !k.shift && !k.modifier && /^[a-z]$/.test(k.key) && ROW_ORDER[k.row] !== undefined);
+}
+
+/**
+ * Lists the course letters in teaching order for a layout.
+ * @param {object[]} keymap - DATA.KEYMAP.
+ * @returns {string[]}
+ */
+export function getCourseOrder(keymap) {
+    return courseEntries(keymap)
+        .sort((a, b) =>
+            ROW_ORDER[a.row] - ROW_ORDER[b.row] ||
+            isStretch(a) - isStretch(b) ||
+            FINGER_ORDER[a.finger] - FINGER_ORDER[b.finger] ||
+            a.col - b.col)
+        .map(k => k.key);
+}
+
+/**
+ * The letters every learner starts with: the home row keys under resting fingers.
+ * @param {object[]} keymap - DATA.KEYMAP.
+ * @returns {string[]}
+ */
+export function getStarterKeys(keymap) {
+    return courseEntries(keymap).filter(k => k.row === 2 && !isStretch(k)).map(k => k.key);
+}
+
+/**
+ * Works out where a learner is in the course.
+ * @param {object} course - state.progress.course.
+ * @param {object[]} keymap - DATA.KEYMAP.
+ * @returns {{order: string[], unlocked: string[], newest: string|null, next: string|null, complete: boolean}}
+ *   `newest` is the letter being practised (null while on the home row); `next` is the one a
+ *   passed drill will unlock.
+ */
+export function getCourseStatus(course, keymap) {
+    const order = getCourseOrder(keymap);
+    const earned = (course?.unlocked || []).filter(key => order.includes(key));
+    const unlockedSet = new Set([...getStarterKeys(keymap), ...earned]);
+    const next = order.find(key => !unlockedSet.has(key)) || null;
+    return {
+        order,
+        unlocked: order.filter(key => unlockedSet.has(key)),
+        newest: earned[earned.length - 1] || null,
+        next,
+        complete: next === null
+    };
+}
+
+/**
+ * Unlocks the next letter in the course.
+ * @param {object} course - state.progress.course (mutated).
+ * @param {object[]} keymap - DATA.KEYMAP.
+ * @returns {string|null} The letter unlocked, or null if the course is complete.
+ */
+export function unlockNextKey(course, keymap) {
+    const { next } = getCourseStatus(course, keymap);
+    if (!next) return null;
+    course.unlocked = [...(course.unlocked || []), next];
+    return next;
+}
+
+/**
+ * Builds the words for one course drill from the unlocked letters.
+ * Real words that practise the focus letter come from the drill generator; letter groups
+ * such as "fgf" or "gag" fill the rest, each including the focus letter.
+ * @param {object} status - From getCourseStatus.
+ * @param {object} DATA - The global data object.
+ * @param {object} [options]
+ * @param {number} [options.count=12] - How many words the drill has.
+ * @param {number|string} [options.seed=Date.now()]
+ * @returns {{focus: string[], words: string[]}} The letters the drill focuses on, and its words.
+ */
+export function buildCourseDrill(status, DATA, { count = 12, seed = Date.now() } = {}) {
+    const random = createSeededRandom(seed);
+    // On the home row, every starter letter is new
+    const focus = status.newest ? [status.newest] : status.unlocked;
+
+    const { words: generated } = generateDrill(DATA, {
+        targets: focus,
+        length: Math.floor(count * MAX_REAL_WORD_SHARE),
+        allowedKeys: status.unlocked,
+        seed
+    });
+    // Early on only a handful of real words fit, so keep each one once and let letter groups fill in
+    const realWords = [...new Set(generated)];
+
+    const groups = [];
+    while (realWords.length + groups.length < count) {
+        const length = 3 + Math.floor(random() * 3);
+        const letters = Array.from({ length }, () => status.unlocked[Math.floor(random() * status.unlocked.length)]);
+        const focusKey = focus[Math.floor(random() * focus.length)];
+        letters[Math.floor(random() * length)] = focusKey;
+        groups.push(letters.join(''));
+    }
+
+    return { focus, words: seededShuffle([...realWords, ...groups], random) };
+}
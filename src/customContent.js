@@ -0,0 +1,178 @@
+/**
+ * @file customContent.js
+ * @description Passages, spelling lists and word sets written by a parent or teacher inside
+ * the app. They are kept device-wide (every learner on the device can use them) and are
+ * added to the DATA pools so they appear in the lesson picker beside the built-in content.
+ */
+
+import { normaliseString } from './utils.js';
+
+const CUSTOM_CONTENT_KEY = 'storykeys_custom_content';
+
+export const CUSTOM_TYPES = {
+    passage: { pool: 'PASSAGES', label: 'Passage' },
+    spelling: { pool: 'SPELLING', label: 'Spelling list' },
+    wordset: { pool: 'WORDSETS', label: 'Word set' }
+};
+export const CUSTOM_STAGES = ['KS1', 'KS2', 'KS3', 'KS4'];
+
+const MAX_TITLE_LENGTH = 60;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_WORDS = 40;
+
+let customItems = [];
+
+/**
+ * Loads saved custom content from localStorage.
+ * @returns {object[]} The custom items.
+ */
+export function loadCustomContent() {
+    try {
+        const raw = localStorage.getItem(CUSTOM_CONTENT_KEY);
+        customItems = raw ? JSON.parse(raw) : [];
+        if (!Array.isArray(customItems)) customItems = [];
+    } catch (e) {
+        console.error('Failed to parse custom content from localStorage:', e);
+        customItems = [];
+    }
+    return customItems;
+}
+
+function saveCustomContent() {
+    try {
+        localStorage.setItem(CUSTOM_CONTENT_KEY, JSON.stringify(customItems));
+        return true;
+    } catch (e) {
+        console.warn('Unable to save custom content to localStorage:', e);
+        return false;
+    }
+}
+
+export function getCustomItems() {
+    return customItems;
+}
+
+/**
+ * Finds characters a learner could not type: ones that normaliseChar leaves as they are
+ * and that have no key in the learner's keyboard layout (e.g. 'é' or '€' on QWERTY).
+ * @param {string} text - The text to check.
+ * @param {object[]} keymap - DATA.KEYMAP.
+ * @returns {string[]} Unique unsupported characters, in order of appearance.
+ */
+export function findUnsupportedChars(text, keymap) {
+    const keys = new Set(keymap.map(k => k.key));
+    const unsupported = new Set();
+    for (const ch of normaliseString(text)) {
+        if (/\s/.test(ch) || keys.has(ch) || keys.has(ch.toLowerCase())) continue;
+        unsupported.add(ch);
+    }
+    return [...unsupported];
+}
+
+function splitWords(text) {
+    return text.split(/[\n,]+/).map(w => w.trim()).filter(Boolean);
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 24) || 'item';
+}
+
+/**
+ * Validates the editor form and builds a lesson item in the same shape as the built-in data.
+ * @param {object} fields - { id?, type, title, stage, theme, phonics: string[], body }.
+ * @param {object[]} keymap - DATA.KEYMAP, for the unsupported character check.
+ * @returns {{ok: true, item: object} | {ok: false, errors: string[]}}
+ */
+export function validateCustomItem(fields, keymap) {
+    const errors = [];
+    const type = CUSTOM_TYPES[fields.type] ? fields.type : null;
+    const title = (fields.title || '').trim();
+    const body = (fields.body || '').trim();
+
+    if (!type) errors.push('Choose what kind of lesson this is.');
+    if (!title) errors.push('Give the lesson a title.');
+    if (title.length > MAX_TITLE_LENGTH) errors.push(`Keep the title under ${MAX_TITLE_LENGTH} characters.`);
+    if (!CUSTOM_STAGES.includes(fields.stage)) errors.push('Choose a Key Stage.');
+
+    const words = type && type !== 'passage' ? splitWords(body) : [];
+    if (!body) {
+        errors.push(type === 'passage' ? 'Type the passage text.' : 'Add at least one word.');
+    } else if (type === 'passage' && body.length > MAX_TEXT_LENGTH) {
+        errors.push(`Keep passages under ${MAX_TEXT_LENGTH} characters.`);
+    } else if (words.length > MAX_WORDS) {
+        errors.push(`Keep lists to ${MAX_WORDS} words or fewer.`);
+    }
+
+    const unsupported = findUnsupportedChars(body, keymap);
+    if (unsupported.length) {
+        errors.push(`These characters have no key on the keyboard: ${unsupported.map(ch => `'${ch}'`).join(' ')}`);
+    }
+
+    if (errors.length) return { ok: false, errors };
+
+    const text = type === 'passage' ? body.replace(/\s+/g, ' ') : words.join(' ');
+    const item = {
+        id: fields.id || `custom_${type}-${slugify(title)}_${Date.now().toString(36)}`,
+        stage: fields.stage,
+        theme: (fields.theme || '').trim() || 'Custom',
+        [type === 'passage' ? 'title' : 'name']: title,
+        tags: {
+            complexity: { caps: /[A-Z]/.test(text), punct: /[^A-Za-z0-9\s]/.test(text) },
+            phonics: fields.phonics || []
+        },
+        custom: true
+    };
+    if (type === 'passage') item.text = body.replace(/\s+/g, ' ');
+    else item.words = words;
+    return { ok: true, item: { ...item, type } };
+}
+
+/**
+ * Adds every saved custom item to the DATA pools. Call once after loading.
+ * @param {object} DATA - The global data object (mutated).
+ */
+export function applyCustomContent(DATA) {
+    customItems.forEach(item => DATA[CUSTOM_TYPES[item.type].pool].push(item));
+}
+
+/**
+ * Saves a new or edited custom item and updates its DATA pool in place.
+ * @param {object} item - An item from validateCustomItem.
+ * @param {object} DATA - The global data object (mutated).
+ * @returns {boolean} False if localStorage is full.
+ */
+export function saveCustomItem(item, DATA) {
+    removeFromPools(item.id, DATA);
+    customItems = [...customItems.filter(i => i.id !== item.id), item];
+    DATA[CUSTOM_TYPES[item.type].pool].push(item);
+    return saveCustomContent();
+}
+
+/**
+ * Deletes a custom item and removes it from the lesson picker.
+ * @param {string} id
+ * @param {object} DATA - The global data object (mutated).
+ */
+export function deleteCustomItem(id, DATA) {
+    customItems = customItems.filter(i => i.id !== id);
+    removeFromPools(id, DATA);
+    saveCustomContent();
+}
+
+function removeFromPools(id, DATA) {
+    Object.values(CUSTOM_TYPES).forEach(({ pool }) => {
+        const idx = DATA[pool].findIndex(i => i.id === id && i.custom);
+        if (idx !== -1) DATA[pool].splice(idx, 1);
+    });
+}
+
+/**
+ * Lists every phonics tag used by the loaded content, for the editor's tag picker.
+ * @param {object} DATA - The global data object.
+ * @returns {string[]}
+ */
+export function getKnownPhonicsTags(DATA) {
+    const tags = new Set();
+    [...DATA.PHONICS, ...DATA.PASSAGES, ...DATA.PATTERNS].forEach(item => (item.tags?.phonics || []).forEach(t => tags.add(t)));
+    return [...tags].sort();
+}
@@ -6,7 +6,7 @@
 
 const STAGES = ['KS1', 'KS2', 'KS3', 'KS4'];
 const STAGE_DATA_TYPES = ['passages', 'wordsets', 'patterns'];
-const GLOBAL_FILES = ['badges', 'copy', 'keymap'];
+const GLOBAL_FILES = ['badges', 'copy', 'layouts'];
 const PHONICS_FILE = 'phonics';
 const SPELLING_FILE = 'spelling';
 const DATA_PATH = 'data/';
@@ -21,6 +21,8 @@ export const DATA = {
     PHONICS: [],
     SPELLING: [],
     BADGES: [],
+    LAYOUTS: { fingers: [], specialKeys: [], layouts: [] },
+    // Built from LAYOUTS for the learner's chosen layout (see layouts.js)
     KEYMAP: [],
     COPY: {},
 };
@@ -45,7 +47,7 @@ async function fetchJSON(url) {
  */
 export async function loadInitialData() {
     const promises = GLOBAL_FILES.map(file => fetchJSON(`${DATA_PATH}${file}.json`));
-    const [badges, copy, keymap, phonics, spelling] = await Promise.all([
+    const [badges, copy, layouts, phonics, spelling] = await Promise.all([
         ...promises,
         fetchJSON(`${DATA_PATH}${PHONICS_FILE}.json`),
         fetchJSON(`${DATA_PATH}${SPELLING_FILE}.json`)
@@ -53,7 +55,7 @@ export async function loadInitialData() {
 
     DATA.BADGES = badges || [];
     DATA.COPY = copy || {};
-    DATA.KEYMAP = keymap || [];
+    if (layouts) DATA.LAYOUTS = layouts;
     DATA.PHONICS = phonics || [];
     DATA.SPELLING = spelling || [];
 
@@ -0,0 +1,86 @@
+/**
+ * @file drillGenerator.js
+ * @description Builds practice drills from real words in the loaded content.
+ *
+ * Given target keys or bigrams (e.g. ['b', 'sh']), the generator picks words that use them,
+ * spreading the practice so every target gets a fair share rather than one target taking
+ * over the whole drill. Words with letters the learner has not met yet are left out, and the
+ * same seed always gives the same drill.
+ */
+
+import { createSeededRandom, seededShuffle } from './utils.js';
+
+const MIN_WORD_LENGTH = 3;
+
+function wordsOf(text) {
+    return text.toLowerCase().split(/[^a-z]+/).filter(w => w.length >= MIN_WORD_LENGTH);
+}
+
+function itemWords(item) {
+    const lists = [item.words, item.items].filter(Array.isArray).flat();
+    return [...wordsOf(item.text || ''), ...lists.flatMap(w => wordsOf(w))];
+}
+
+/**
+ * Collects unique words from the loaded content, optionally limited to one Key Stage.
+ * Phonics items have no stage, so they are always included.
+ * @param {object} DATA - The global data object.
+ * @param {string|null} [stage]
+ * @returns {string[]}
+ */
+export function collectDrillWords(DATA, stage = null) {
+    const items = [...DATA.WORDSETS, ...DATA.PATTERNS, ...DATA.PASSAGES, ...DATA.SPELLING, ...DATA.PHONICS]
+        .filter(item => !stage || !item.stage || item.stage === stage);
+    return [...new Set(items.flatMap(itemWords))];
+}
+
+function countTarget(word, target) {
+    let count = 0;
+    for (let i = word.indexOf(target); i !== -1; i = word.indexOf(target, i + 1)) count++;
+    return count;
+}
+
+/**
+ * Generates a drill.
+ * @param {object} DATA - The global data object.
+ * @param {object} options
+ * @param {string[]} options.targets - Keys or bigrams to practise (lowercase).
+ * @param {number} [options.length=10] - Number of words in the drill.
+ * @param {string|null} [options.stage=null] - Prefer words from this Key Stage.
+ * @param {Iterable<string>|null} [options.allowedKeys=null] - Letters the learner has met; words
+ *   with any other letter are skipped. Null allows every letter.
+ * @param {number|string} [options.seed=Date.now()]
+ * @returns {{words: string[], coverage: object}} The drill words, and how many times each
+ *   target appears in them.
+ */
+export function generateDrill(DATA, { targets, length = 10, stage = null, allowedKeys = null, seed = Date.now() }) {
+    const random = createSeededRandom(seed);
+    const allowed = allowedKeys ? new Set(allowedKeys) : null;
+    const usable = words => words.filter(w => (!allowed || [...w].every(ch => allowed.has(ch))) && targets.some(t => w.includes(t)));
+
+    // Stage words first; fall back to every stage if the stage alone has too few
+    let pool = usable(collectDrillWords(DATA, stage));
+    if (stage && pool.length < length) pool = [...new Set([...pool, ...usable(collectDrillWords(DATA))])];
+    pool = seededShuffle(pool, random);
+
+    const coverage = Object.fromEntries(targets.map(t => [t, 0]));
+    const uses = new Map();
+    const words = [];
+    while (pool.length && words.length < length) {
+        // Favour targets with the least practice so far, and words not used yet
+        let best = null;
+        let bestScore = -Infinity;
+        for (const word of pool) {
+            const score = targets.reduce((sum, t) => sum + countTarget(word, t) / (1 + coverage[t]), 0) / (1 + (uses.get(word) || 0) * 2);
+            if (score > bestScore) {
+                best = word;
+                bestScore = score;
+            }
+        }
+        words.push(best);
+        uses.set(best, (uses.get(best) || 0) + 1);
+        targets.forEach(t => { coverage[t] += countTarget(best, t); });
+    }
+
+    return { words: seededShuffle(words, random), coverage };
+}
@@ -0,0 +1,86 @@
+/**
+ * @file goals.js
+ * @description Daily practice goals. A parent can ask for a number of minutes or lessons each
+ * day, with a different amount on chosen weekdays. A day only counts towards the streak once
+ * its goal is met; with no goal set, one lesson is enough, as before.
+ *
+ * The goal lives in `state.settings.dailyGoal` as
+ * { type: 'none'|'minutes'|'lessons', target: number, weekdays: { [0-6]: number } }
+ * where `weekdays` overrides the target on some days (0 = Sunday).
+ *
+ * Practice is logged per local calendar day in `state.progress.practiceLog` as
+ * { [YYYY-MM-DD]: { minutes, lessons, met } }, where `met` records whether the day's goal was
+ * reached, so changing the goal later leaves past days as they were. Drills count too, though
+ * they are not kept in the session history.
+ */
+
+import { config } from './config.js';
+import { toDateKey } from './wordBank.js';
+
+export const GOAL_TYPES = ['none', 'minutes', 'lessons'];
+export const DEFAULT_GOAL = { type: 'none', target: 10, weekdays: {} };
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * The goal that applies on one day.
+ * @param {object} [goal] - state.settings.dailyGoal.
+ * @param {Date} [date=new Date()]
+ * @returns {{type: string, target: number}} With no goal set, the target is one lesson.
+ */
+export function getGoalForDay(goal, date = new Date()) {
+    if (!goal || !GOAL_TYPES.includes(goal.type) || goal.type === 'none') return { type: 'none', target: 1 };
+    const target = goal.weekdays?.[date.getDay()] ?? goal.target;
+    return { type: goal.type, target: Math.max(1, target || 1) };
+}
+
+/**
+ * Adds a finished session to today's practice log, dropping days older than the log keeps.
+ * @param {object} progress - state.progress (mutated).
+ * @param {number} durationSec - How long the session took.
+ * @param {object} [goal] - state.settings.dailyGoal, to record whether today's goal is met.
+ * @param {Date} [date=new Date()]
+ */
+export function logPractice(progress, durationSec, goal, date = new Date()) {
+    const log = progress.practiceLog || (progress.practiceLog = {});
+    const key = toDateKey(date);
+    const day = log[key] || (log[key] = { minutes: 0, lessons: 0 });
+    day.minutes += (durationSec || 0) / 60;
+    day.lessons += 1;
+    const { type, target } = getGoalForDay(goal, date);
+    day.met = day.met || (type === 'minutes' ? day.minutes : day.lessons) >= target;
+
+    const oldest = toDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - config.PRACTICE_LOG_DAYS));
+    Object.keys(log).filter(k => k < oldest).forEach(k => delete log[k]);
+}
+
+/**
+ * How far a day is towards its goal.
+ * @param {object} progress - state.progress.
+ * @param {object} [goal] - state.settings.dailyGoal.
+ * @param {Date} [date=new Date()]
+ * @returns {{type: string, target: number, done: number, met: boolean, fraction: number}}
+ *   `done` is in the goal's unit (whole minutes, or lessons).
+ */
+export function getGoalProgress(progress, goal, date = new Date()) {
+    const { type, target } = getGoalForDay(goal, date);
+    const day = progress.practiceLog?.[toDateKey(date)] || { minutes: 0, lessons: 0 };
+    const amount = type === 'minutes' ? day.minutes : day.lessons;
+    return {
+        type,
+        target,
+        done: Math.floor(amount),
+        met: amount >= target,
+        fraction: Math.min(1, amount / target)
+    };
+}
+
+/**
+ * Whether a day's goal has been met, so the day counts towards the streak.
+ * @param {object} progress - state.progress.
+ * @param {object} [goal] - state.settings.dailyGoal.
+ * @param {Date} [date=new Date()]
+ * @returns {boolean}
+ */
+export function isGoalMet(progress, goal, date = new Date()) {
+    return getGoalProgress(progress, goal, date).met;
+}
@@ -0,0 +1,118 @@
+/**
+ * @file keyStats.js
+ * @description Keeps per-key typing statistics across every session: how often each key
+ * was attempted, how often it went wrong, how long the learner took to reach it, and
+ * which keys were typed in its place. Letter reversals (b/d, p/q) are summarised separately
+ * because they are the most useful signal for dyslexic learners.
+ *
+ * Stats live in `state.progress.keyStats`, keyed by the expected character (letters lowercased):
+ * { [key]: { attempts, errors, latencyTotal, latencyCount, subs: { [typed]: count } } }
+ */
+
+// Gaps longer than this are treated as a pause, not time spent finding the key.
+const MAX_LATENCY_MS = 3000;
+
+export const REVERSAL_PAIRS = [['b', 'd'], ['p', 'q'], ['m', 'w'], ['n', 'u']];
+
+function keyFor(char) {
+    return /^[A-Z]$/.test(char) ? char.toLowerCase() : char;
+}
+
+/**
+ * Adds one session's keystrokes to the running per-key statistics.
+ * Backspaces and characters typed past the end of the text are ignored.
+ * @param {object} keyStats - state.progress.keyStats (mutated).
+ * @param {object[]} keystrokes - Keystrokes recorded by replay.js.
+ * @returns {object} The updated keyStats.
+ */
+export function updateKeyStats(keyStats, keystrokes) {
+    for (let n = 0; n < keystrokes.length; n++) {
+        const k = keystrokes[n];
+        if (k.bs || !k.exp) continue;
+
+        const key = keyFor(k.exp);
+        const entry = keyStats[key] || (keyStats[key] = { attempts: 0, errors: 0, latencyTotal: 0, latencyCount: 0, subs: {} });
+        entry.attempts++;
+
+        if (k.got !== k.exp) {
+            entry.errors++;
+            const typed = keyFor(k.got);
+            if (typed !== key) entry.subs[typed] = (entry.subs[typed] || 0) + 1;
+        }
+
+        const prev = keystrokes[n - 1];
+        const latency = prev ? k.t - prev.t : null;
+        // Keystrokes sharing a timestamp came from one bulk change (e.g. a restored draft)
+        if (latency > 0 && latency <= MAX_LATENCY_MS) {
+            entry.latencyTotal += latency;
+            entry.latencyCount++;
+        }
+    }
+    return keyStats;
+}
+
+/**
+ * Summarises each key for display.
+ * @param {object} keyStats - state.progress.keyStats.
+ * @returns {Object<string, {attempts: number, errors: number, errorRate: number, meanLatency: number|null}>}
+ */
+export function getKeySummary(keyStats) {
+    const summary = {};
+    for (const [key, entry] of Object.entries(keyStats || {})) {
+        summary[key] = {
+            attempts: entry.attempts,
+            errors: entry.errors,
+            errorRate: entry.attempts ? entry.errors / entry.attempts : 0,
+            meanLatency: entry.latencyCount ? Math.round(entry.latencyTotal / entry.latencyCount) : null
+        };
+    }
+    return summary;
+}
+
+/**
+ * Lists the most common substitutions across all keys.
+ * @param {object} keyStats - state.progress.keyStats.
+ * @param {number} [limit=5]
+ * @returns {{expected: string, typed: string, count: number}[]} Most frequent first.
+ */
+export function getTopSubstitutions(keyStats, limit = 5) {
+    const all = [];
+    for (const [expected, entry] of Object.entries(keyStats || {})) {
+        for (const [typed, count] of Object.entries(entry.subs || {})) {
+            all.push({ expected, typed, count });
+        }
+    }
+    return all.sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+/**
+ * Counts letter reversals in both directions for each pair in REVERSAL_PAIRS.
+ * @param {object} keyStats - state.progress.keyStats.
+ * @returns {{pair: string[], forward: number, backward: number, attempts: number}[]}
+ *   `forward` counts the first letter typed as the second, `backward` the reverse.
+ */
+export function getReversalSummary(keyStats) {
+    return REVERSAL_PAIRS.map(([a, b]) => {
+        const statsA = keyStats?.[a];
+        const statsB = keyStats?.[b];
+        return {
+            pair: [a, b],
+            forward: statsA?.subs?.[b] || 0,
+            backward: statsB?.subs?.[a] || 0,
+            attempts: (statsA?.attempts || 0) + (statsB?.attempts || 0)
+        };
+    });
+}
+
+/**
+ * Counts "forgot Shift" slips: the learner pressed the right key but without Shift,
+ * e.g. 'a' for 'A' or '/' for '?'. These are counted apart from other errors because the
+ * fix is different: the letter was found, only the Shift was missed.
+ * @param {object[]} keystrokes - Keystrokes recorded by replay.js.
+ * @param {object[]} keymap - DATA.KEYMAP, for the key each shifted character lives on.
+ * @returns {number}
+ */
+export function countForgotShift(keystrokes, keymap) {
+    const baseOf = new Map(keymap.filter(k => k.shift).map(k => [k.key, k.base]));
+    return keystrokes.filter(k => !k.bs && k.exp && baseOf.has(k.exp) && k.got === baseOf.get(k.exp)).length;
+}
@@ -5,6 +5,8 @@
 
 import { normaliseChar, normaliseString, rawTrimToNormLen } from './utils.js';
 import { playClickSound, playErrorSound } from './sounds.js';
+import { recordInputChange, markLastKeystrokeRejected } from './replay.js';
+import { findKeyForChar, getShiftKeyFor } from './layouts.js';
 
 /**
  * The main event handler for the typing input textarea.
@@ -16,7 +18,11 @@ import { playClickSound, playErrorSound } from './sounds.js';
 export function handleTypingInput(e, state, DATA, endSession) {
     if (!state.runtime || !state.runtime.targetTextNorm) return;
     
-    updateTypingDisplay(e.target.value, state, DATA);
+    const typedValue = e.target.value;
+    recordInputChange(state.runtime, typedValue);
+    updateTypingDisplay(typedValue, state, DATA);
+    // Lockstep mode removes a wrong character straight away
+    if (e.target.value !== typedValue) markLastKeystrokeRejected(state.runtime, e.target.value);
     
     // Check if the lesson is complete.
     if (normaliseString(e.target.value).length >= state.runtime.targetTextNorm.length) {
@@ -129,36 +135,28 @@ export function updateTypingDisplay(userInput, state, DATA) {
     const nextKey = nextIdx < targetTextNorm.length ? targetTextNorm[nextIdx] : null;
     const fingerHint = document.getElementById('finger-hint');
     
-    // Finger zone mapping
-    const fingerZones = {
-        'q': 'lp', 'a': 'lp', 'z': 'lp', '1': 'lp',
-        'w': 'lr', 's': 'lr', 'x': 'lr', '2': 'lr',
-        'e': 'lm', 'd': 'lm', 'c': 'lm', '3': 'lm',
-        'r': 'li', 'f': 'li', 'v': 'li', 't': 'li', 'g': 'li', 'b': 'li', '4': 'li', '5': 'li',
-        'y': 'ri', 'h': 'ri', 'n': 'ri', 'u': 'ri', 'j': 'ri', 'm': 'ri', '6': 'ri', '7': 'ri',
-        'i': 'rm', 'k': 'rm', ',': 'rm', '8': 'rm',
-        'o': 'rr', 'l': 'rr', '.': 'rr', '9': 'rr',
-        'p': 'rp', ';': 'rp', '/': 'rp', '0': 'rp',
-        ' ': 'thumb'
-    };
-    
+    const nextKeyEntry = nextKey ? findKeyForChar(DATA.KEYMAP, nextKey) : null;
+    // Capitals and symbols also need the Shift key on the other hand
+    const shiftEntry = getShiftKeyFor(DATA.KEYMAP, nextKeyEntry);
+
     // Update visual finger diagram
     if (fingerHint) {
         const fingers = fingerHint.querySelectorAll('.finger');
-        const activeZone = nextKey ? fingerZones[nextKey.toLowerCase()] : null;
+        const activeZones = [nextKeyEntry?.zone, shiftEntry?.zone].filter(Boolean);
         fingers.forEach(f => {
-            f.classList.toggle('active', f.dataset.finger === activeZone);
+            f.classList.toggle('active', activeZones.includes(f.dataset.finger));
         });
     }
     
-    // Update on-screen keyboard highlight
+    // Update on-screen keyboard highlight (shifted characters light up the key they live on)
     if (nextKey && flags.keyboardHint) {
         const keyboardEl = document.getElementById('keyboard-hint');
-        const currentHighlight = keyboardEl.querySelector('.key.highlight');
-        if (currentHighlight) currentHighlight.classList.remove('highlight');
+        keyboardEl.querySelectorAll('.key.highlight').forEach(el => el.classList.remove('highlight'));
         
-        const nextKeyEl = keyboardEl.querySelector(`.key[data-key="${nextKey.toLowerCase()}"]`);
-        if (nextKeyEl) nextKeyEl.classList.add('highlight');
+        const keyChars = [nextKeyEntry?.base || nextKeyEntry?.key, shiftEntry?.key].filter(Boolean);
+        keyboardEl.querySelectorAll('.key').forEach(el => {
+            if (keyChars.includes(el.dataset.key)) el.classList.add('highlight');
+        });
     }
 }
 
@@ -0,0 +1,114 @@
+/**
+ * @file layouts.js
+ * @description Keyboard layouts (QWERTY, Dvorak, Colemak, AZERTY...) built from data/layouts.json.
+ *
+ * Each layout lists the keys of the four character rows, left to right, as strings of one or
+ * two characters: the character typed on its own, then the one typed with Shift (e.g. "3£").
+ * An empty string marks a key the layout does not have, such as the extra key beside left
+ * Shift on ISO keyboards. Fingers belong to the physical key position, so the shared
+ * `fingers` grid works for every layout.
+ *
+ * The active layout is turned into DATA.KEYMAP: one entry per character, with the key it
+ * lives on and the finger that presses it. The two Shift keys are listed as `modifier` entries.
+ */
+
+export const DEFAULT_LAYOUT_ID = 'qwerty-uk';
+
+// Finger zone codes, as used by the finger diagram and the `finger-*` CSS classes
+const FINGER_NAMES = {
+    lp: { hand: 'left', finger: 'pinky' },
+    lr: { hand: 'left', finger: 'ring' },
+    lm: { hand: 'left', finger: 'middle' },
+    li: { hand: 'left', finger: 'index' },
+    ri: { hand: 'right', finger: 'index' },
+    rm: { hand: 'right', finger: 'middle' },
+    rr: { hand: 'right', finger: 'ring' },
+    rp: { hand: 'right', finger: 'pinky' },
+    thumb: { hand: 'thumbs', finger: 'thumb' }
+};
+
+/**
+ * Lists the layouts a learner can choose from.
+ * @param {object} layoutData - DATA.LAYOUTS.
+ * @returns {{id: string, name: string}[]}
+ */
+export function getLayoutOptions(layoutData) {
+    return (layoutData?.layouts || []).map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Builds a flat keymap for one layout.
+ * Unshifted entries look like { key, name, hand, finger, zone, row, col }. Characters typed
+ * with Shift get their own entry with `shift: true` and `base` set to the unshifted character
+ * on the same key.
+ * @param {object} layoutData - DATA.LAYOUTS.
+ * @param {string} layoutId - e.g. 'qwerty-uk'. Unknown ids fall back to the default layout.
+ * @returns {object[]}
+ */
+export function buildKeymap(layoutData, layoutId) {
+    const layouts = layoutData?.layouts || [];
+    const layout = layouts.find(l => l.id === layoutId) || layouts.find(l => l.id === DEFAULT_LAYOUT_ID) || layouts[0];
+    if (!layout) return [];
+
+    const keymap = [];
+    layout.rows.forEach((row, rowIdx) => {
+        row.forEach((chars, col) => {
+            const [key, shifted] = [...chars];
+            if (!key) return;
+            const zone = layoutData.fingers[rowIdx][col];
+            const position = { ...FINGER_NAMES[zone], zone, row: rowIdx, col };
+            keymap.push({ key, name: key, ...position });
+            if (shifted) keymap.push({ key: shifted, name: shifted, ...position, shift: true, base: key });
+        });
+    });
+    (layoutData.specialKeys || []).forEach(special => keymap.push({ ...FINGER_NAMES[special.zone], ...special }));
+    return keymap;
+}
+
+/**
+ * Switches DATA.KEYMAP to the chosen layout.
+ * @param {object} DATA - The global data object (mutated).
+ * @param {string} layoutId
+ */
+export function applyKeyboardLayout(DATA, layoutId) {
+    DATA.KEYMAP = buildKeymap(DATA.LAYOUTS, layoutId);
+}
+
+/**
+ * Finds the keymap entry for a character about to be typed.
+ * @param {object[]} keymap - DATA.KEYMAP.
+ * @param {string} ch - A single (normalised) character.
+ * @returns {object|null} The entry, or null if no key types it.
+ */
+export function findKeyForChar(keymap, ch) {
+    return keymap.find(k => k.key === ch) || null;
+}
+
+/**
+ * Finds the Shift key to hold for a shifted character. Touch typists use the Shift on the
+ * opposite hand to the key, so the other hand is free to press it.
+ * @param {object[]} keymap - DATA.KEYMAP.
+ * @param {object|null} entry - The character's entry from findKeyForChar.
+ * @returns {object|null} The ShiftLeft or ShiftRight entry, or null if no Shift is needed.
+ */
+export function getShiftKeyFor(keymap, entry) {
+    if (!entry?.shift) return null;
+    const shiftKey = entry.hand === 'left' ? 'ShiftRight' : 'ShiftLeft';
+    return keymap.find(k => k.modifier && k.key === shiftKey) || null;
+}
+
+/**
+ * Groups the unshifted keys into keyboard rows for drawing, each with its Shift character.
+ * @param {object[]} keymap - DATA.KEYMAP.
+ * @param {object} [options]
+ * @param {boolean} [options.modifiers=true] - Include the Shift keys.
+ * @returns {object[][]} Rows of entries sorted by column, each with `shiftKey` (or null).
+ */
+export function getKeyboardRows(keymap, { modifiers = true } = {}) {
+    const shifted = new Map(keymap.filter(k => k.shift).map(k => [`${k.row}:${k.col}`, k.key]));
+    const rows = [];
+    keymap.filter(k => !k.shift && Number.isInteger(k.row) && (modifiers || !k.modifier)).forEach(k => {
+        (rows[k.row] = rows[k.row] || []).push({ ...k, shiftKey: shifted.get(`${k.row}:${k.col}`) || null });
+    });
+    return rows.filter(Boolean).map(row => row.sort((a, b) => a.col - b.col));
+}
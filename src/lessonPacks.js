@@ -0,0 +1,307 @@
+/**
+ * @file lessonPacks.js
+ * @description Lesson packs: single JSON files that bundle passages, word sets, spelling lists
+ * and phonics patterns so teachers can share content with each other.
+ *
+ * A pack looks like:
+ * {
+ *   "format": "storykeys-lesson-pack", "version": 1,
+ *   "id": "year-3-minibeasts", "name": "Year 3 Minibeasts", "author": "Ms Patel",
+ *   "description": "...", "stage": "KS2", "createdAt": "2025-01-31T10:00:00.000Z",
+ *   "passages": [{ "id", "title", "text", "theme?", "stage?", "tags?" }],
+ *   "wordsets": [{ "id", "name", "words": [] , ... }],
+ *   "spelling": [{ "id", "name", "words": [] , ... }],
+ *   "patterns": [{ "id", "name", "items": [], "tags": { "phonics": [] } }]
+ * }
+ *
+ * Installed packs are kept device-wide. Every item id is prefixed with the pack id, so pack
+ * content can never overwrite built-in lessons or another pack's lessons.
+ */
+
+import { findUnsupportedChars } from './customContent.js';
+
+const LESSON_PACKS_KEY = 'storykeys_lesson_packs';
+export const PACK_FORMAT = 'storykeys-lesson-pack';
+export const PACK_VERSION = 1;
+
+const STAGES = ['KS1', 'KS2', 'KS3', 'KS4'];
+const MAX_PACK_ITEMS = 200;
+const MAX_TITLE_LENGTH = 80;
+const MAX_THEME_LENGTH = 40;
+const PHONICS_TAG = /^[a-z0-9-]+$/;
+
+// Pack section -> DATA pool, the fields holding the lesson's name and content, and its display label
+export const PACK_SECTIONS = {
+    passages: { pool: 'PASSAGES', titleField: 'title', contentField: 'text', label: ['passage', 'passages'] },
+    wordsets: { pool: 'WORDSETS', titleField: 'name', contentField: 'words', label: ['word set', 'word sets'] },
+    spelling: { pool: 'SPELLING', titleField: 'name', contentField: 'words', label: ['spelling list', 'spelling lists'] },
+    patterns: { pool: 'PATTERNS', titleField: 'name', contentField: 'items', label: ['phonics pattern', 'phonics patterns'] }
+};
+
+let installedPacks = [];
+
+/**
+ * Loads installed packs from localStorage.
+ * @returns {object[]} The installed packs.
+ */
+export function loadLessonPacks() {
+    try {
+        const raw = localStorage.getItem(LESSON_PACKS_KEY);
+        installedPacks = raw ? JSON.parse(raw) : [];
+        if (!Array.isArray(installedPacks)) installedPacks = [];
+    } catch (e) {
+        console.error('Failed to parse lesson packs from localStorage:', e);
+        installedPacks = [];
+    }
+    return installedPacks;
+}
+
+function saveLessonPacks() {
+    try {
+        localStorage.setItem(LESSON_PACKS_KEY, JSON.stringify(installedPacks));
+        return true;
+    } catch (e) {
+        console.warn('Unable to save lesson packs to localStorage:', e);
+        return false;
+    }
+}
+
+export function getInstalledPacks() {
+    return installedPacks;
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 32);
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim());
+}
+
+// A trimmed, length-capped string, or '' for anything that is not a string
+function plainText(value, maxLength) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+// Only the tags the app reads: complexity flags and well-formed phonics tags
+function cleanTags(tags) {
+    const clean = {};
+    if (!tags || typeof tags !== 'object') return clean;
+    const complexity = tags.complexity;
+    if (complexity && typeof complexity === 'object') {
+        clean.complexity = { caps: complexity.caps === true, punct: complexity.punct === true };
+    }
+    if (Array.isArray(tags.phonics)) {
+        clean.phonics = [...new Set(tags.phonics.filter(tag => typeof tag === 'string' && PHONICS_TAG.test(tag)))];
+    }
+    return clean;
+}
+
+/**
+ * Counts the lessons in each section of a pack.
+ * @param {object} pack
+ * @returns {object} e.g. { passages: 3, wordsets: 0, spelling: 2, patterns: 1 }
+ */
+export function countPackItems(pack) {
+    return Object.fromEntries(Object.keys(PACK_SECTIONS).map(section => [section, (pack[section] || []).length]));
+}
+
+/**
+ * Parses and validates a lesson pack file.
+ * Broken items and items with characters that cannot be typed are dropped with a warning;
+ * duplicate ids inside the pack are renamed. Item ids are namespaced with the pack id. Items
+ * keep only the fields a lesson uses; titles and themes are capped in length, and phonics
+ * tags must be lowercase letters, digits and hyphens.
+ * @param {string} text - The raw file contents.
+ * @param {object[]} keymap - DATA.KEYMAP, for the unsupported character check.
+ * @returns {{ok: true, pack: object, warnings: string[], replaces: boolean} | {ok: false, error: string}}
+ */
+export function parsePack(text, keymap) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        return { ok: false, error: 'This file is not valid JSON.' };
+    }
+    if (!parsed || typeof parsed !== 'object' || parsed.format !== PACK_FORMAT) {
+        return { ok: false, error: 'This does not look like a StoryKeys lesson pack.' };
+    }
+    if (!Number.isInteger(parsed.version) || parsed.version < 1) {
+        return { ok: false, error: 'This lesson pack has no format version, so it cannot be read safely.' };
+    }
+    if (parsed.version > PACK_VERSION) {
+        return { ok: false, error: 'This lesson pack was made by a newer version of StoryKeys. Please update the app first.' };
+    }
+    if (typeof parsed.name !== 'string' || !parsed.name.trim()) {
+        return { ok: false, error: 'This lesson pack has no name.' };
+    }
+
+    const packId = slugify(parsed.id || parsed.name) || `pack-${Date.now().toString(36)}`;
+    const packStage = STAGES.includes(parsed.stage) ? parsed.stage : null;
+    const warnings = [];
+    const pack = {
+        format: PACK_FORMAT,
+        version: PACK_VERSION,
+        id: packId,
+        name: parsed.name.trim().slice(0, 60),
+        author: typeof parsed.author === 'string' ? parsed.author.trim().slice(0, 60) : '',
+        description: typeof parsed.description === 'string' ? parsed.description.trim().slice(0, 300) : '',
+        stage: packStage,
+        createdAt: parsed.createdAt || null
+    };
+
+    const usedIds = new Set();
+    let total = 0;
+    for (const [section, { titleField, contentField }] of Object.entries(PACK_SECTIONS)) {
+        const items = parsed[section] === undefined ? [] : parsed[section];
+        if (!Array.isArray(items)) {
+            return { ok: false, error: `The "${section}" section of this pack is damaged.` };
+        }
+        pack[section] = [];
+        items.forEach((raw, idx) => {
+            const title = raw?.[titleField];
+            const content = raw?.[contentField];
+            const label = typeof title === 'string' && title.trim() ? `"${title.trim()}"` : `${section} #${idx + 1}`;
+            const contentOk = contentField === 'text' ? typeof content === 'string' && content.trim() : isStringList(content);
+            if (typeof title !== 'string' || !title.trim() || !contentOk) {
+                warnings.push(`Skipped ${label}: it is missing its ${titleField} or ${contentField}.`);
+                return;
+            }
+            const stage = STAGES.includes(raw.stage) ? raw.stage : packStage;
+            if (!stage && section !== 'patterns') {
+                warnings.push(`Skipped ${label}: it has no Key Stage.`);
+                return;
+            }
+            const unsupported = findUnsupportedChars(contentField === 'text' ? content : content.join(' '), keymap);
+            if (unsupported.length) {
+                warnings.push(`Skipped ${label}: it uses characters with no key on the keyboard (${unsupported.join(' ')}).`);
+                return;
+            }
+            if (++total > MAX_PACK_ITEMS) return;
+
+            const baseId = `pack-${packId}_${slugify(raw.id || title) || section}`;
+            let id = baseId;
+            for (let n = 2; usedIds.has(id); n++) id = `${baseId}-${n}`;
+            if (id !== baseId) warnings.push(`Renamed ${label} because another lesson in the pack has the same id.`);
+            usedIds.add(id);
+
+            // Only known fields are kept: everything here ends up on screen
+            pack[section].push({
+                id,
+                [titleField]: plainText(title, MAX_TITLE_LENGTH),
+                [contentField]: contentField === 'text' ? content.trim().replace(/\s+/g, ' ') : content.map(w => w.trim()),
+                stage: stage || undefined,
+                theme: plainText(raw.theme, MAX_THEME_LENGTH) || pack.name,
+                tags: cleanTags(raw.tags),
+                pack: packId,
+                packName: pack.name
+            });
+        });
+    }
+
+    if (total > MAX_PACK_ITEMS) warnings.push(`Only the first ${MAX_PACK_ITEMS} lessons were kept.`);
+    if (!Object.keys(PACK_SECTIONS).some(section => pack[section].length)) {
+        return { ok: false, error: 'This lesson pack has no lessons that can be used.' };
+    }
+
+    return { ok: true, pack, warnings, replaces: installedPacks.some(p => p.id === packId) };
+}
+
+function addPackToPools(pack, DATA) {
+    for (const [section, { pool }] of Object.entries(PACK_SECTIONS)) {
+        DATA[pool].push(...pack[section]);
+    }
+}
+
+function removePackFromPools(packId, DATA) {
+    for (const { pool } of Object.values(PACK_SECTIONS)) {
+        for (let i = DATA[pool].length - 1; i >= 0; i--) {
+            if (DATA[pool][i].pack === packId) DATA[pool].splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Adds every installed pack to the DATA pools. Call once after loading.
+ * @param {object} DATA - The global data object (mutated).
+ */
+export function applyLessonPacks(DATA) {
+    installedPacks.forEach(pack => addPackToPools(pack, DATA));
+}
+
+/**
+ * Installs a parsed pack, replacing any installed pack with the same id.
+ * @param {object} pack - A pack from parsePack.
+ * @param {object} DATA - The global data object (mutated).
+ * @returns {boolean} False if localStorage is full (the pack is not installed).
+ */
+export function installPack(pack, DATA) {
+    const previous = installedPacks;
+    installedPacks = [...installedPacks.filter(p => p.id !== pack.id), { ...pack, installedAt: new Date().toISOString() }];
+    if (!saveLessonPacks()) {
+        installedPacks = previous;
+        return false;
+    }
+    removePackFromPools(pack.id, DATA);
+    addPackToPools(pack, DATA);
+    return true;
+}
+
+/**
+ * Removes an installed pack and all of its lessons.
+ * @param {string} packId
+ * @param {object} DATA - The global data object (mutated).
+ */
+export function removePack(packId, DATA) {
+    installedPacks = installedPacks.filter(p => p.id !== packId);
+    removePackFromPools(packId, DATA);
+    saveLessonPacks();
+}
+
+/**
+ * Builds a pack file from lessons on this device (e.g. custom lessons) ready to download.
+ * @param {object} meta - { name, author, description, stage }.
+ * @param {object[]} items - Lesson items; each needs a `type` of passage, wordset or spelling.
+ * @returns {object} The pack, in the file format described above.
+ */
+export function buildPack(meta, items) {
+    const sectionFor = { passage: 'passages', wordset: 'wordsets', spelling: 'spelling', pattern: 'patterns' };
+    const pack = {
+        format: PACK_FORMAT,
+        version: PACK_VERSION,
+        id: slugify(meta.name),
+        name: meta.name,
+        author: meta.author || '',
+        description: meta.description || '',
+        stage: meta.stage || null,
+        createdAt: new Date().toISOString(),
+        passages: [],
+        wordsets: [],
+        spelling: [],
+        patterns: []
+    };
+    items.forEach(item => {
+        // Device-only markers are not part of the shared format
+        const { type, custom, pack: _pack, packName, ...shared } = item;
+        pack[sectionFor[type]].push(shared);
+    });
+    return pack;
+}
+
+/**
+ * Turns an installed pack back into a shareable file, restoring its original item ids
+ * so that importing it again elsewhere keeps lesson progress lined up.
+ * @param {object} pack - An installed pack.
+ * @returns {object} The pack, in the file format described above.
+ */
+export function exportInstalledPack(pack) {
+    const prefix = `pack-${pack.id}_`;
+    const { installedAt, ...file } = pack;
+    for (const section of Object.keys(PACK_SECTIONS)) {
+        file[section] = pack[section].map(({ pack: _pack, packName, ...item }) => ({
+            ...item,
+            id: item.id.startsWith(prefix) ? item.id.slice(prefix.length) : item.id
+        }));
+    }
+    return file;
+}
@@ -9,36 +9,28 @@ import { toast } from './ui.js';
 import { normaliseString, transformText } from './utils.js';
 import { buildLessonId, calculateSessionCompletionPercent } from './progress.js';
 import { playSuccessSound } from './sounds.js';
+import { config } from './config.js';
+import { updateKeyStats, countForgotShift } from './keyStats.js';
+import { getMissedWords, updateWordBank } from './wordBank.js';
+import { updateMastery, getPhonicsMatchers } from './mastery.js';
+import { unlockNextKey } from './course.js';
+import { generateDrill } from './drillGenerator.js';
+import { addNgramStats, mergeNgramStats, getWorstTransitions, findPatternForGram } from './ngramStats.js';
+import { logPractice, isGoalMet, getGoalProgress } from './goals.js';
+import { getStreakStatus, describeStreakDay } from './streaks.js';
+import { completePlanStep } from './planner.js';
 
 /**
- * Updates the consecutive days streak based on last played date.
- * @param {object} state - The main application state object.
+ * Drops keystroke recordings from all but the most recent sessions.
+ * @param {object[]} sessions - state.sessions (mutated).
  */
-function updateStreak(state) {
-    const today = new Date().toDateString();
-    const lastPlayed = state.progress.lastPlayed;
-    
-    if (!lastPlayed) {
-        // First time playing
-        state.progress.consecutiveDays = 1;
-    } else {
-        const lastDate = new Date(lastPlayed);
-        const todayDate = new Date(today);
-        const diffTime = todayDate - lastDate;
-        const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-        
-        if (diffDays === 0) {
-            // Same day, streak unchanged (already counted)
-        } else if (diffDays === 1) {
-            // Consecutive day, increment streak
-            state.progress.consecutiveDays = (state.progress.consecutiveDays || 0) + 1;
-        } else {
-            // Streak broken, start fresh
-            state.progress.consecutiveDays = 1;
-        }
+function pruneReplays(sessions) {
+    let kept = 0;
+    for (let i = sessions.length - 1; i >= 0; i--) {
+        if (!sessions[i].replay) continue;
+        if (kept < config.REPLAY_SESSIONS_KEPT) kept++;
+        else delete sessions[i].replay;
     }
-    
-    state.progress.lastPlayed = today;
 }
 
 /**
@@ -72,7 +64,8 @@ export function startSession(lesson, state, showScreen, persistState) {
         flags: {
             lockstep: state.settings.lockstepDefault,
             focusLine: state.settings.focusLineDefault,
-            keyboardHint: state.settings.keyboardHintDefault,
+            // Course drills always show the keyboard, since the learner is still finding the keys
+            keyboardHint: state.settings.keyboardHintDefault || lesson.type === 'course',
             timer: timerCountdown || showTimerChip,
             countdownTimer: timerCountdown,
             showTimerChip,
@@ -86,7 +79,10 @@ export function startSession(lesson, state, showScreen, persistState) {
             started: false
         },
         lineElements: [],
-        vanishedLines: new Set()
+        vanishedLines: new Set(),
+        keystrokes: [],
+        keystrokeStart: null,
+        lastInputValue: ''
     };
     showScreen('typing');
 }
@@ -103,10 +99,35 @@ export function endSession(finalInput, state, DATA, showScreen, saveState) {
     if (state.runtime.timer.handle) clearInterval(state.runtime.timer.handle);
 
     const results = calculateMetrics(finalInput, state.runtime, state.sessions);
+    results.forgotShift = countForgotShift(state.runtime.keystrokes || [], DATA.KEYMAP);
+
+    // Log today's practice first, so the streak sees whether the goal is now met
+    const goalWasMet = isGoalMet(state.progress, state.settings.dailyGoal);
+    const streakBefore = getStreakStatus(state);
+    logPractice(state.progress, results.durationSec, state.settings.dailyGoal);
+    const goalProgress = getGoalProgress(state.progress, state.settings.dailyGoal);
+    const goal = { ...goalProgress, justMet: goalProgress.met && !goalWasMet };
+    const planStep = state.runtime.lesson.planStep || null;
+    if (planStep) completePlanStep(state.progress, planStep);
+    // Today counts towards the streak once its goal is met; streak badges then see the new length
+    const streakAfter = getStreakStatus(state);
+    const streak = describeStreakDay(streakBefore, streakAfter);
+    state.progress.bestStreak = streakAfter.best;
+
     const newBadges = checkAndAwardBadges(results, state, DATA);
 
     state.progress.wordsTotal += state.runtime.targetTextNorm.length / 5;
     state.progress.minutesTotal += results.durationSec / 60;
+    state.progress.keyStats = updateKeyStats(state.progress.keyStats || {}, state.runtime.keystrokes || []);
+    const sessionNgrams = addNgramStats({}, state.runtime.keystrokes || [], state.runtime.targetTextNorm);
+    state.progress.ngramStats = mergeNgramStats(state.progress.ngramStats || {}, sessionNgrams);
+    const stage = state.runtime.lesson.data.stage || null;
+    const worstTransitions = getWorstTransitions(sessionNgrams).map(t => ({ ...t, pattern: findPatternForGram(t.gram, DATA.PATTERNS, stage) }));
+    const missedWords = getMissedWords(state.runtime.keystrokes || [], state.runtime.targetTextNorm);
+    // Word positions are counted in the normalised text, which can differ in length from the raw input ('…' becomes '...')
+    const typedLength = normaliseString(finalInput).length;
+    state.progress.wordBank = updateWordBank(state.progress.wordBank || {}, state.runtime.targetTextNorm, typedLength, missedWords);
+    state.progress.mastery = updateMastery(state.progress.mastery || {}, state.runtime.targetTextNorm, typedLength, missedWords, getPhonicsMatchers(DATA));
 
     // --- Record completed content ---
     if (!state.runtime.isDrill) {
@@ -140,9 +161,11 @@ export function endSession(finalInput, state, DATA, showScreen, saveState) {
             stage: state.runtime.lesson.data.stage,
             completionPercent: calculateSessionCompletionPercent(state.runtime.targetTextNorm, finalInput),
             ...results,
-            flags: state.runtime.flags
+            flags: state.runtime.flags,
+            replay: { targetText: state.runtime.targetTextNorm, keystrokes: state.runtime.keystrokes || [] }
         });
         if (state.sessions.length > 500) state.sessions.shift();
+        pruneReplays(state.sessions);
     }
 
     // Calculate personal best for this lesson (excluding current session)
@@ -157,13 +180,18 @@ export function endSession(finalInput, state, DATA, showScreen, saveState) {
         personalBest = { netWPM: bestWPM, accuracy: bestAccuracy };
     }
 
-    // Update streak counter
-    updateStreak(state);
+    // A course drill at or above the gate unlocks the next letter
+    let course = null;
+    if (state.runtime.lesson.type === 'course') {
+        if (!state.progress.course) state.progress.course = { unlocked: [] };
+        const passed = results.accuracy >= config.COURSE_ACCURACY_GATE;
+        course = { passed, gate: config.COURSE_ACCURACY_GATE, unlocked: passed ? unlockNextKey(state.progress.course, DATA.KEYMAP) : null };
+    }
 
     // Play success sound
     playSuccessSound(state.settings?.soundEnabled);
 
-    state.runtime.summaryResults = { ...results, newBadges, isDrill: state.runtime.isDrill, personalBest };
+    state.runtime.summaryResults = { ...results, newBadges, isDrill: state.runtime.isDrill, personalBest, course, worstTransitions, goal, planStep, streak };
     
     saveState();
     showScreen('summary');
@@ -174,8 +202,11 @@ export function endSession(finalInput, state, DATA, showScreen, saveState) {
  * @param {object} state - The main application state object.
  * @param {object} DATA - The global data object.
  * @param {function} showScreen - Callback to render a new screen.
+ * @param {function} persistState - Callback to save state.
+ * @param {object} [options]
+ * @param {number|string} [options.seed=Date.now()] - Seed for the drill generator.
  */
-export function startFocusDrill(state, DATA, showScreen, persistState) {
+export function startFocusDrill(state, DATA, showScreen, persistState, { seed = Date.now() } = {}) {
     const { trickyWords, hardestKeys } = state.runtime.summaryResults;
     let drillLesson = null;
 
@@ -202,11 +233,16 @@ export function startFocusDrill(state, DATA, showScreen, persistState) {
     if (!drillLesson && trickyWords.length > 0) {
         drillLesson = { type: 'drill', data: { name: "Focus on: Tricky Words", words: [...trickyWords, ...trickyWords] }, withTimer: true };
     } else if (!drillLesson && hardestKeys.length > 0) {
-        const key = hardestKeys[0];
-        const words = [...DATA.WORDSETS, ...DATA.PASSAGES, ...DATA.PHONICS].flatMap(d => d.words || d.text.split(' ')).filter(w => normaliseString(w).toLowerCase().includes(key));
-        const drillWords = [...new Set(words)].filter(w => w.length > 2).sort(() => 0.5 - Math.random()).slice(0, 10);
-        if (drillWords.length > 4) {
-            drillLesson = { type: 'drill', data: { name: `Focus on: '${key}' key`, words: drillWords }, withTimer: true };
+        const targets = [...new Set(hardestKeys.map(k => k.toLowerCase()))].filter(k => /^[a-z]$/.test(k));
+        // Only letters the learner has typed before, so a drill never springs an unfamiliar key on them
+        const metKeys = Object.keys(state.progress.keyStats || {}).filter(k => state.progress.keyStats[k].attempts > 0);
+        const { words } = targets.length
+            ? generateDrill(DATA, { targets, length: config.FOCUS_DRILL_WORDS, stage: state.runtime.lesson?.data?.stage, allowedKeys: metKeys, seed })
+            : { words: [] };
+        // The generator repeats words from a small pool, so count different words for variety
+        if (new Set(words).size > 4) {
+            const label = targets.map(k => `'${k}'`).join(', ');
+            drillLesson = { type: 'drill', data: { name: `Focus on: ${label} ${targets.length === 1 ? 'key' : 'keys'}`, words }, withTimer: true };
         }
     }
 
@@ -8,23 +8,37 @@
 // --- MODULE IMPORTS ---
 import { config } from './config.js';
 import { DATA, loadInitialData, loadStageData } from './dataLoader.js';
-import { applySettings, getScreenHtml, getModalHtml, updateLessonPicker, resetLessonPickerState, triggerConfetti, toast, getLessonPickerState, handleLessonPickerPagination, printCertificate } from './ui.js';
+import { applySettings, getScreenHtml, getModalHtml, updateLessonPicker, resetLessonPickerState, triggerConfetti, toast, getLessonPickerState, handleLessonPickerPagination, printCertificate, printProgressReport, renderReplayFrame, renderContentEditorErrors, getUpdateBannerHtml } from './ui.js';
 import { startSession, endSession, startFocusDrill } from './lessons.js';
 import { sha256Hex, debounce } from './utils.js';
+import { parseBackup, mergeBackup, summariseImport } from './backup.js';
+import { SCHEMA_VERSION, parseSave } from './migrations.js';
+import { loadProfiles, getActiveProfile, setActiveProfile, createProfile, deleteProfile, getStateKey, getDraftKey, getParentPin, setParentPin } from './profiles.js';
 import { handleTypingInput, calculateVisualLines } from './keyboard.js';
 import { speakText, stopSpeaking, isSpeaking, isSpeechAvailable } from './sounds.js';
+import { createReplayPlayer } from './replay.js';
+import { recommendLesson } from './recommender.js';
+import { getDueWords, toDateKey } from './wordBank.js';
+import { getCourseStatus, buildCourseDrill } from './course.js';
+import { DEFAULT_GOAL, GOAL_TYPES } from './goals.js';
+import { DEFAULT_REST_DAYS } from './streaks.js';
+import { queueOwedBadges, getBadgeRulesSignature } from './badgeAudit.js';
+import { getDayPlan, getNextPlanStep, completePlanStep, buildWarmupDrill } from './planner.js';
+import { loadLessonPacks, applyLessonPacks, parsePack, installPack, removePack, getInstalledPacks, buildPack, exportInstalledPack } from './lessonPacks.js';
+import { applyKeyboardLayout, DEFAULT_LAYOUT_ID } from './layouts.js';
+import { loadCustomContent, applyCustomContent, validateCustomItem, findUnsupportedChars, saveCustomItem, deleteCustomItem, getCustomItems } from './customContent.js';
 
 'use strict';
 const APP_VERSION = "8.0.0";
-const SCHEMA_VERSION = 1;
 const CURRENT_WELCOME_VERSION = 1;
-const DEFAULT_META = { hasSeenWelcome: false, welcomeVersion: CURRENT_WELCOME_VERSION, lastLessonId: null };
-const DRAFT_KEY = 'storykeys_draft';
+const DEFAULT_META = { hasSeenWelcome: false, welcomeVersion: CURRENT_WELCOME_VERSION, lastLessonId: null, badgeRules: null };
+const DEFAULT_SETTINGS = { font: 'default', lineHeight: 1.7, letterSpacing: 2, theme: 'cream', lockstepDefault: true, focusLineDefault: true, keyboardHintDefault: false, showTimerDisplay: true, defaultStage: 'KS2', soundEnabled: false, fingerGuide: false, reduceMotion: false, voiceGender: 'female', voiceSpeed: 0.85, keyboardLayout: DEFAULT_LAYOUT_ID, dailyGoal: DEFAULT_GOAL, restDays: DEFAULT_REST_DAYS };
+const DEFAULT_PROGRESS = { minutesTotal: 0, wordsTotal: 0, badges: [], themesCompleted: {}, stagesCompleted: {}, bestStreak: 0, completedPassages: [], completedSpellings: [], completedPhonics: [], keyStats: {}, ngramStats: {}, wordBank: {}, course: { unlocked: [] }, practiceLog: {}, dayPlan: null, badgeQueue: [], mastery: { words: {}, phonics: {} } };
 
 // --- Draft Session Management ---
 function saveDraft(lessonId, lessonType, typedText, lessonData) {
     try {
-        localStorage.setItem(DRAFT_KEY, JSON.stringify({
+        localStorage.setItem(getDraftKey(), JSON.stringify({
             lessonId,
             lessonType,
             typedText,
@@ -38,7 +52,7 @@ function saveDraft(lessonId, lessonType, typedText, lessonData) {
 
 function loadDraft() {
     try {
-        const raw = localStorage.getItem(DRAFT_KEY);
+        const raw = localStorage.getItem(getDraftKey());
         if (!raw) return null;
         const draft = JSON.parse(raw);
         // Expire drafts older than 24 hours
@@ -53,7 +67,7 @@ function loadDraft() {
 }
 
 function clearDraft() {
-    localStorage.removeItem(DRAFT_KEY);
+    localStorage.removeItem(getDraftKey());
 }
 
 // Debounced draft saver (saves at most once every 2 seconds)
@@ -66,41 +80,129 @@ const debouncedSaveDraft = debounce((state, typedText) => {
 }, 2000);
 
 // --- 1. STATE MANAGEMENT ---
-let state = {
-    settings: { font: 'default', lineHeight: 1.7, letterSpacing: 2, theme: 'cream', lockstepDefault: true, focusLineDefault: true, keyboardHintDefault: false, showTimerDisplay: true, defaultStage: 'KS2', pin: null, soundEnabled: false, fingerGuide: false, reduceMotion: false, voiceGender: 'female', voiceSpeed: 0.85 },
-    progress: { minutesTotal: 0, wordsTotal: 0, badges: [], themesCompleted: {}, stagesCompleted: {}, lastPlayed: null, consecutiveDays: 0, completedPassages: [], completedSpellings: [], completedPhonics: [] },
-    sessions: [],
-    meta: { ...DEFAULT_META },
-    ui: { currentScreen: 'home', modal: null, lastFocus: null },
-    runtime: {},
-};
+function createDefaultState() {
+    return {
+        settings: { ...DEFAULT_SETTINGS },
+        progress: JSON.parse(JSON.stringify(DEFAULT_PROGRESS)),
+        sessions: [],
+        meta: { ...DEFAULT_META },
+        ui: { currentScreen: 'home', modal: null, lastFocus: null },
+        runtime: {},
+    };
+}
+
+let state = createDefaultState();
+// A save made by a newer version is left where it is, so updating StoryKeys brings it back
+let protectedSaveKey = null;
 
 function saveState() {
+    if (getStateKey() === protectedSaveKey) return;
     try {
-        localStorage.setItem('storykeys_state', JSON.stringify({ ...state, _v: SCHEMA_VERSION }));
+        const { settings, progress, sessions, meta } = state;
+        localStorage.setItem(getStateKey(), JSON.stringify({ settings, progress, sessions, meta, _v: SCHEMA_VERSION }));
     } catch (e) {
         console.warn('Unable to save state to localStorage:', e);
     }
 }
 
 function loadState() {
-    try {
-        const raw = localStorage.getItem('storykeys_state');
-        if (!raw) return;
-        const parsed = JSON.parse(raw);
-        state.settings = { ...state.settings, ...parsed.settings };
+    const key = getStateKey();
+    protectedSaveKey = null;
+    const raw = localStorage.getItem(key);
+    if (!raw) return;
+
+    const result = parseSave(raw);
+    if (!result.ok) {
+        // Keep the original text so nothing is lost when this profile next saves
+        console.error('Failed to load state from localStorage:', result.error);
+        try {
+            localStorage.setItem(`${key}_unreadable`, raw);
+        } catch (e) {
+            console.warn('Unable to keep a copy of the unreadable save:', e);
+        }
+        if (result.reason === 'future') protectedSaveKey = key;
+        state.ui.saveProblem = { reason: result.reason, error: result.error };
+        return;
+    }
+
+    if (result.fromVersion < SCHEMA_VERSION) {
+        try {
+            localStorage.setItem(`${key}_pre_v${result.fromVersion}`, raw);
+        } catch (e) {
+            console.warn('Unable to keep a pre-migration copy of the save:', e);
+        }
+    }
+
+    const parsed = result.data;
+    state.settings = { ...state.settings, ...parsed.settings };
+    state.progress = {
+        ...state.progress,
+        ...parsed.progress,
+        completedPassages: parsed.progress?.completedPassages || [],
+        completedSpellings: parsed.progress?.completedSpellings || [],
+        completedPhonics: parsed.progress?.completedPhonics || [],
+    };
+    state.sessions = parsed.sessions || [];
+    state.meta = { ...DEFAULT_META, ...(parsed.meta || {}) };
+    if (result.fromVersion < SCHEMA_VERSION) saveState();
+}
+
+function switchProfile(profileId) {
+    saveState();
+    if (!setActiveProfile(profileId)) return;
+    state = createDefaultState();
+    loadState();
+    recheckOwedBadges();
+    applyKeyboardLayout(DATA, state.settings.keyboardLayout);
+    applySettings(state.settings, state.progress);
+    showScreen('home');
+    if (state.ui.saveProblem) showModal('saveProblem');
+    else if (shouldShowWelcome()) showModal('welcome');
+}
+
+function applyImport(backup, mode) {
+    if (mode === 'replace') {
+        // Replacing everything is a deliberate choice, so it may overwrite a newer version's save
+        protectedSaveKey = null;
+        state.settings = { ...state.settings, ...backup.settings };
         state.progress = {
             ...state.progress,
-            ...parsed.progress,
-            completedPassages: parsed.progress?.completedPassages || [],
-            completedSpellings: parsed.progress?.completedSpellings || [],
-            completedPhonics: parsed.progress?.completedPhonics || [],
+            ...backup.progress,
+            completedPassages: backup.progress.completedPassages || [],
+            completedSpellings: backup.progress.completedSpellings || [],
+            completedPhonics: backup.progress.completedPhonics || [],
         };
-        state.sessions = parsed.sessions || [];
-        state.meta = { ...DEFAULT_META, ...(parsed.meta || {}) };
-    } catch (e) {
-        console.error("Failed to parse state from localStorage:", e);
+        state.sessions = backup.sessions;
+        state.meta = { ...DEFAULT_META, ...backup.meta };
+    } else {
+        const merged = mergeBackup(state, backup);
+        state.progress = merged.progress;
+        state.sessions = merged.sessions;
+    }
+    saveState();
+}
+
+/**
+ * Looks back over the saved sessions for badges the learner is owed and queues them.
+ * Runs when the badge rules have changed since this learner last checked, or when forced
+ * (after an import, or when a parent asks).
+ * @param {object} [options]
+ * @param {boolean} [options.force=false]
+ * @returns {Promise<number>} How many badges were newly queued.
+ */
+async function recheckOwedBadges({ force = false } = {}) {
+    const signature = getBadgeRulesSignature(DATA.BADGES);
+    if (!force && state.meta.badgeRules === signature) return 0;
+    if (!state.sessions.length) {
+        state.meta.badgeRules = signature;
+        return 0;
     }
+    // Themes and punctuation are looked up in the lesson data, so every stage needs to be loaded
+    await Promise.all(['KS1', 'KS2', 'KS3', 'KS4'].map(loadStageData));
+    const added = queueOwedBadges(state, DATA);
+    state.meta.badgeRules = signature;
+    saveState();
+    return added;
 }
 
 function markWelcomeSeen() {
@@ -117,27 +219,73 @@ function shouldShowWelcome() {
 const mainContent = document.getElementById('main-content');
 const modalContainer = document.getElementById('modal-container');
 
-function pickFreshLesson(pool, type) {
-    const completedIds = new Set(
-        type === 'spelling'
-            ? state.progress.completedSpellings || []
-            : type === 'phonics'
-                ? state.progress.completedPhonics || []
-                : state.progress.completedPassages || []
-    );
-    const unseen = pool.filter(item => !completedIds.has(item.id));
-    if (unseen.length) {
-        return unseen[Math.floor(Math.random() * unseen.length)];
+function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function startWordReview() {
+    const words = getDueWords(state.progress.wordBank).slice(0, config.REVIEW_MAX_WORDS);
+    if (!words.length) {
+        toast('No words are due for review today.');
+        return;
     }
+    startSession({ type: 'review', data: { id: 'review_due_words', name: 'Review Due Words', words } }, state, showScreen, saveState);
+}
 
-    const history = state.sessions.filter(s => s.contentType === type);
-    if (!history.length) {
-        return pool.length ? pool[Math.floor(Math.random() * pool.length)] : null;
+async function startCourseDrill() {
+    // Real words can come from any stage, so make sure every word set is loaded
+    await Promise.all(['KS1', 'KS2', 'KS3', 'KS4'].map(loadStageData));
+    const status = getCourseStatus(state.progress.course, DATA.KEYMAP);
+    const { focus, words } = buildCourseDrill(status, DATA, { count: config.COURSE_DRILL_WORDS });
+    const name = status.newest ? `Learn the Keys: '${status.newest}'` : 'Learn the Keys: Home Row';
+    const reason = `Using only the keys you have unlocked. Focus: ${focus.join(' ')}`;
+    startSession({ type: 'course', data: { id: `course_${focus.join('')}`, name, words }, reason }, state, showScreen, saveState);
+}
+
+// Starts the next step of today's plan; its lesson is chosen now, for the default stage
+async function startPlanStep() {
+    const step = getNextPlanStep(getDayPlan(state.progress));
+    if (!step) return;
+    const stage = state.settings.defaultStage;
+    if (step.kind === 'warmup') {
+        // Warm-up words can come from any stage, so make sure every word set is loaded
+        await Promise.all(['KS1', 'KS2', 'KS3', 'KS4'].map(loadStageData));
+        const { targets, words } = buildWarmupDrill(state, DATA, { length: config.WARMUP_DRILL_WORDS });
+        if (!words.length) {
+            completePlanStep(state.progress, 'warmup');
+            saveState();
+            toast('No warm-up words are available, so the plan moves on.');
+            showScreen('home');
+            return;
+        }
+        const reason = `A gentle warm-up on ${targets.map(k => `'${k}'`).join(', ')}`;
+        startSession({ type: 'drill', data: { name: 'Warm-up', words }, withTimer: true, reason, planStep: 'warmup' }, state, showScreen, saveState);
+        return;
+    }
+    await loadStageData(stage);
+    const pool = step.kind === 'passage' ? DATA.PASSAGES : DATA.SPELLING;
+    const pick = recommendFor(pool.filter(item => item.stage === stage), step.kind);
+    if (!pick) {
+        toast(`No ${stage} ${step.kind === 'passage' ? 'stories' : 'spelling lists'} are available yet. Try another default stage in Settings.`);
+        return;
     }
+    startSession({ type: step.kind, data: pick.item, reason: pick.reason, planStep: step.kind }, state, showScreen, saveState);
+}
 
-    const lastPlayed = new Map();
-    history.forEach(s => lastPlayed.set(s.contentId, new Date(s.ts).getTime()));
-    return [...pool].sort((a, b) => (lastPlayed.get(a.id) || 0) - (lastPlayed.get(b.id) || 0))[0] || null;
+// Date inputs give 'YYYY-MM-DD'; read them as local days
+function readDateInput(id) {
+    const [y, m, d] = document.getElementById(id).value.split('-').map(Number);
+    return y ? new Date(y, m - 1, d) : null;
+}
+
+function recommendFor(pool, type) {
+    const allItems = [...DATA.PASSAGES, ...DATA.SPELLING, ...DATA.PHONICS];
+    return recommendLesson(pool, type, state, allItems);
 }
 
 // --- 3. UI ROUTING & RENDERING ---
@@ -192,9 +340,18 @@ function closeModal() {
         if (state.ui.modal === 'welcome') {
             markWelcomeSeen();
         }
+        if (state.ui.modal === 'saveProblem') {
+            state.ui.saveProblem = null;
+        }
+        if (state.runtime._stopReplay) {
+            state.runtime._stopReplay();
+            state.runtime._stopReplay = null;
+        }
         modalEl.classList.remove('active');
         document.body.classList.remove('modal-open');
         setTimeout(() => {
+            // Another modal may have replaced this one while it faded out
+            if (!modalContainer.contains(modalEl)) return;
             modalContainer.innerHTML = '';
             state.ui.modal = null;
             if (state.ui.lastFocus) state.ui.lastFocus.focus();
@@ -235,7 +392,7 @@ function bindAppEvents() {
     document.getElementById('start-here-btn').addEventListener('click', () => showModal('welcome'));
     document.getElementById('settings-btn').addEventListener('click', () => showModal('settings'));
     document.getElementById('parent-btn').addEventListener('click', () => {
-        state.settings.pin ? showModal('pin') : showModal('parent');
+        getParentPin() ? showModal('pin') : showModal('parent');
     });
     const footerPrivacyLink = document.getElementById('footer-privacy-link');
     if (footerPrivacyLink) {
@@ -283,6 +440,12 @@ function bindScreenEvents(screenName) {
             });
         }
 
+        document.getElementById('profile-switcher').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-profile-id]');
+            if (btn && btn.getAttribute('aria-pressed') !== 'true') switchProfile(btn.dataset.profileId);
+        });
+        document.getElementById('add-profile-btn').addEventListener('click', () => showModal('addProfile'));
+
         // Use event delegation for the new story buttons
         document.getElementById('new-story-card').addEventListener('click', async (e) => {
             if (e.target.matches('[data-stage]')) {
@@ -293,12 +456,12 @@ function bindScreenEvents(screenName) {
                 await loadStageData(stage); // Ensure the data for this stage is loaded
 
                 const allPassagesForStage = DATA.PASSAGES.filter(p => p.stage === stage);
-                const lessonData = pickFreshLesson(allPassagesForStage, 'passage');
-                if (!lessonData) {
+                const pick = recommendFor(allPassagesForStage, 'passage');
+                if (!pick) {
                     toast(`No ${stage} passages are available yet. Please try another stage.`);
                     return;
                 }
-                startSession({ type: 'passage', data: lessonData }, state, showScreen, saveState);
+                startSession({ type: 'passage', data: pick.item, reason: pick.reason }, state, showScreen, saveState);
             }
 
             if (e.target.matches('[data-spelling-stage]')) {
@@ -310,12 +473,12 @@ function bindScreenEvents(screenName) {
                     return;
                 }
 
-                const lessonData = pickFreshLesson(stageSpellings, 'spelling');
-                if (!lessonData) {
+                const pick = recommendFor(stageSpellings, 'spelling');
+                if (!pick) {
                     toast(`No fresh spelling lists found for ${stage}. Please try another stage.`);
                     return;
                 }
-                startSession({ type: 'spelling', data: lessonData }, state, showScreen, saveState);
+                startSession({ type: 'spelling', data: pick.item, reason: pick.reason }, state, showScreen, saveState);
             }
         });
 
@@ -326,17 +489,26 @@ function bindScreenEvents(screenName) {
                     toast('Phonics passages are still loading. Please try again in a moment.');
                     return;
                 }
-                const lessonData = pickFreshLesson(DATA.PHONICS, 'phonics');
-                if (!lessonData) {
+                const pick = recommendFor(DATA.PHONICS, 'phonics');
+                if (!pick) {
                     toast('No phonics passages available yet. Please try again later.');
                     return;
                 }
-                startSession({ type: 'phonics', data: lessonData }, state, showScreen, saveState);
+                startSession({ type: 'phonics', data: pick.item, reason: pick.reason }, state, showScreen, saveState);
             });
         }
 
         document.getElementById('browse-lessons-btn').addEventListener('click', () => showModal('lessonPicker'));
 
+        const reviewBtn = document.getElementById('review-words-btn');
+        if (reviewBtn) reviewBtn.addEventListener('click', startWordReview);
+
+        const planBtn = document.getElementById('plan-next-btn');
+        if (planBtn) planBtn.addEventListener('click', startPlanStep);
+
+        const courseBtn = document.getElementById('course-btn');
+        if (courseBtn) courseBtn.addEventListener('click', startCourseDrill);
+
         const viewBadgesBtn = document.getElementById('view-badges-btn');
         if (viewBadgesBtn) {
             viewBadgesBtn.addEventListener('click', () => showModal('badges'));
@@ -350,6 +522,14 @@ function bindScreenEvents(screenName) {
                 if (!btn) return;
                 const id = btn.dataset.recentId;
                 const type = btn.dataset.recentType;
+                if (type === 'review') {
+                    startWordReview();
+                    return;
+                }
+                if (type === 'course') {
+                    startCourseDrill();
+                    return;
+                }
                 
                 // Find the lesson in the appropriate data array
                 let lessonData = null;
@@ -560,6 +740,27 @@ function bindScreenEvents(screenName) {
         
         const drillBtn = document.getElementById('start-drill-btn');
         if (drillBtn) drillBtn.addEventListener('click', () => startFocusDrill(state, DATA, showScreen, saveState));
+
+        const courseNextBtn = document.getElementById('course-next-btn');
+        if (courseNextBtn) courseNextBtn.addEventListener('click', startCourseDrill);
+
+        const planNextBtn = document.getElementById('plan-next-btn');
+        if (planNextBtn) planNextBtn.addEventListener('click', startPlanStep);
+
+        document.querySelectorAll('[data-practise-pattern]').forEach(btn => btn.addEventListener('click', () => {
+            const pattern = DATA.PATTERNS.find(p => p.id === btn.dataset.practisePattern);
+            if (pattern) startSession({ type: 'drill', data: { name: `Focus on: ${pattern.name}`, words: pattern.items }, withTimer: true }, state, showScreen, saveState);
+        }));
+
+        const watchReplayBtn = document.getElementById('watch-replay-btn');
+        if (watchReplayBtn) watchReplayBtn.addEventListener('click', () => {
+            state.ui.replay = {
+                title: state.runtime.lesson.data.title || state.runtime.lesson.data.name,
+                targetText: state.runtime.targetTextNorm,
+                keystrokes: state.runtime.keystrokes
+            };
+            showModal('replay');
+        });
         
         document.getElementById('home-btn').addEventListener('click', () => showScreen('home'));
         
@@ -573,6 +774,7 @@ function bindScreenEvents(screenName) {
         
         // Keyboard shortcuts for summary screen
         const summaryKeyHandler = (e) => {
+            if (state.ui.modal) return; // Let open modals (e.g. the replay) handle their own keys
             if (e.key === 'Enter' && replayBtn && !state.runtime.summaryResults.isDrill) {
                 startSession(state.runtime.lesson, state, showScreen, saveState);
             } else if (e.key === 'Escape') {
@@ -719,6 +921,7 @@ function bindModalEvents(modalName) {
         document.getElementById('setting-voice-gender').value = s.voiceGender || 'female';
         document.getElementById('setting-voice-speed').value = s.voiceSpeed ?? 0.85;
         document.getElementById('setting-default-stage').value = s.defaultStage;
+        document.getElementById('setting-keyboard-layout').value = s.keyboardLayout || DEFAULT_LAYOUT_ID;
         document.getElementById('lh-val').textContent = s.lineHeight;
         document.getElementById('ls-val').textContent = `+${s.letterSpacing}%`;
         document.getElementById('vs-val').textContent = `${Math.round((s.voiceSpeed ?? 0.85) * 100)}%`;
@@ -742,10 +945,12 @@ function bindModalEvents(modalName) {
             s.voiceGender = document.getElementById('setting-voice-gender').value;
             s.voiceSpeed = parseFloat(document.getElementById('setting-voice-speed').value);
             s.defaultStage = document.getElementById('setting-default-stage').value;
+            s.keyboardLayout = document.getElementById('setting-keyboard-layout').value;
             
             const newPin = document.getElementById('setting-pin').value;
-            if (/^\d{4}$/.test(newPin)) s.pin = await sha256Hex(newPin);
+            if (/^\d{4}$/.test(newPin)) setParentPin(await sha256Hex(newPin));
             
+            applyKeyboardLayout(DATA, s.keyboardLayout);
             applySettings(s, state.progress);
             saveState();
             closeModal();
@@ -754,19 +959,315 @@ function bindModalEvents(modalName) {
     if (modalName === 'parent') {
         document.getElementById('export-btn').addEventListener('click', () => {
             const timestamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
-            const dataStr = JSON.stringify({ _v: SCHEMA_VERSION, appVersion: APP_VERSION, state }, null, 2);
-            const blob = new Blob([dataStr], { type: "application/json" });
+            const { id, name, avatar } = getActiveProfile();
+            downloadJson({ _v: SCHEMA_VERSION, appVersion: APP_VERSION, profile: { id, name, avatar }, state }, `storykeys-backup-${timestamp}.json`);
+        });
+        const importInput = document.getElementById('import-file-input');
+        document.getElementById('import-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            const result = parseBackup(await file.text());
+            importInput.value = '';
+            if (!result.ok) {
+                alert(result.error);
+                return;
+            }
+            state.ui.pendingImport = {
+                fileName: file.name,
+                backup: result.backup,
+                summary: summariseImport(state, result.backup)
+            };
+            showModal('importPreview');
+        });
+        document.getElementById('clear-data-btn').addEventListener('click', () => {
+            if (confirm(`Really clear all progress for ${getActiveProfile().name}? This cannot be undone.`)) {
+                localStorage.removeItem(getStateKey());
+                clearDraft();
+                location.reload();
+            }
+        });
+        modalEl.querySelector('.session-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-replay-session]');
+            if (!btn) return;
+            const session = state.sessions.find(s => s.id === btn.dataset.replaySession);
+            if (!session?.replay) return;
+            state.ui.replay = {
+                title: `${session.contentId.split('_').slice(1).join(' ')} (${new Date(session.ts).toLocaleDateString()})`,
+                targetText: session.replay.targetText,
+                keystrokes: session.replay.keystrokes
+            };
+            showModal('replay');
+        });
+        document.getElementById('save-goal-btn').addEventListener('click', () => {
+            const type = document.getElementById('goal-type').value;
+            const readAmount = input => Math.min(120, Math.max(1, parseInt(input.value, 10) || 0));
+            const target = readAmount(document.getElementById('goal-target'));
+            const weekdays = {};
+            modalEl.querySelectorAll('[data-goal-weekday]').forEach(input => {
+                if (input.value.trim()) weekdays[input.dataset.goalWeekday] = readAmount(input);
+            });
+            state.settings.dailyGoal = { type: GOAL_TYPES.includes(type) ? type : 'none', target, weekdays };
+            saveState();
+            toast('Daily goal saved.');
+            // The home screen's goal ring sits behind the modal
+            if (state.ui.currentScreen === 'home') showScreen('home');
+            showModal('parent', { scrollToId: 'daily-goal' });
+        });
+        const saveRestDays = (restDays) => {
+            state.settings.restDays = restDays;
+            saveState();
+            if (state.ui.currentScreen === 'home') showScreen('home');
+            showModal('parent', { scrollToId: 'rest-days' });
+        };
+        modalEl.querySelectorAll('[data-rest-weekday]').forEach(box => box.addEventListener('change', () => {
+            const weekdays = [...modalEl.querySelectorAll('[data-rest-weekday]:checked')].map(b => Number(b.dataset.restWeekday));
+            saveRestDays({ ...DEFAULT_REST_DAYS, ...state.settings.restDays, weekdays });
+            document.querySelector(`[data-rest-weekday="${box.dataset.restWeekday}"]`)?.focus();
+        }));
+        document.getElementById('add-holiday-btn').addEventListener('click', () => {
+            const from = readDateInput('holiday-from');
+            const to = readDateInput('holiday-to') || from;
+            if (!from || from > to) {
+                toast('Please choose a start date on or before the end date.');
+                return;
+            }
+            const holidays = [...(state.settings.restDays?.holidays || []), { from: toDateKey(from), to: toDateKey(to) }]
+                .sort((a, b) => a.from.localeCompare(b.from));
+            saveRestDays({ ...DEFAULT_REST_DAYS, ...state.settings.restDays, holidays });
+            toast('Holiday added.');
+        });
+        modalEl.querySelectorAll('[data-remove-holiday]').forEach(btn => btn.addEventListener('click', () => {
+            const holidays = (state.settings.restDays?.holidays || []).filter((_, i) => i !== Number(btn.dataset.removeHoliday));
+            saveRestDays({ ...DEFAULT_REST_DAYS, ...state.settings.restDays, holidays });
+        }));
+        document.getElementById('check-badges-btn').addEventListener('click', async () => {
+            const added = await recheckOwedBadges({ force: true });
+            toast(added ? `${added} owed ${added === 1 ? 'badge' : 'badges'} will arrive over the next few lessons.` : 'No new badges are owed.');
+            state.ui.badgeAudit = true;
+            showModal('parent', { scrollToId: 'badge-audit' });
+        });
+        document.getElementById('print-report-btn').addEventListener('click', async () => {
+            const from = readDateInput('report-from');
+            const to = readDateInput('report-to');
+            if (!from || !to || from > to) {
+                toast('Please choose a start date on or before the end date.');
+                return;
+            }
+            // Themes are looked up in the lesson data, so every stage needs to be loaded
+            await Promise.all(['KS1', 'KS2', 'KS3', 'KS4'].map(loadStageData));
+            printProgressReport(state, DATA, { from, to });
+        });
+        modalEl.querySelector('.chart-period')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-chart-period]');
+            if (!btn) return;
+            state.ui.chartPeriod = btn.dataset.chartPeriod;
+            showModal('parent', { scrollToId: 'progress-over-time' });
+            document.querySelector(`[data-chart-period="${state.ui.chartPeriod}"]`)?.focus();
+        });
+        modalEl.querySelector('.profile-table')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-profile-action]');
+            if (!btn) return;
+            const { profileAction, profileId } = btn.dataset;
+            if (profileAction === 'switch') {
+                closeModal();
+                switchProfile(profileId);
+            } else if (profileAction === 'delete' && confirm('Remove this learner and all of their progress? This cannot be undone.')) {
+                deleteProfile(profileId);
+                showModal('parent');
+            }
+        });
+        document.getElementById('create-content-btn').addEventListener('click', () => {
+            state.ui.contentEditor = { item: null };
+            showModal('contentEditor');
+        });
+        modalEl.querySelector('.custom-content-table')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-content-action]');
+            if (!btn) return;
+            const item = getCustomItems().find(i => i.id === btn.dataset.contentId);
+            if (!item) return;
+            if (btn.dataset.contentAction === 'edit') {
+                state.ui.contentEditor = { item };
+                showModal('contentEditor');
+            } else if (confirm(`Delete "${item.title || item.name}"? Learners will no longer see it.`)) {
+                deleteCustomItem(item.id, DATA);
+                showModal('parent');
+            }
+        });
+        const packInput = document.getElementById('pack-file-input');
+        document.getElementById('import-pack-btn').addEventListener('click', () => packInput.click());
+        packInput.addEventListener('change', async () => {
+            const file = packInput.files[0];
+            if (!file) return;
+            const result = parsePack(await file.text(), DATA.KEYMAP);
+            packInput.value = '';
+            if (!result.ok) {
+                alert(result.error);
+                return;
+            }
+            state.ui.pendingPack = { pack: result.pack, warnings: result.warnings, replaces: result.replaces };
+            showModal('packPreview');
+        });
+        document.getElementById('share-pack-btn').addEventListener('click', () => showModal('sharePack'));
+        modalEl.querySelector('.lesson-pack-table')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-pack-action]');
+            if (!btn) return;
+            const pack = getInstalledPacks().find(p => p.id === btn.dataset.packId);
+            if (!pack) return;
+            if (btn.dataset.packAction === 'download') {
+                downloadJson(exportInstalledPack(pack), `storykeys-pack-${pack.id}.json`);
+            } else if (confirm(`Remove the "${pack.name}" pack? Its lessons will disappear from the lesson picker.`)) {
+                removePack(pack.id, DATA);
+                showModal('parent');
+            }
+        });
+    }
+    if (modalName === 'packPreview') {
+        document.getElementById('pack-cancel-btn').addEventListener('click', () => {
+            state.ui.pendingPack = null;
+            showModal('parent');
+        });
+        document.getElementById('pack-install-btn').addEventListener('click', () => {
+            const { pack } = state.ui.pendingPack;
+            if (!installPack(pack, DATA)) {
+                alert('There is no room left to save this pack on this device. Try removing another pack first.');
+                return;
+            }
+            state.ui.pendingPack = null;
+            showModal('parent');
+            toast(`"${pack.name}" installed. Find its lessons in Browse All Lessons.`);
+        });
+    }
+    if (modalName === 'sharePack') {
+        const form = document.getElementById('share-pack-form');
+        document.getElementById('share-pack-cancel-btn').addEventListener('click', () => showModal('parent'));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = document.getElementById('pack-name-input').value.trim();
+            const ids = new Set([...form.querySelectorAll('input[name="share-item"]:checked')].map(cb => cb.value));
+            const errors = [];
+            if (!name) errors.push('Give the pack a name.');
+            if (!ids.size) errors.push('Choose at least one lesson to include.');
+            if (errors.length) {
+                renderContentEditorErrors(errors);
+                return;
+            }
+            const pack = buildPack({
+                name,
+                author: document.getElementById('pack-author-input').value.trim(),
+                description: document.getElementById('pack-description-input').value.trim()
+            }, getCustomItems().filter(item => ids.has(item.id)));
+            downloadJson(pack, `storykeys-pack-${pack.id || 'lessons'}.json`);
+            showModal('parent');
+            toast('Lesson pack downloaded.');
+        });
+    }
+    if (modalName === 'contentEditor') {
+        const form = document.getElementById('content-editor-form');
+        const bodyInput = document.getElementById('content-body');
+        const bodyHint = document.getElementById('content-body-hint');
+        const readForm = () => ({
+            id: state.ui.contentEditor?.item?.id,
+            type: form.querySelector('input[name="content-type"]:checked').value,
+            title: document.getElementById('content-title').value,
+            stage: document.getElementById('content-stage').value,
+            theme: document.getElementById('content-theme').value,
+            phonics: [...document.getElementById('content-phonics').selectedOptions].map(o => o.value),
+            body: bodyInput.value
+        });
+
+        // Flag untypeable characters while the text is written, before any other checks
+        bodyInput.addEventListener('input', debounce(() => {
+            const unsupported = findUnsupportedChars(bodyInput.value, DATA.KEYMAP);
+            renderContentEditorErrors(unsupported.length ? [`These characters have no key on the keyboard: ${unsupported.map(ch => `'${ch}'`).join(' ')}`] : []);
+        }, 300));
+        form.querySelectorAll('input[name="content-type"]').forEach(radio => radio.addEventListener('change', () => {
+            bodyHint.textContent = radio.value === 'passage' ? 'Type or paste the passage.' : 'Put one word on each line.';
+        }));
+        document.getElementById('content-cancel-btn').addEventListener('click', () => {
+            state.ui.contentEditor = null;
+            showModal('parent');
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const result = validateCustomItem(readForm(), DATA.KEYMAP);
+            if (!result.ok) {
+                renderContentEditorErrors(result.errors);
+                return;
+            }
+            if (!saveCustomItem(result.item, DATA)) {
+                renderContentEditorErrors(['There is no room left to save on this device. Try deleting an older custom lesson.']);
+                return;
+            }
+            state.ui.contentEditor = null;
+            showModal('parent');
+            toast('Lesson saved. Find it in Browse All Lessons.');
+        });
+    }
+    if (modalName === 'replay') {
+        const { targetText, keystrokes } = state.ui.replay;
+        const playBtn = document.getElementById('replay-play-btn');
+        const speedSelect = document.getElementById('replay-speed');
+        const player = createReplayPlayer(keystrokes, {
+            onFrame: (frame) => renderReplayFrame(frame.text, targetText, frame),
+            onEnd: () => { playBtn.textContent = '▶ Play'; }
+        });
+        player.setSpeed(parseFloat(speedSelect.value));
+        playBtn.addEventListener('click', () => {
+            if (player.isPlaying()) {
+                player.pause();
+                playBtn.textContent = '▶ Play';
+            } else {
+                playBtn.textContent = '⏸ Pause';
+                player.play();
+            }
+        });
+        document.getElementById('replay-restart-btn').addEventListener('click', () => {
+            player.restart();
+            playBtn.textContent = '▶ Play';
+        });
+        speedSelect.addEventListener('change', () => player.setSpeed(parseFloat(speedSelect.value)));
+        state.runtime._stopReplay = () => player.pause();
+    }
+    if (modalName === 'saveProblem') {
+        document.getElementById('download-unreadable-btn').addEventListener('click', () => {
+            const raw = localStorage.getItem(`${getStateKey()}_unreadable`) || '';
+            const blob = new Blob([raw], { type: "application/json" });
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
-            a.href = url; a.download = `storykeys-backup-${timestamp}.json`;
+            a.href = url; a.download = `storykeys-unreadable-save.json`;
             a.click();
             URL.revokeObjectURL(url);
         });
-        document.getElementById('clear-data-btn').addEventListener('click', () => {
-            if (confirm('Really clear all progress? This cannot be undone.')) {
-                localStorage.removeItem('storykeys_state');
-                location.reload();
-            }
+        document.getElementById('save-problem-ok-btn').addEventListener('click', closeModal);
+    }
+    if (modalName === 'addProfile') {
+        const nameInput = document.getElementById('profile-name-input');
+        nameInput.focus();
+        document.getElementById('create-profile-btn').addEventListener('click', () => {
+            const avatar = modalEl.querySelector('input[name="profile-avatar"]:checked')?.value;
+            const profile = createProfile(nameInput.value, avatar);
+            closeModal();
+            switchProfile(profile.id);
+            toast(`Hello, ${profile.name}!`);
+        });
+    }
+    if (modalName === 'importPreview') {
+        document.getElementById('import-cancel-btn').addEventListener('click', () => {
+            state.ui.pendingImport = null;
+            showModal('parent');
+        });
+        document.getElementById('import-confirm-btn').addEventListener('click', () => {
+            const mode = modalEl.querySelector('input[name="import-mode"]:checked').value;
+            if (mode === 'replace' && !confirm('Replace all progress on this device with the backup?')) return;
+            applyImport(state.ui.pendingImport.backup, mode);
+            state.ui.pendingImport = null;
+            applyKeyboardLayout(DATA, state.settings.keyboardLayout);
+            applySettings(state.settings, state.progress);
+            closeModal();
+            showScreen('home');
+            toast(mode === 'replace' ? 'Backup restored.' : 'Backup merged with this device.');
+            recheckOwedBadges({ force: true });
         });
     }
     if (modalName === 'badges') {
@@ -779,7 +1280,7 @@ function bindModalEvents(modalName) {
         const pinInput = document.getElementById('pin-input');
         pinInput.focus();
         const submit = async () => {
-            const ok = state.settings.pin && await sha256Hex(pinInput.value) === state.settings.pin;
+            const ok = getParentPin() && await sha256Hex(pinInput.value) === getParentPin();
             if (ok) {
                 closeModal();
                 showModal('parent');
@@ -794,6 +1295,43 @@ function bindModalEvents(modalName) {
     }
 }
 
+// --- Offline support & updates ---
+function askWorkerVersion(worker) {
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (e) => resolve(e.data);
+        worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+        setTimeout(() => resolve(null), 1000);
+    });
+}
+
+async function showUpdatePrompt(worker) {
+    if (document.getElementById('update-banner')) return;
+    const newVersion = await askWorkerVersion(worker);
+    document.body.insertAdjacentHTML('beforeend', getUpdateBannerHtml(APP_VERSION, newVersion));
+    const banner = document.getElementById('update-banner');
+    document.getElementById('update-reload-btn').addEventListener('click', () => {
+        // Reload once the new worker has taken over, so every file comes from the new cache
+        navigator.serviceWorker.addEventListener('controllerchange', () => location.reload(), { once: true });
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    document.getElementById('update-later-btn').addEventListener('click', () => banner.remove());
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // An update only waits when an older version is already in control
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+            });
+        });
+    }).catch(error => console.warn('Service worker registration failed:', error));
+}
+
 // --- 5. APP INITIALIZATION ---
 async function init() {
     const loadingOverlay = document.getElementById('loading-overlay');
@@ -801,21 +1339,30 @@ async function init() {
 
     try {
         await loadInitialData();
+        loadCustomContent();
+        applyCustomContent(DATA);
+        loadLessonPacks();
+        applyLessonPacks(DATA);
+        loadProfiles();
         loadState();
+        recheckOwedBadges();
         
         // Auto-detect system dark mode preference on first load
-        if (!localStorage.getItem('storykeys_state')) {
+        if (!localStorage.getItem(getStateKey())) {
             const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
             if (prefersDark) {
                 state.settings.theme = 'dark';
             }
         }
         
+        applyKeyboardLayout(DATA, state.settings.keyboardLayout);
         applySettings(state.settings, state.progress);
         showScreen('home');
         bindAppEvents();
 
-        if (shouldShowWelcome()) {
+        if (state.ui.saveProblem) {
+            showModal('saveProblem');
+        } else if (shouldShowWelcome()) {
             showModal('welcome');
         }
 
@@ -827,6 +1374,8 @@ async function init() {
         appContainer.style.display = 'block';
         setTimeout(() => loadingOverlay.style.display = 'none', 300);
 
+        registerServiceWorker();
+
     } catch (error) {
         console.error("Initialization failed:", error);
         const errorEl = document.getElementById('loading-error');
@@ -0,0 +1,138 @@
+/**
+ * @file mastery.js
+ * @description How well the learner knows each word and each phonics pattern, learned from
+ * what they type. Completion (progress.js) only says how far through a lesson they got; this
+ * says which spellings have stuck.
+ *
+ * Every word typed in a session is one attempt at that word, clean unless it had a slip
+ * (corrected slips count, as in the word bank). A word is also an attempt at each phonics tag
+ * it practises: one of the tag's pattern words, or a word containing its letters ('sh' in
+ * "fish"). Each attempt moves a score towards 1 (clean) or 0 (slip), so recent typing counts
+ * most, and a word or tag is secure once its score is high over enough attempts.
+ *
+ * Stored in `state.progress.mastery` as
+ * { words: { [word]: entry }, phonics: { [tag]: entry } }, where each entry is
+ * { seen, misses, score, lastSeen: 'YYYY-MM-DD' }.
+ */
+
+import { config } from './config.js';
+import { cleanWord, toDateKey } from './wordBank.js';
+import { getPatternGraphemes } from './ngramStats.js';
+import { getKnownPhonicsTags } from './customContent.js';
+
+export const MASTERY_LEVELS = ['not-started', 'developing', 'secure'];
+export const MASTERY_LABELS = { 'not-started': 'Not started', developing: 'Developing', secure: 'Secure' };
+
+/**
+ * What each known phonics tag looks for in a word: its pattern words and its letters.
+ * @param {object} DATA - The global data object.
+ * @returns {{tag: string, words: Set<string>, graphemes: string[]}[]}
+ */
+export function getPhonicsMatchers(DATA) {
+    return getKnownPhonicsTags(DATA).map(tag => {
+        const patterns = DATA.PATTERNS.filter(p => p.tags?.phonics?.includes(tag));
+        const graphemes = new Set(getPatternGraphemes({ tags: { phonics: [tag] } }));
+        patterns.forEach(p => getPatternGraphemes(p).forEach(g => graphemes.add(g)));
+        return {
+            tag,
+            words: new Set(patterns.flatMap(p => p.items || []).map(cleanWord)),
+            graphemes: [...graphemes]
+        };
+    });
+}
+
+function addAttempt(entries, key, clean, today) {
+    const entry = entries[key] || (entries[key] = { seen: 0, misses: 0, score: 0, lastSeen: today });
+    const result = clean ? 1 : 0;
+    entry.score = Math.round((entry.seen ? entry.score + config.MASTERY_WEIGHT * (result - entry.score) : result) * 100) / 100;
+    entry.seen++;
+    if (!clean) entry.misses++;
+    entry.lastSeen = today;
+}
+
+/**
+ * Updates mastery after a session from the words the learner typed in full.
+ * @param {object} mastery - state.progress.mastery (mutated).
+ * @param {string} targetText - The normalised target text of the session.
+ * @param {number} typedLength - How many characters of it were typed.
+ * @param {string[]} missedWords - Words with a mistake, from getMissedWords.
+ * @param {object[]} matchers - From getPhonicsMatchers.
+ * @param {Date} [now=new Date()]
+ * @returns {object} The updated mastery.
+ */
+export function updateMastery(mastery, targetText, typedLength, missedWords, matchers, now = new Date()) {
+    const today = toDateKey(now);
+    const missed = new Set(missedWords);
+    const words = mastery.words || (mastery.words = {});
+    const phonics = mastery.phonics || (mastery.phonics = {});
+    const typed = [...targetText.matchAll(/\S+/g)]
+        .filter(match => match.index + match[0].length <= typedLength)
+        .map(match => cleanWord(match[0]))
+        .filter(word => word.length > 1);
+
+    new Set(typed).forEach(word => {
+        const clean = !missed.has(word);
+        addAttempt(words, word, clean, today);
+        matchers
+            .filter(m => m.words.has(word) || m.graphemes.some(g => word.includes(g)))
+            .forEach(m => addAttempt(phonics, m.tag, clean, today));
+    });
+
+    // Keep the store small: forget the words seen longest ago
+    const keys = Object.keys(words);
+    if (keys.length > config.MASTERY_MAX_WORDS) {
+        keys.sort((a, b) => words[b].lastSeen.localeCompare(words[a].lastSeen) || words[b].seen - words[a].seen)
+            .slice(config.MASTERY_MAX_WORDS)
+            .forEach(word => delete words[word]);
+    }
+    return mastery;
+}
+
+/**
+ * How well one word or tag is known.
+ * @param {object} [entry] - An entry from mastery.words or mastery.phonics.
+ * @param {number} [minSeen=config.MASTERY_WORD_MIN_SEEN] - Attempts needed before it can be secure.
+ * @returns {'not-started'|'developing'|'secure'}
+ */
+export function getMasteryLevel(entry, minSeen = config.MASTERY_WORD_MIN_SEEN) {
+    if (!entry?.seen) return 'not-started';
+    return entry.seen >= minSeen && entry.score >= config.MASTERY_SECURE_SCORE ? 'secure' : 'developing';
+}
+
+/**
+ * A spelling list's status: secure once every word is, developing once any word has been typed.
+ * @param {object} mastery - state.progress.mastery.
+ * @param {object} list - An item from DATA.SPELLING.
+ * @returns {{level: string, secure: number, total: number}}
+ */
+export function getSpellingListMastery(mastery, list) {
+    const levels = (list.words || []).map(word => getMasteryLevel(mastery?.words?.[cleanWord(word)]));
+    const secure = levels.filter(level => level === 'secure').length;
+    let level = 'not-started';
+    if (levels.length && secure === levels.length) level = 'secure';
+    else if (levels.some(l => l !== 'not-started')) level = 'developing';
+    return { level, secure, total: levels.length };
+}
+
+/**
+ * Every phonics tag with its level, grouped by Key Stage, for the progress grid.
+ * @param {object} mastery - state.progress.mastery.
+ * @param {object} DATA - The global data object.
+ * @returns {{stage: string, tags: {tag: string, label: string, level: string, seen: number, score: number}[]}[]}
+ */
+export function getPhonicsGrid(mastery, DATA) {
+    const tags = new Set([...getKnownPhonicsTags(DATA), ...Object.keys(mastery?.phonics || {})]);
+    const stages = {};
+    [...tags].sort().forEach(tag => {
+        const entry = mastery?.phonics?.[tag];
+        const stage = (/^(ks\d)-/.exec(tag)?.[1] || 'other').toUpperCase();
+        (stages[stage] || (stages[stage] = [])).push({
+            tag,
+            label: tag.replace(/^ks\d-(phonics-)?/, ''),
+            level: getMasteryLevel(entry, config.MASTERY_TAG_MIN_SEEN),
+            seen: entry?.seen || 0,
+            score: entry?.score || 0
+        });
+    });
+    return Object.entries(stages).map(([stage, list]) => ({ stage, tags: list }));
+}
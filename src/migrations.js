@@ -0,0 +1,71 @@
+/**
+ * @file migrations.js
+ * @description Upgrades saved learner state from older schema versions to the current one.
+ *
+ * Each entry in MIGRATIONS upgrades a save from version (n - 1) to version n. Saves are
+ * walked forward one step at a time, so a very old save passes through every step in order.
+ * Migrations are pure: they receive a plain object and return a new one, with no storage access.
+ */
+
+export const SCHEMA_VERSION = 1;
+
+const MIGRATIONS = {
+    // 0 -> 1: saves written before `_v` was stamped. Badges could be bare id strings,
+    // the completed-lesson lists were optional, and sessions could be missing an id.
+    1: (data) => {
+        const progress = { ...(data.progress || {}) };
+        progress.badges = (progress.badges || []).map(b => (typeof b === 'string' ? { id: b, earnedAt: null } : b));
+        progress.completedPassages = progress.completedPassages || [];
+        progress.completedSpellings = progress.completedSpellings || [];
+        progress.completedPhonics = progress.completedPhonics || [];
+        const sessions = (data.sessions || []).map((s, i) => (s.id ? s : { ...s, id: `sess_${new Date(s.ts).getTime() || i}` }));
+        return { ...data, progress, sessions };
+    },
+};
+
+/**
+ * Upgrades a parsed save object to SCHEMA_VERSION.
+ * @param {object} data - A parsed save; `_v` is read to find its version (missing means 0).
+ * @param {number} [targetVersion=SCHEMA_VERSION] - The version to upgrade to.
+ * @returns {{ok: true, data: object, fromVersion: number} | {ok: false, reason: string, error: string}}
+ */
+export function migrateState(data, targetVersion = SCHEMA_VERSION) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { ok: false, reason: 'unreadable', error: 'The saved progress is not in a format StoryKeys recognises.' };
+    }
+
+    const fromVersion = data._v === undefined ? 0 : data._v;
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+        return { ok: false, reason: 'unreadable', error: 'The saved progress has an invalid version number.' };
+    }
+    if (fromVersion > targetVersion) {
+        return { ok: false, reason: 'future', error: `The saved progress was made by a newer version of StoryKeys (schema ${fromVersion}).` };
+    }
+
+    let migrated = data;
+    try {
+        for (let v = fromVersion + 1; v <= targetVersion; v++) {
+            migrated = { ...MIGRATIONS[v](migrated), _v: v };
+        }
+    } catch (e) {
+        console.error('State migration failed:', e);
+        return { ok: false, reason: 'unreadable', error: 'The saved progress could not be upgraded to this version of StoryKeys.' };
+    }
+
+    return { ok: true, data: migrated, fromVersion };
+}
+
+/**
+ * Parses a raw localStorage save and upgrades it to SCHEMA_VERSION.
+ * @param {string} raw - The JSON text as stored.
+ * @returns {{ok: true, data: object, fromVersion: number} | {ok: false, reason: string, error: string}}
+ */
+export function parseSave(raw) {
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (e) {
+        return { ok: false, reason: 'unreadable', error: 'The saved progress is damaged and cannot be read.' };
+    }
+    return migrateState(parsed);
+}
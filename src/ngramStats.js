@@ -0,0 +1,153 @@
+/**
+ * @file ngramStats.js
+ * @description Letter-transition statistics: how often each bigram ('th', 'ck') and trigram
+ * ('igh', 'tio') was typed, how often its last letter went wrong, and how long the move onto
+ * that letter took. Many slips happen between letters rather than on one key, and these
+ * transitions line up with the phonics patterns, so a weak 'sh' can point to "The 'sh' Sound".
+ *
+ * Stats live in `state.progress.ngramStats`, keyed by the lowercase letter sequence:
+ * { [gram]: { attempts, errors, latencyTotal, latencyCount } }
+ */
+
+import { config } from './config.js';
+
+const NGRAM_SIZES = [2, 3];
+// Same pause rule as keyStats.js: longer gaps are not time spent on the transition.
+const MAX_LATENCY_MS = 3000;
+const MIN_SESSION_ATTEMPTS = 2;
+const MIN_TOTAL_ATTEMPTS = 5;
+
+// Pattern tags that name their letters: 'ks1-phonics-sh', 'ks2-ph-digraph', 'ks2-ai-ay-sound'
+const TAG_GRAPHEME = /^ks\d-(?:phonics-([a-z]+)|([a-z-]+)-(?:digraph|sound|suffix))$/;
+
+/**
+ * Adds keystrokes to n-gram statistics. Each keystroke counts towards the bigram and trigram
+ * of the target text that end on it, as long as they are letters only (no spaces).
+ * @param {object} ngramStats - Stats to add to (mutated).
+ * @param {object[]} keystrokes - Keystrokes recorded by replay.js.
+ * @param {string} targetText - The normalised target text.
+ * @returns {object} The updated stats.
+ */
+export function addNgramStats(ngramStats, keystrokes, targetText) {
+    const lower = targetText.toLowerCase();
+    for (let n = 0; n < keystrokes.length; n++) {
+        const k = keystrokes[n];
+        if (k.bs || !k.exp) continue;
+
+        const prev = keystrokes[n - 1];
+        const latency = prev ? k.t - prev.t : null;
+        NGRAM_SIZES.forEach(size => {
+            if (k.i < size - 1) return;
+            const gram = lower.slice(k.i - size + 1, k.i + 1);
+            if (!/^[a-z]+$/.test(gram)) return;
+            const entry = ngramStats[gram] || (ngramStats[gram] = { attempts: 0, errors: 0, latencyTotal: 0, latencyCount: 0 });
+            entry.attempts++;
+            if (k.got !== k.exp) entry.errors++;
+            if (latency > 0 && latency <= MAX_LATENCY_MS) {
+                entry.latencyTotal += latency;
+                entry.latencyCount++;
+            }
+        });
+    }
+    return ngramStats;
+}
+
+/**
+ * Adds a finished session to the running totals, keeping only the most-typed n-grams so
+ * the saved state stays small.
+ * @param {object} ngramStats - state.progress.ngramStats (mutated).
+ * @param {object} sessionStats - From addNgramStats for one session.
+ * @returns {object} The updated stats.
+ */
+export function mergeNgramStats(ngramStats, sessionStats) {
+    for (const [gram, s] of Object.entries(sessionStats)) {
+        const entry = ngramStats[gram] || (ngramStats[gram] = { attempts: 0, errors: 0, latencyTotal: 0, latencyCount: 0 });
+        entry.attempts += s.attempts;
+        entry.errors += s.errors;
+        entry.latencyTotal += s.latencyTotal;
+        entry.latencyCount += s.latencyCount;
+    }
+    const grams = Object.keys(ngramStats);
+    if (grams.length > config.NGRAM_STATS_MAX) {
+        grams.sort((a, b) => ngramStats[b].attempts - ngramStats[a].attempts)
+            .slice(config.NGRAM_STATS_MAX)
+            .forEach(gram => delete ngramStats[gram]);
+    }
+    return ngramStats;
+}
+
+/**
+ * Lists the transitions with the highest error rates.
+ * A trigram is only listed when it is worse than the bigram it ends with, so 'sh' is not
+ * repeated as 'ush', 'ish' and 'ash'.
+ * @param {object} ngramStats - Session or running stats.
+ * @param {object} [options]
+ * @param {number} [options.limit=3]
+ * @param {number} [options.minAttempts=2] - Ignore n-grams typed fewer times than this.
+ * @returns {{gram: string, attempts: number, errors: number, errorRate: number, meanLatency: number|null}[]}
+ */
+export function getWorstTransitions(ngramStats, { limit = 3, minAttempts = MIN_SESSION_ATTEMPTS } = {}) {
+    const rate = gram => ngramStats[gram].errors / ngramStats[gram].attempts;
+    return Object.entries(ngramStats)
+        .filter(([, s]) => s.errors > 0 && s.attempts >= minAttempts)
+        .filter(([gram]) => gram.length === 2 || !ngramStats[gram.slice(1)] || rate(gram) > rate(gram.slice(1)))
+        .map(([gram, s]) => ({
+            gram,
+            attempts: s.attempts,
+            errors: s.errors,
+            errorRate: s.errors / s.attempts,
+            meanLatency: s.latencyCount ? Math.round(s.latencyTotal / s.latencyCount) : null
+        }))
+        .sort((a, b) => b.errorRate - a.errorRate || b.errors - a.errors || a.gram.localeCompare(b.gram))
+        .slice(0, limit);
+}
+
+/**
+ * The worst transitions over all sessions, with a stricter minimum so one slip does not count.
+ * @param {object} ngramStats - state.progress.ngramStats.
+ * @param {number} [limit=5]
+ */
+export function getWorstTransitionsOverall(ngramStats, limit = 5) {
+    return getWorstTransitions(ngramStats || {}, { limit, minAttempts: MIN_TOTAL_ATTEMPTS });
+}
+
+/**
+ * The letter sequences a phonics pattern teaches, from its name ("The 'sh' Sound") and
+ * tags ('ks2-ph-digraph', 'ks2-ai-ay-sound').
+ * @param {object} pattern - An item from DATA.PATTERNS.
+ * @returns {string[]}
+ */
+export function getPatternGraphemes(pattern) {
+    const graphemes = new Set();
+    for (const [, quoted] of (pattern.name || '').matchAll(/'([a-z/-]+)'/gi)) {
+        quoted.toLowerCase().split('/').forEach(g => graphemes.add(g.replace(/-/g, '')));
+    }
+    (pattern.tags?.phonics || []).forEach(tag => {
+        const match = TAG_GRAPHEME.exec(tag);
+        if (match) (match[1] || match[2]).split('-').filter(g => g.length <= 4).forEach(g => graphemes.add(g));
+    });
+    return [...graphemes].filter(g => g.length >= 2);
+}
+
+/**
+ * Finds the phonics pattern pack that best practises a transition: one teaching exactly
+ * that sequence first (e.g. 'sh'), otherwise one whose sequence contains it (e.g. 'ti' in 'tion').
+ * @param {string} gram
+ * @param {object[]} patterns - DATA.PATTERNS.
+ * @param {string|null} [stage] - Prefer patterns from this Key Stage.
+ * @returns {object|null}
+ */
+export function findPatternForGram(gram, patterns, stage = null) {
+    let best = null;
+    let bestRank = Infinity;
+    patterns.forEach(pattern => {
+        const graphemes = getPatternGraphemes(pattern);
+        const rank = graphemes.includes(gram) ? 0 : graphemes.some(g => g.includes(gram)) ? 2 : Infinity;
+        const adjusted = rank + (stage && pattern.stage !== stage ? 1 : 0);
+        if (adjusted < bestRank) {
+            best = pattern;
+            bestRank = adjusted;
+        }
+    });
+    return best;
+}
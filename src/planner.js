@@ -0,0 +1,80 @@
+/**
+ * @file planner.js
+ * @description Today's plan: a short warm-up drill on the learner's weakest keys, then a
+ * passage, then a spelling list. The lessons themselves are picked when each step starts, so
+ * they follow the recommender's latest view of the learner.
+ *
+ * Stored in `state.progress.dayPlan` as { date: 'YYYY-MM-DD', steps: [{ kind, done }] }.
+ * A plan from an earlier day is ignored and a fresh one starts.
+ */
+
+import { toDateKey } from './wordBank.js';
+import { getKeySummary } from './keyStats.js';
+import { getStarterKeys } from './course.js';
+import { generateDrill } from './drillGenerator.js';
+
+export const PLAN_STEPS = [
+    { kind: 'warmup', label: 'Warm-up drill' },
+    { kind: 'passage', label: 'Story' },
+    { kind: 'spelling', label: 'Spelling list' }
+];
+
+const WEAK_KEY_MIN_ATTEMPTS = 5;
+const WARMUP_TARGETS = 3;
+
+/**
+ * Today's plan, or a fresh one if none has been started today.
+ * @param {object} progress - state.progress.
+ * @param {Date} [date=new Date()]
+ * @returns {{date: string, steps: {kind: string, label: string, done: boolean}[]}}
+ */
+export function getDayPlan(progress, date = new Date()) {
+    const key = toDateKey(date);
+    const saved = progress.dayPlan?.date === key ? progress.dayPlan : null;
+    return {
+        date: key,
+        steps: PLAN_STEPS.map(step => ({ ...step, done: !!saved?.steps.find(s => s.kind === step.kind)?.done }))
+    };
+}
+
+/**
+ * The first step of a plan not yet done.
+ * @param {object} plan - From getDayPlan.
+ * @returns {object|null} The step, or null when the plan is finished.
+ */
+export function getNextPlanStep(plan) {
+    return plan.steps.find(step => !step.done) || null;
+}
+
+/**
+ * Marks a step of today's plan as done.
+ * @param {object} progress - state.progress (mutated).
+ * @param {string} kind - 'warmup', 'passage' or 'spelling'.
+ * @param {Date} [date=new Date()]
+ */
+export function completePlanStep(progress, kind, date = new Date()) {
+    const plan = getDayPlan(progress, date);
+    plan.steps.forEach(step => { if (step.kind === kind) step.done = true; });
+    progress.dayPlan = { date: plan.date, steps: plan.steps.map(({ kind: k, done }) => ({ kind: k, done })) };
+}
+
+/**
+ * Builds the warm-up drill: real words on the learner's weakest letters, or on the home row
+ * before there are enough key statistics.
+ * @param {object} state - The app state.
+ * @param {object} DATA - The global data object.
+ * @param {object} [options]
+ * @param {number} [options.length=8]
+ * @param {number|string} [options.seed=Date.now()]
+ * @returns {{targets: string[], words: string[]}}
+ */
+export function buildWarmupDrill(state, DATA, { length = 8, seed = Date.now() } = {}) {
+    const weak = Object.entries(getKeySummary(state.progress.keyStats))
+        .filter(([key, k]) => /^[a-z]$/.test(key) && k.attempts >= WEAK_KEY_MIN_ATTEMPTS && k.errors > 0)
+        .sort((a, b) => b[1].errorRate - a[1].errorRate)
+        .slice(0, WARMUP_TARGETS)
+        .map(([key]) => key);
+    const targets = weak.length ? weak : getStarterKeys(DATA.KEYMAP);
+    const { words } = generateDrill(DATA, { targets, length, stage: state.settings.defaultStage, seed });
+    return { targets, words };
+}
@@ -0,0 +1,162 @@
+/**
+ * @file profiles.js
+ * @description Keeps the list of learner profiles on this device and maps each one to its own
+ * localStorage keys, so siblings or a class sharing one computer keep separate progress.
+ *
+ * The registry itself is device-wide and also holds the parent PIN, so a learner cannot
+ * sidestep Parent Glance by creating a fresh profile.
+ */
+
+const PROFILES_KEY = 'storykeys_profiles';
+const LEGACY_STATE_KEY = 'storykeys_state';
+const LEGACY_DRAFT_KEY = 'storykeys_draft';
+
+export const PROFILE_AVATARS = ['🦊', '🐼', '🐢', '🦉', '🐙', '🦄', '🐝', '🐸'];
+
+let registry = { activeId: null, profiles: [], pin: null };
+
+function newProfileId() {
+    return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Builds the localStorage key holding a profile's saved state.
+ * @param {string} [profileId] - Defaults to the active profile.
+ * @returns {string}
+ */
+export function getStateKey(profileId = registry.activeId) {
+    return `storykeys_state_${profileId}`;
+}
+
+/**
+ * Builds the localStorage key holding a profile's unfinished lesson draft.
+ * @param {string} [profileId] - Defaults to the active profile.
+ * @returns {string}
+ */
+export function getDraftKey(profileId = registry.activeId) {
+    return `storykeys_draft_${profileId}`;
+}
+
+export function saveProfiles() {
+    try {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(registry));
+    } catch (e) {
+        console.warn('Unable to save profiles to localStorage:', e);
+    }
+}
+
+/**
+ * Loads the profile registry, creating the first profile if none exist.
+ * A save from before profiles existed is moved into that first profile.
+ */
+export function loadProfiles() {
+    try {
+        const raw = localStorage.getItem(PROFILES_KEY);
+        if (raw) registry = { ...registry, ...JSON.parse(raw) };
+    } catch (e) {
+        console.error('Failed to parse profiles from localStorage:', e);
+    }
+
+    if (!registry.profiles.length) {
+        const first = { id: newProfileId(), name: 'Learner 1', avatar: PROFILE_AVATARS[0], createdAt: new Date().toISOString() };
+        registry.profiles.push(first);
+        registry.activeId = first.id;
+
+        const legacyState = localStorage.getItem(LEGACY_STATE_KEY);
+        if (legacyState) {
+            localStorage.setItem(getStateKey(first.id), legacyState);
+            localStorage.removeItem(LEGACY_STATE_KEY);
+            try {
+                registry.pin = JSON.parse(legacyState).settings?.pin || null;
+            } catch (e) {
+                // An unreadable legacy save simply has no PIN to carry over.
+            }
+        }
+        const legacyDraft = localStorage.getItem(LEGACY_DRAFT_KEY);
+        if (legacyDraft) {
+            localStorage.setItem(getDraftKey(first.id), legacyDraft);
+            localStorage.removeItem(LEGACY_DRAFT_KEY);
+        }
+    }
+
+    if (!registry.profiles.some(p => p.id === registry.activeId)) {
+        registry.activeId = registry.profiles[0].id;
+    }
+    saveProfiles();
+}
+
+export function getProfiles() {
+    return registry.profiles;
+}
+
+export function getActiveProfile() {
+    return registry.profiles.find(p => p.id === registry.activeId) || null;
+}
+
+export function setActiveProfile(profileId) {
+    if (!registry.profiles.some(p => p.id === profileId)) return false;
+    registry.activeId = profileId;
+    saveProfiles();
+    return true;
+}
+
+/**
+ * Adds a learner profile. The new profile starts with empty progress.
+ * @param {string} name - Display name.
+ * @param {string} avatar - One of PROFILE_AVATARS.
+ * @returns {object} The created profile.
+ */
+export function createProfile(name, avatar) {
+    const profile = {
+        id: newProfileId(),
+        name: name.trim().slice(0, 24) || `Learner ${registry.profiles.length + 1}`,
+        avatar: PROFILE_AVATARS.includes(avatar) ? avatar : PROFILE_AVATARS[registry.profiles.length % PROFILE_AVATARS.length],
+        createdAt: new Date().toISOString()
+    };
+    registry.profiles.push(profile);
+    saveProfiles();
+    return profile;
+}
+
+/**
+ * Removes a profile and everything it saved. The active profile cannot be removed.
+ * @param {string} profileId
+ * @returns {boolean} True if the profile was removed.
+ */
+export function deleteProfile(profileId) {
+    if (profileId === registry.activeId) return false;
+    const before = registry.profiles.length;
+    registry.profiles = registry.profiles.filter(p => p.id !== profileId);
+    if (registry.profiles.length === before) return false;
+    // Also drop any pre-migration or unreadable copies kept beside the save
+    const stateKey = getStateKey(profileId);
+    Object.keys(localStorage)
+        .filter(key => key === stateKey || key.startsWith(`${stateKey}_`))
+        .forEach(key => localStorage.removeItem(key));
+    localStorage.removeItem(getDraftKey(profileId));
+    saveProfiles();
+    return true;
+}
+
+/**
+ * Reads another profile's saved state without making it active (used by Parent Glance).
+ * @param {string} profileId
+ * @returns {object|null} The parsed save, or null if there is none or it is unreadable.
+ */
+export function readProfileState(profileId) {
+    try {
+        const raw = localStorage.getItem(getStateKey(profileId));
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+export function getParentPin() {
+    return registry.pin;
+}
+
+export function setParentPin(pinHash) {
+    registry.pin = pinHash;
+    saveProfiles();
+}
@@ -0,0 +1,108 @@
+/**
+ * @file progressCharts.js
+ * @description Turns `state.sessions` into the series drawn by the Parent Glance progress
+ * charts: speed and accuracy by day or week, minutes practised per day, and lessons
+ * completed per Key Stage.
+ *
+ * Days are the learner's local calendar days. Dates are stepped with the Date constructor
+ * rather than by adding milliseconds, so clock changes never skip or repeat a day.
+ */
+
+import { toDateKey } from './wordBank.js';
+
+const STAGES = ['KS1', 'KS2', 'KS3', 'KS4'];
+const PERIOD_COUNTS = { day: 14, week: 12 };
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Weeks start on Monday
+function startOfWeek(date) {
+    const day = startOfDay(date);
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate() - ((day.getDay() + 6) % 7));
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function average(values) {
+    const numbers = values.filter(v => Number.isFinite(v));
+    return numbers.length ? Math.round(numbers.reduce((a, b) => a + b, 0) / numbers.length) : null;
+}
+
+/**
+ * Speed, accuracy and minutes for each of the most recent days or weeks, oldest first.
+ * Periods without practice have null speed and accuracy.
+ * @param {object[]} sessions - state.sessions.
+ * @param {'day'|'week'} [period='week']
+ * @param {object} [options]
+ * @param {Date} [options.now=new Date()] - Falls in the last period.
+ * @param {number} [options.count] - How many periods; 14 days or 12 weeks by default.
+ * @returns {{start: Date, key: string, sessions: number, wpm: number|null, accuracy: number|null, minutes: number}[]}
+ */
+export function getTrendSeries(sessions, period = 'week', { now = new Date(), count = PERIOD_COUNTS[period] } = {}) {
+    const step = period === 'week' ? 7 : 1;
+    const last = period === 'week' ? startOfWeek(now) : startOfDay(now);
+    const buckets = Array.from({ length: count }, (_, i) => {
+        const start = addDays(last, (i - count + 1) * step);
+        return { start, key: toDateKey(start), list: [] };
+    });
+    const byKey = new Map(buckets.map(b => [b.key, b]));
+
+    sessions.forEach(s => {
+        const date = new Date(s.ts);
+        const bucket = byKey.get(toDateKey(period === 'week' ? startOfWeek(date) : startOfDay(date)));
+        if (bucket) bucket.list.push(s);
+    });
+
+    return buckets.map(({ start, key, list }) => ({
+        start,
+        key,
+        sessions: list.length,
+        wpm: average(list.map(s => s.netWPM)),
+        accuracy: average(list.map(s => s.accuracy)),
+        minutes: Math.round(list.reduce((sum, s) => sum + (s.durationSec || 0), 0) / 60)
+    }));
+}
+
+/**
+ * Minutes practised on each day of the last few weeks, for the calendar heatmap.
+ * Starts on a Monday so each column of seven is one week, and stops at today.
+ * @param {object[]} sessions - state.sessions.
+ * @param {object} [options]
+ * @param {number} [options.weeks=12]
+ * @param {Date} [options.now=new Date()]
+ * @returns {{date: Date, key: string, minutes: number}[]}
+ */
+export function getDailyMinutes(sessions, { weeks = 12, now = new Date() } = {}) {
+    const seconds = new Map();
+    sessions.forEach(s => {
+        const key = toDateKey(new Date(s.ts));
+        seconds.set(key, (seconds.get(key) || 0) + (s.durationSec || 0));
+    });
+
+    const today = startOfDay(now);
+    const days = [];
+    for (let date = addDays(startOfWeek(now), -(weeks - 1) * 7); date <= today; date = addDays(date, 1)) {
+        const key = toDateKey(date);
+        days.push({ date, key, minutes: Math.round((seconds.get(key) || 0) / 60) });
+    }
+    return days;
+}
+
+/**
+ * Counts the different lessons finished in each Key Stage. A lesson counts once, however
+ * many times it was finished.
+ * @param {object[]} sessions - state.sessions.
+ * @returns {Object<string, number>} e.g. { KS1: 4, KS2: 1, KS3: 0, KS4: 0 }
+ */
+export function getCompletedByStage(sessions) {
+    const lessons = Object.fromEntries(STAGES.map(stage => [stage, new Set()]));
+    sessions.forEach(s => {
+        // Sessions can come from an imported backup, so only the known stages are counted
+        if (STAGES.includes(s.stage) && s.completionPercent >= 100) lessons[s.stage].add(`${s.contentType}:${s.contentId}`);
+    });
+    return Object.fromEntries(STAGES.map(stage => [stage, lessons[stage].size]));
+}
@@ -0,0 +1,124 @@
+/**
+ * @file progressReport.js
+ * @description Gathers the figures for the printable progress report: a detailed summary a
+ * parent can hand to a teacher or SENCo. Covers a chosen date range; key statistics are
+ * running totals, so they always cover every lesson.
+ */
+
+import { getKeySummary, getTopSubstitutions, getReversalSummary } from './keyStats.js';
+import { getWorstTransitionsOverall } from './ngramStats.js';
+import { getTrendSeries, getCompletedByStage } from './progressCharts.js';
+import { toDateKey, LEARNED_BOX } from './wordBank.js';
+
+const STAGES = ['KS1', 'KS2', 'KS3', 'KS4'];
+const WEAK_KEY_MIN_ATTEMPTS = 5;
+const WEAK_KEYS_SHOWN = 6;
+const TRICKY_WORDS_SHOWN = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function average(values) {
+    const numbers = values.filter(v => Number.isFinite(v));
+    return numbers.length ? Math.round(numbers.reduce((a, b) => a + b, 0) / numbers.length) : null;
+}
+
+function percentOf(sessions, test) {
+    return sessions.length ? Math.round((sessions.filter(test).length / sessions.length) * 100) : null;
+}
+
+// Looks up the theme of a built-in or custom lesson, if it has one
+function themeOf(session, DATA) {
+    const items = [...DATA.PASSAGES, ...DATA.SPELLING, ...DATA.PHONICS, ...DATA.WORDSETS, ...DATA.PATTERNS];
+    return items.find(item => item.id === session.contentId)?.theme || null;
+}
+
+/**
+ * Builds the progress report for one learner.
+ * @param {object} state - The app state.
+ * @param {object} DATA - The global data object, with every stage loaded so themes can be found.
+ * @param {object} range
+ * @param {Date} range.from - First day of the report (inclusive).
+ * @param {Date} range.to - Last day of the report (inclusive).
+ * @returns {object}
+ */
+export function buildProgressReport(state, DATA, { from, to }) {
+    const fromKey = toDateKey(from);
+    const toKey = toDateKey(to);
+    const sessions = state.sessions.filter(s => {
+        const key = toDateKey(new Date(s.ts));
+        return key >= fromKey && key <= toKey;
+    });
+
+    // Enough weeks to cover the range, dropping any that end before it starts
+    const weekCount = Math.floor((to - from) / (7 * DAY_MS)) + 2;
+    const weekly = getTrendSeries(sessions, 'week', { now: to, count: weekCount })
+        .filter(week => toDateKey(new Date(week.start.getFullYear(), week.start.getMonth(), week.start.getDate() + 6)) >= fromKey);
+
+    const keySummary = getKeySummary(state.progress.keyStats);
+    const weakKeys = Object.entries(keySummary)
+        .filter(([key, k]) => key.trim() && k.attempts >= WEAK_KEY_MIN_ATTEMPTS && k.errors > 0)
+        .sort((a, b) => b[1].errorRate - a[1].errorRate)
+        .slice(0, WEAK_KEYS_SHOWN)
+        .map(([key, k]) => ({ key, ...k }));
+
+    // Words that tripped the learner up in more than one lesson
+    const wordCounts = new Map();
+    sessions.forEach(s => new Set(s.trickyWords || []).forEach(word => wordCounts.set(word, (wordCounts.get(word) || 0) + 1)));
+    const wordBank = state.progress.wordBank || {};
+    const trickyWords = [...wordCounts.entries()]
+        .filter(([, count]) => count >= 2)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, TRICKY_WORDS_SHOWN)
+        .map(([word, count]) => {
+            const entry = wordBank[word.toLowerCase()];
+            const status = !entry ? 'Not in review' : entry.box >= LEARNED_BOX ? 'Learned' : `Reviewing (box ${entry.box})`;
+            return { word, lessons: count, status };
+        });
+
+    const completed = getCompletedByStage(sessions);
+    const stages = STAGES.map(stage => {
+        const list = sessions.filter(s => s.stage === stage);
+        return {
+            stage,
+            sessions: list.length,
+            minutes: Math.round(list.reduce((sum, s) => sum + (s.durationSec || 0), 0) / 60),
+            completed: completed[stage]
+        };
+    });
+
+    const types = {};
+    const themes = {};
+    sessions.forEach(s => {
+        types[s.contentType] = (types[s.contentType] || 0) + 1;
+        const theme = themeOf(s, DATA);
+        if (theme) themes[theme] = (themes[theme] || 0) + 1;
+    });
+
+    const wpms = sessions.map(s => s.netWPM).filter(Number.isFinite);
+    return {
+        from,
+        to,
+        sessionCount: sessions.length,
+        daysPractised: new Set(sessions.map(s => toDateKey(new Date(s.ts)))).size,
+        minutes: Math.round(sessions.reduce((sum, s) => sum + (s.durationSec || 0), 0) / 60),
+        lessonsCompleted: Object.values(completed).reduce((a, b) => a + b, 0),
+        accuracy: average(sessions.map(s => s.accuracy)),
+        wpm: average(wpms),
+        bestWpm: wpms.length ? Math.max(...wpms) : null,
+        forgotShift: sessions.reduce((sum, s) => sum + (s.forgotShift || 0), 0),
+        weekly,
+        weakKeys,
+        reversals: getReversalSummary(state.progress.keyStats).filter(r => r.forward + r.backward > 0),
+        mixUps: getTopSubstitutions(state.progress.keyStats),
+        trickyPairs: getWorstTransitionsOverall(state.progress.ngramStats),
+        trickyWords,
+        stages,
+        types: Object.entries(types).sort((a, b) => b[1] - a[1]),
+        themes: Object.entries(themes).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+        // Share of lessons in the range typed with each support switched on
+        supports: {
+            lockstep: percentOf(sessions, s => s.flags?.lockstep),
+            focusLine: percentOf(sessions, s => s.flags?.focusLine),
+            keyboardHint: percentOf(sessions, s => s.flags?.keyboardHint)
+        }
+    };
+}
@@ -0,0 +1,190 @@
+/**
+ * @file recommender.js
+ * @description Chooses the next passage, spelling list or phonics item for a learner.
+ *
+ * Each candidate is scored on how well it practises the learner's weak keys, recent tricky
+ * words and struggling phonics patterns, how close its difficulty is to the learner's level,
+ * and how recently it was played. The strongest reason behind the winning score is returned
+ * so the app can tell the learner why it was picked. Given the same seed and state, the same
+ * lesson is always chosen.
+ */
+
+import { config } from './config.js';
+import { getKeySummary } from './keyStats.js';
+import { createSeededRandom } from './utils.js';
+
+const WEIGHTS = {
+    weakKeys: 1,
+    trickyWords: 1.5,
+    phonics: 1.2,
+    difficulty: 0.6,
+    fresh: 0.5,
+    recency: 2,
+    jitter: 0.25
+};
+
+// A key needs this many attempts before its error rate is trusted.
+const MIN_KEY_ATTEMPTS = 5;
+const WEAK_KEY_ERROR_RATE = 0.05;
+const WEAK_PHONICS_MISS_RATE = 0.05;
+
+function itemText(item) {
+    return (item.text || (item.words || []).join(' ')).toLowerCase();
+}
+
+function itemWords(item) {
+    return itemText(item).split(/[^a-z']+/).filter(Boolean);
+}
+
+// Readable name for a phonics tag, e.g. 'ks2-phonics-ck' -> 'ck'
+function phonicsLabel(tag) {
+    return tag.replace(/^.*phonics-/, '');
+}
+
+/**
+ * Rough difficulty of an item from 0 (easiest) to 1, based on word length and punctuation.
+ * @param {object} item - A passage, spelling list or phonics item.
+ * @returns {number}
+ */
+export function estimateDifficulty(item) {
+    const words = itemWords(item);
+    const avgLength = words.length ? words.reduce((sum, w) => sum + w.length, 0) / words.length : 0;
+    const lengthScore = Math.min(1, Math.max(0, (avgLength - 3) / 4));
+    const complexity = item.tags?.complexity || {};
+    return Math.min(1, lengthScore + (complexity.punct ? 0.1 : 0) + (complexity.caps ? 0.05 : 0));
+}
+
+/**
+ * Summarises what the learner needs to practise from their saved progress and recent sessions.
+ * @param {object} state - The main application state object.
+ * @param {object[]} allItems - Every loaded lesson item, used to look up tags of played sessions.
+ * @returns {{weakKeys: Map, trickyWords: Map, weakPhonics: Map, recent: Map, level: number|null}}
+ */
+export function buildLearnerModel(state, allItems) {
+    const weakKeys = new Map();
+    for (const [key, stats] of Object.entries(getKeySummary(state.progress.keyStats))) {
+        if (key.trim() && stats.attempts >= MIN_KEY_ATTEMPTS && stats.errorRate >= WEAK_KEY_ERROR_RATE) {
+            weakKeys.set(key, stats.errorRate);
+        }
+    }
+
+    const recentSessions = state.sessions.slice(-config.RANDOMISER_HISTORY_LENGTH);
+    const itemsById = new Map(allItems.map(item => [item.id, item]));
+
+    const trickyWords = new Map();
+    const phonicsMisses = new Map();
+    const recent = new Map();
+    recentSessions.forEach((session, idx) => {
+        // Later sessions overwrite earlier ones, so this holds the most recent position
+        recent.set(session.contentId, idx);
+        (session.trickyWords || []).forEach(word => trickyWords.set(word, (trickyWords.get(word) || 0) + 1));
+        const tags = itemsById.get(session.contentId)?.tags?.phonics || [];
+        tags.forEach(tag => {
+            const entry = phonicsMisses.get(tag) || { total: 0, count: 0 };
+            entry.total += (100 - (session.accuracy ?? 100)) / 100;
+            entry.count++;
+            phonicsMisses.set(tag, entry);
+        });
+    });
+
+    const weakPhonics = new Map();
+    phonicsMisses.forEach(({ total, count }, tag) => {
+        if (total / count >= WEAK_PHONICS_MISS_RATE) weakPhonics.set(tag, total / count);
+    });
+
+    const level = recentSessions.length
+        ? recentSessions.reduce((sum, s) => sum + (s.accuracy || 0), 0) / recentSessions.length
+        : null;
+
+    return { weakKeys, trickyWords, weakPhonics, recent, level, historyLength: recentSessions.length };
+}
+
+/**
+ * Scores one candidate against the learner model.
+ * @param {object} item - The candidate lesson item.
+ * @param {object} model - A model from buildLearnerModel.
+ * @param {Set<string>} completedIds - Items the learner has already finished.
+ * @returns {{total: number, parts: object, details: object}}
+ */
+export function scoreCandidate(item, model, completedIds) {
+    const text = itemText(item);
+    const words = new Set(itemWords(item));
+    const parts = {};
+    const details = {};
+
+    // Weak keys: how densely the text uses them, weighted by how often they are missed
+    let keyScore = 0;
+    let bestKey = null;
+    model.weakKeys.forEach((errorRate, key) => {
+        const count = text.split(key).length - 1;
+        const contribution = errorRate * Math.min(1, (count / Math.max(1, text.length)) * 20);
+        if (contribution > 0 && (!bestKey || contribution > bestKey.contribution)) bestKey = { key, contribution };
+        keyScore += contribution;
+    });
+    parts.weakKeys = Math.min(1, keyScore) * WEIGHTS.weakKeys;
+    details.key = bestKey?.key;
+
+    const tricky = [...model.trickyWords.keys()].filter(word => words.has(word));
+    parts.trickyWords = Math.min(1, tricky.length / 3) * WEIGHTS.trickyWords;
+    details.word = tricky[0];
+
+    const phonicsTags = (item.tags?.phonics || []).filter(tag => model.weakPhonics.has(tag))
+        .sort((a, b) => model.weakPhonics.get(b) - model.weakPhonics.get(a));
+    parts.phonics = phonicsTags.length ? Math.min(1, model.weakPhonics.get(phonicsTags[0]) * 5) * WEIGHTS.phonics : 0;
+    details.tag = phonicsTags[0];
+
+    // Aim slightly harder when accuracy is high and easier when it is low
+    const targetDifficulty = model.level === null ? 0.4 : Math.min(0.9, Math.max(0.1, (model.level - 80) / 20));
+    parts.difficulty = (1 - Math.abs(estimateDifficulty(item) - targetDifficulty)) * WEIGHTS.difficulty;
+
+    parts.fresh = completedIds.has(item.id) ? 0 : WEIGHTS.fresh;
+
+    const position = model.recent.get(item.id);
+    parts.recency = position === undefined ? 0 : -WEIGHTS.recency * ((position + 1) / model.historyLength);
+
+    const total = Object.values(parts).reduce((sum, value) => sum + value, 0);
+    return { total, parts, details };
+}
+
+function explain({ parts, details }) {
+    const reasons = [
+        { weight: parts.phonics, text: details.tag && `Picked because it practises '${phonicsLabel(details.tag)}'` },
+        { weight: parts.trickyWords, text: details.word && `Picked because it includes '${details.word}', which was tricky last time` },
+        { weight: parts.weakKeys, text: details.key && `Picked because it practises the '${details.key}' key` },
+        { weight: parts.fresh, text: "Picked because you haven't tried it yet" }
+    ].filter(r => r.text && r.weight > 0).sort((a, b) => b.weight - a.weight);
+    if (reasons.length) return reasons[0].text;
+    return parts.recency < 0 ? 'Picked because it is a good match for your level' : "Picked because you haven't played it for a while";
+}
+
+/**
+ * Recommends the best lesson from a pool.
+ * @param {object[]} pool - Candidate items of one type.
+ * @param {string} type - 'passage', 'spelling' or 'phonics'.
+ * @param {object} state - The main application state object.
+ * @param {object[]} allItems - Every loaded lesson item (for tag lookups of past sessions).
+ * @param {object} [options]
+ * @param {number|string} [options.seed=Date.now()] - Seed for the small random tie-breaker.
+ * @returns {{item: object, reason: string, score: number} | null}
+ */
+export function recommendLesson(pool, type, state, allItems, { seed = Date.now() } = {}) {
+    if (!pool.length) return null;
+    const completedIds = new Set(
+        type === 'spelling'
+            ? state.progress.completedSpellings || []
+            : type === 'phonics'
+                ? state.progress.completedPhonics || []
+                : state.progress.completedPassages || []
+    );
+    const model = buildLearnerModel(state, allItems);
+    const random = createSeededRandom(seed);
+
+    // Sorting by id first means the seeded jitter is applied in a stable order
+    const scored = [...pool].sort((a, b) => a.id.localeCompare(b.id)).map(item => {
+        const score = scoreCandidate(item, model, completedIds);
+        score.total += random() * WEIGHTS.jitter;
+        return { item, score };
+    });
+    const best = scored.reduce((top, entry) => (entry.score.total > top.score.total ? entry : top));
+    return { item: best.item, reason: explain(best.score), score: best.score.total };
+}
@@ -0,0 +1,151 @@
+/**
+ * @file replay.js
+ * @description Records every keystroke of a typing session and plays sessions back,
+ * so teachers and parents can see where a learner hesitated or corrected themselves.
+ *
+ * A keystroke is stored as { t, i, exp, got, bs } where:
+ * - t:   milliseconds since the first keystroke of the session
+ * - i:   index in the normalised target text
+ * - exp: the expected character at that index ('' past the end)
+ * - got: the typed character, or for a backspace the character that was removed
+ * - bs:  true if the keystroke was a backspace
+ * Lockstep rejections (the app removed a wrong character) carry `rejected: true`.
+ */
+
+import { normaliseString } from './utils.js';
+
+// Long gaps (usually a pause or a break) are shortened during playback.
+const MAX_REPLAY_GAP_MS = 2000;
+export const HESITATION_MS = 1500;
+
+/**
+ * Compares the textarea value with the last recorded value and logs the difference as keystrokes.
+ * Handles single key presses, backspaces, and bulk changes such as a restored draft.
+ * @param {object} runtime - state.runtime for the current session (mutated).
+ * @param {string} nextValue - The textarea value after the input event.
+ * @param {number} [now=Date.now()] - Timestamp of the change.
+ */
+export function recordInputChange(runtime, nextValue, now = Date.now()) {
+    if (!runtime.keystrokes) runtime.keystrokes = [];
+    if (runtime.keystrokeStart == null) runtime.keystrokeStart = now;
+    const t = now - runtime.keystrokeStart;
+    const target = runtime.targetTextNorm || '';
+    const prevNorm = normaliseString(runtime.lastInputValue || '');
+    const nextNorm = normaliseString(nextValue);
+
+    let common = 0;
+    while (common < prevNorm.length && common < nextNorm.length && prevNorm[common] === nextNorm[common]) common++;
+
+    for (let i = prevNorm.length - 1; i >= common; i--) {
+        runtime.keystrokes.push({ t, i, exp: target[i] ?? '', got: prevNorm[i], bs: true });
+    }
+    for (let i = common; i < nextNorm.length; i++) {
+        runtime.keystrokes.push({ t, i, exp: target[i] ?? '', got: nextNorm[i], bs: false });
+    }
+    runtime.lastInputValue = nextValue;
+}
+
+/**
+ * Marks the most recent keystroke as removed by lockstep mode.
+ * @param {object} runtime - state.runtime for the current session (mutated).
+ * @param {string} revertedValue - The textarea value after the wrong character was removed.
+ */
+export function markLastKeystrokeRejected(runtime, revertedValue) {
+    const last = runtime.keystrokes?.[runtime.keystrokes.length - 1];
+    if (last && !last.bs) last.rejected = true;
+    runtime.lastInputValue = revertedValue;
+}
+
+/**
+ * Finds the places where the learner paused before typing a character.
+ * @param {object[]} keystrokes - Recorded keystrokes.
+ * @param {number} [thresholdMs=HESITATION_MS] - Minimum pause to report.
+ * @returns {{i: number, exp: string, pauseMs: number}[]} Hesitations, longest first.
+ */
+export function findHesitations(keystrokes, thresholdMs = HESITATION_MS) {
+    const found = [];
+    for (let n = 1; n < keystrokes.length; n++) {
+        const k = keystrokes[n];
+        const pauseMs = k.t - keystrokes[n - 1].t;
+        if (!k.bs && pauseMs >= thresholdMs) found.push({ i: k.i, exp: k.exp, pauseMs });
+    }
+    return found.sort((a, b) => b.pauseMs - a.pauseMs);
+}
+
+/**
+ * Returns the word of the target text that contains the given index.
+ * @param {string} targetText - The normalised target text.
+ * @param {number} index - A character index.
+ * @returns {string}
+ */
+export function wordAt(targetText, index) {
+    let start = index, end = index;
+    while (start > 0 && !/\s/.test(targetText[start - 1])) start--;
+    while (end < targetText.length && !/\s/.test(targetText[end])) end++;
+    return targetText.slice(start, end);
+}
+
+/**
+ * Creates a player that rebuilds the typed text keystroke by keystroke.
+ * @param {object[]} keystrokes - Recorded keystrokes.
+ * @param {object} handlers
+ * @param {function} handlers.onFrame - Called with ({ text, keystroke, position, total }) after each step.
+ * @param {function} [handlers.onEnd] - Called when playback reaches the end.
+ * @returns {{play: function, pause: function, restart: function, setSpeed: function, isPlaying: function}}
+ */
+export function createReplayPlayer(keystrokes, { onFrame, onEnd }) {
+    let position = 0;
+    let text = '';
+    let timer = null;
+    let speed = 1;
+
+    const step = () => {
+        const prev = keystrokes[position - 1];
+        if (prev?.rejected) text = text.slice(0, prev.i);
+
+        const k = keystrokes[position];
+        text = k.bs ? text.slice(0, k.i) : text.slice(0, k.i) + k.got;
+        position++;
+        onFrame({ text, keystroke: k, position, total: keystrokes.length });
+
+        if (position >= keystrokes.length) {
+            if (k.rejected) {
+                text = text.slice(0, k.i);
+                onFrame({ text, keystroke: k, position, total: keystrokes.length });
+            }
+            timer = null;
+            if (onEnd) onEnd();
+            return;
+        }
+        const gap = Math.min(keystrokes[position].t - k.t, MAX_REPLAY_GAP_MS);
+        timer = setTimeout(step, Math.max(0, gap) / speed);
+    };
+
+    return {
+        play() {
+            if (timer || !keystrokes.length) return;
+            if (position >= keystrokes.length) {
+                position = 0;
+                text = '';
+            }
+            step();
+        },
+        pause() {
+            clearTimeout(timer);
+            timer = null;
+        },
+        restart() {
+            clearTimeout(timer);
+            timer = null;
+            position = 0;
+            text = '';
+            onFrame({ text, keystroke: null, position, total: keystrokes.length });
+        },
+        setSpeed(value) {
+            speed = value > 0 ? value : 1;
+        },
+        isPlaying() {
+            return timer !== null;
+        }
+    };
+}
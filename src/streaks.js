@@ -0,0 +1,171 @@
+/**
+ * @file streaks.js
+ * @description The practice streak, kept gentle. Rest days (chosen weekdays and holidays a
+ * parent marks) neither count nor break a streak, and streak freezes earned through practice
+ * cover missed school days. When a streak does end, the learner is welcomed back rather than
+ * told they lost it.
+ *
+ * Rest days live in `state.settings.restDays` as
+ * { weekdays: number[] (0 = Sunday), holidays: [{ from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }] }.
+ *
+ * Nothing about the streak is stored. It is worked out afresh from the days the learner
+ * practised: the practice log (which knows whether each day's goal was met) and, for days
+ * older than the log keeps, the session timestamps. Days are local calendar days, stepped
+ * with calendar arithmetic rather than 24-hour jumps, so a clock change for summer time
+ * cannot skip or repeat a day. Practice dated after today (a clock that was set ahead) counts
+ * as today. Every function takes `today`, so a fixed date can stand in for the clock.
+ *
+ * Badges, the home screen and Parent Glance all read the streak from getStreakStatus.
+ */
+
+import { config } from './config.js';
+import { toDateKey } from './wordBank.js';
+import { getGoalForDay } from './goals.js';
+
+export const DEFAULT_REST_DAYS = { weekdays: [], holidays: [] };
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function dateFromKey(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+/**
+ * Whether a day is a rest day: one of the chosen weekdays, or inside a holiday.
+ * @param {object} [restDays] - state.settings.restDays.
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isRestDay(restDays, date) {
+    if (!restDays) return false;
+    if (restDays.weekdays?.includes(date.getDay())) return true;
+    const key = toDateKey(date);
+    return (restDays.holidays || []).some(h => key >= h.from && key <= h.to);
+}
+
+// School days strictly between two day keys, i.e. the days that needed practice or a freeze
+function countMissedDays(fromKey, toKey, restDays) {
+    let missed = 0;
+    for (let day = addDays(dateFromKey(fromKey), 1); toDateKey(day) < toKey; day = addDays(day, 1)) {
+        if (!isRestDay(restDays, day)) missed++;
+    }
+    return missed;
+}
+
+/**
+ * The days that count towards the streak. A day in the practice log counts once its goal was
+ * met (entries from before the log recorded this are judged against today's goal); a day only
+ * known from the session history counts for any lesson, as the log has forgotten it.
+ * @param {object} state - The app state.
+ * @returns {string[]} Local 'YYYY-MM-DD' keys, oldest first.
+ */
+export function getStreakDays(state) {
+    const log = state.progress.practiceLog || {};
+    const days = new Set(state.sessions
+        .map(s => new Date(s.ts))
+        .filter(date => !Number.isNaN(date.getTime()))
+        .map(toDateKey)
+        .filter(key => !(key in log)));
+    for (const [key, entry] of Object.entries(log)) {
+        let met = entry.met;
+        if (met === undefined) {
+            const { type, target } = getGoalForDay(state.settings.dailyGoal, dateFromKey(key));
+            met = (type === 'minutes' ? entry.minutes : entry.lessons) >= target;
+        }
+        if (met) days.add(key);
+    }
+    return [...days].sort();
+}
+
+/**
+ * Walks a run of practice days to find the streak as it stands today. Freezes are earned
+ * every few days of streak, up to a small store, and spent on school days missed between
+ * practice days; a gap with more missed days than freezes ends the streak.
+ * @param {string[]} dayKeys - Practice days as 'YYYY-MM-DD', in any order.
+ * @param {object} [restDays] - state.settings.restDays.
+ * @param {Date} [today=new Date()]
+ * @returns {{days: number, practisedToday: boolean, freezes: number, freezesNeeded: number,
+ *   broken: boolean, previousStreak: number, best: number}} `days` is zero once the streak
+ *   has ended, when `previousStreak` holds what it reached.
+ */
+export function computeStreak(dayKeys, restDays, today = new Date()) {
+    const todayKey = toDateKey(today);
+    const keys = [...new Set(dayKeys.map(key => (key > todayKey ? todayKey : key)))].sort();
+    let streak = 0;
+    let freezes = 0;
+    let best = 0;
+    let last = null;
+
+    for (const key of keys) {
+        const missed = last ? countMissedDays(last, key, restDays) : 0;
+        if (missed > freezes) {
+            streak = 0;
+        } else {
+            freezes -= missed;
+        }
+        streak++;
+        if (streak % config.STREAK_FREEZE_EVERY_DAYS === 0 && freezes < config.STREAK_FREEZES_MAX) freezes++;
+        best = Math.max(best, streak);
+        last = key;
+    }
+
+    const missed = last ? countMissedDays(last, todayKey, restDays) : 0;
+    const broken = missed > freezes;
+    return {
+        days: broken ? 0 : streak,
+        practisedToday: last === todayKey,
+        freezes,
+        freezesNeeded: broken ? 0 : missed,
+        broken,
+        previousStreak: streak,
+        best
+    };
+}
+
+/**
+ * The streak as it stands today.
+ * @param {object} state - The app state.
+ * @param {Date} [today=new Date()]
+ * @returns {{days: number, practisedToday: boolean, restToday: boolean, freezes: number,
+ *   freezesNeeded: number, welcomeBack: boolean, previousStreak: number, best: number}}
+ *   `welcomeBack` is true when the learner has returned after the streak ended.
+ */
+export function getStreakStatus(state, today = new Date()) {
+    const streak = computeStreak(getStreakDays(state), state.settings.restDays, today);
+    return {
+        days: streak.days,
+        practisedToday: streak.practisedToday,
+        restToday: isRestDay(state.settings.restDays, today),
+        freezes: streak.freezes,
+        freezesNeeded: streak.freezesNeeded,
+        welcomeBack: streak.broken && streak.previousStreak > 0,
+        previousStreak: streak.previousStreak,
+        // Saves from before the streak was worked out from the history may remember a longer one
+        best: Math.max(streak.best, state.progress.bestStreak || 0)
+    };
+}
+
+/**
+ * What a lesson did to the streak, for the summary screen.
+ * @param {object} before - getStreakStatus before the lesson was logged.
+ * @param {object} after - getStreakStatus after.
+ * @returns {object|null} Null unless the lesson made today count:
+ *   { event: 'started'|'extended'|'restarted', days, freezesUsed, freezeEarned, previousStreak }
+ */
+export function describeStreakDay(before, after) {
+    if (before.practisedToday || !after.practisedToday) return null;
+    let event = 'extended';
+    if (before.welcomeBack) event = 'restarted';
+    else if (!before.days) event = 'started';
+    const freezesUsed = event === 'extended' ? before.freezesNeeded : 0;
+    return {
+        event,
+        days: after.days,
+        freezesUsed,
+        freezeEarned: after.freezes > before.freezes - freezesUsed,
+        previousStreak: before.previousStreak
+    };
+}
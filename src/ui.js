@@ -4,10 +4,27 @@
  */
 import { config } from './config.js';
 import { buildLessonId, getLessonCompletionPercent, getSectionCompletionPercent, isLastLesson } from './progress.js';
+import { getProfiles, getActiveProfile, getDraftKey, readProfileState, PROFILE_AVATARS } from './profiles.js';
+import { findHesitations, wordAt } from './replay.js';
+import { getKeySummary, getTopSubstitutions, getReversalSummary } from './keyStats.js';
+import { getDueWords, getNextReviewDate, LEARNED_BOX, toDateKey } from './wordBank.js';
+import { getCustomItems, getKnownPhonicsTags, CUSTOM_TYPES, CUSTOM_STAGES } from './customContent.js';
+import { getInstalledPacks, countPackItems, PACK_SECTIONS } from './lessonPacks.js';
+import { getKeyboardRows, getLayoutOptions } from './layouts.js';
+import { getCourseStatus, getStarterKeys } from './course.js';
+import { getWorstTransitionsOverall, findPatternForGram } from './ngramStats.js';
+import { getTrendSeries, getDailyMinutes, getCompletedByStage } from './progressCharts.js';
+import { buildProgressReport } from './progressReport.js';
+import { getGoalProgress, DEFAULT_GOAL, WEEKDAY_NAMES } from './goals.js';
+import { getDayPlan, getNextPlanStep } from './planner.js';
+import { getStreakStatus, DEFAULT_REST_DAYS } from './streaks.js';
+import { auditBadges } from './badgeAudit.js';
+import { getBadgeProgressSummary } from './badges.js';
+import { getPhonicsGrid, getSpellingListMastery, MASTERY_LEVELS, MASTERY_LABELS } from './mastery.js';
 
 // These constants are UI-specific and belong here.
 const PET_LEVELS = ['💠', '🐣', '🐤', '🐔', '🦖', '🐉'];
-const THEME_ICONS = { "Animals": "🐾", "Silly Stories": "🤪", "Nature": "🌿", "Core": "📚", "Phonics": "🔤", "Statutory": "📜", "Science snips": "🔬", "Myths": "🦄", "Academic": "🎓", "History": "🏛️", "Geography": "🗺️" };
+const THEME_ICONS = { "Animals": "🐾", "Silly Stories": "🤪", "Nature": "🌿", "Core": "📚", "Phonics": "🔤", "Statutory": "📜", "Science snips": "🔬", "Myths": "🦄", "Academic": "🎓", "History": "🏛️", "Geography": "🗺️", "Custom": "✏️" };
 const ABOUT_MARKDOWN = `**StoryKeys** is a calm typing companion for learners who benefit from gentle practice. It pairs curated stories with mindful drills so building muscle memory feels encouraging.
 
 This project is designed to respect privacy, celebrate small wins, and make it easy for teachers, parents, and independent learners to explore accessible typing journeys.`;
@@ -70,12 +87,12 @@ let hasAutoScrolledToLastLesson = false;
 // Helper to read draft info for home screen display
 function getDraftInfo() {
     try {
-        const raw = localStorage.getItem('storykeys_draft');
+        const raw = localStorage.getItem(getDraftKey());
         if (!raw) return null;
         const draft = JSON.parse(raw);
         // Expire drafts older than 24 hours
         if (Date.now() - draft.savedAt > 24 * 60 * 60 * 1000) {
-            localStorage.removeItem('storykeys_draft');
+            localStorage.removeItem(getDraftKey());
             return null;
         }
         return draft;
@@ -123,6 +140,534 @@ function getRecentLessonsHtml(state) {
         </div>`;
 }
 
+// Helper to get the word review card for the home screen
+function getWordReviewHtml(state) {
+    const bank = state.progress.wordBank || {};
+    const total = Object.keys(bank).length;
+    if (!total) return '';
+    const due = getDueWords(bank);
+    const learned = Object.values(bank).filter(entry => entry.box >= LEARNED_BOX).length;
+    const next = getNextReviewDate(bank);
+    let message;
+    if (due.length) {
+        message = `<b>${due.length} ${due.length === 1 ? 'word is' : 'words are'}</b> ready to practise today.`;
+    } else if (next) {
+        const [y, m, d] = next.split('-').map(Number);
+        message = `All caught up! Your next words come back on ${new Date(y, m - 1, d).toLocaleDateString()}.`;
+    } else {
+        message = 'Every word in your bank has been learned. Brilliant!';
+    }
+    return `
+        <div id="word-review-card" class="card home-card">
+            <h2>Word Review</h2>
+            <p>${message}</p>
+            <p class="word-review-meta">${learned} of ${total} tricky words learned</p>
+            ${due.length ? '<button id="review-words-btn" class="button button-spelling">Review Due Words</button>' : ''}
+        </div>`;
+}
+
+// Helper for the home "Today" card: a ring showing progress towards the daily goal, and today's plan
+function getTodayHtml(state) {
+    const goal = getGoalProgress(state.progress, state.settings.dailyGoal);
+    const plan = getDayPlan(state.progress);
+    const next = getNextPlanStep(plan);
+    const unit = goal.type === 'minutes' ? 'minutes' : goal.target === 1 ? 'lesson' : 'lessons';
+    const label = `${goal.done} of ${goal.target} ${unit} today`;
+    const radius = 26;
+    const circumference = 2 * Math.PI * radius;
+    let message = 'Every bit of practice counts.';
+    if (goal.met) message = 'Goal reached for today. Well done!';
+    else if (goal.type === 'none') message = 'One lesson keeps your streak going.';
+    return `
+        <div id="today-card" class="card home-card today-card">
+            <div class="today-goal">
+                <svg class="goal-ring ${goal.met ? 'met' : ''}" viewBox="0 0 64 64" role="img" aria-label="Daily goal: ${label}">
+                    <circle class="goal-ring-track" cx="32" cy="32" r="${radius}"/>
+                    <circle class="goal-ring-fill" cx="32" cy="32" r="${radius}" transform="rotate(-90 32 32)"
+                        stroke-dasharray="${circumference.toFixed(1)}" stroke-dashoffset="${(circumference * (1 - goal.fraction)).toFixed(1)}"/>
+                    <text x="32" y="37" text-anchor="middle">${goal.met ? '✓' : `${Math.round(goal.fraction * 100)}%`}</text>
+                </svg>
+                <div>
+                    <h2>Today</h2>
+                    <p class="mb-0"><b>${label}</b>. ${message}</p>
+                </div>
+            </div>
+            <ol class="plan-steps">
+                ${plan.steps.map(step => `<li class="${step.done ? 'done' : ''}"><span aria-hidden="true">${step.done ? '✓' : '○'}</span> ${step.label}${step.done ? ' (done)' : ''}</li>`).join('')}
+            </ol>
+            ${next
+                ? `<button id="plan-next-btn" class="button button-primary">${plan.steps.some(step => step.done) ? 'Continue' : 'Start'} Today's Plan: ${next.label}</button>`
+                : `<p class="mb-0">Today's plan is done. Lovely work!</p>`}
+        </div>`;
+}
+
+// Reads a 'YYYY-MM-DD' key as a local day
+function dateFromKey(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+// Helper for the card that greets a learner coming back after their streak ended
+function getWelcomeBackHtml(status) {
+    if (!status.welcomeBack) return '';
+    return `
+        <div id="welcome-back-card" class="card home-card welcome-back-card">
+            <h2>👋 Welcome back!</h2>
+            <p class="mb-0">It's lovely to see you again. Your last streak was <b>${status.previousStreak} ${status.previousStreak === 1 ? 'day' : 'days'}</b>${status.best > status.previousStreak ? `, and your best is ${status.best}` : ''}. Any practice today starts a fresh one.</p>
+        </div>`;
+}
+
+// Helper for the summary note on what today did to the streak: a fresh start, freezes used or earned
+function getStreakNoteHtml(streak) {
+    if (!streak) return '';
+    const notes = [];
+    if (streak.event === 'restarted') notes.push('👋 Welcome back! A fresh streak starts today.');
+    if (streak.freezesUsed) notes.push(`🧊 ${streak.freezesUsed === 1 ? 'A streak freeze' : `${streak.freezesUsed} streak freezes`} kept your streak going: ${streak.days} days!`);
+    if (streak.freezeEarned) notes.push('🧊 You earned a streak freeze! It will cover a day you miss.');
+    if (!notes.length) return '';
+    return `<div class="streak-note">${notes.map(note => `<p class="mb-0">${note}</p>`).join('')}</div>`;
+}
+
+// Helper for the home streak card
+function getStreakHtml(status) {
+    if (!status.days) return '';
+    let message;
+    if (status.practisedToday) {
+        message = status.days === 1 ? "You practiced today. Come back tomorrow to keep it going!" : `You've practiced ${status.days} days in a row. Amazing!`;
+    } else if (status.restToday) {
+        message = 'Today is a rest day. Your streak is safe.';
+    } else if (status.freezesNeeded) {
+        message = `A streak freeze will cover the ${status.freezesNeeded === 1 ? 'day' : `${status.freezesNeeded} days`} you missed. Practise today to keep your streak going.`;
+    } else {
+        message = 'Practise today to keep your streak going.';
+    }
+    return `
+        <div class="card streak-card">
+            <div class="streak-icon">🔥</div>
+            <div>
+                <h3>${status.days} Day Streak!</h3>
+                <p class="mb-0">${message}</p>
+                ${status.freezes ? `<p class="streak-freezes mb-0">🧊 ${status.freezes} streak ${status.freezes === 1 ? 'freeze' : 'freezes'} saved</p>` : ''}
+            </div>
+        </div>`;
+}
+
+// Helper for the Rest Days editor in Parent Glance
+function getRestDaysEditorHtml(restDays = DEFAULT_REST_DAYS) {
+    const weekdayBoxes = [1, 2, 3, 4, 5, 6, 0].map(day => `
+        <label><input type="checkbox" data-rest-weekday="${day}" ${restDays.weekdays?.includes(day) ? 'checked' : ''}> ${WEEKDAY_NAMES[day]}</label>`).join('');
+    const holidays = restDays.holidays || [];
+    const holidayRows = holidays.map((h, i) => {
+        const from = dateFromKey(h.from).toLocaleDateString();
+        const to = dateFromKey(h.to).toLocaleDateString();
+        return `<li>${h.from === h.to ? from : `${from} to ${to}`} <button class="button button-secondary button-sm" data-remove-holiday="${i}">Remove</button></li>`;
+    }).join('');
+    return `
+        <div class="rest-weekdays">${weekdayBoxes}</div>
+        ${holidays.length ? `<ul class="holiday-list">${holidayRows}</ul>` : '<p>No holidays added.</p>'}
+        <div class="report-range">
+            <label>Holiday from <input type="date" id="holiday-from"></label>
+            <label>To <input type="date" id="holiday-to"></label>
+            <button id="add-holiday-btn" class="button button-secondary">Add Holiday</button>
+        </div>`;
+}
+
+// Helper for the Daily Goal editor in Parent Glance
+function getGoalEditorHtml(goal = DEFAULT_GOAL) {
+    const weekdays = goal.weekdays || {};
+    // Monday first, to match the charts
+    const dayInputs = [1, 2, 3, 4, 5, 6, 0].map(day => `
+        <label>${WEEKDAY_NAMES[day]} <input type="number" min="1" max="120" data-goal-weekday="${day}" value="${weekdays[day] ?? ''}" placeholder="${goal.target}"></label>`).join('');
+    return `
+        <div class="goal-editor">
+            <label>Goal
+                <select id="goal-type" class="sort-select">
+                    <option value="none" ${goal.type === 'none' ? 'selected' : ''}>No goal: any lesson counts</option>
+                    <option value="minutes" ${goal.type === 'minutes' ? 'selected' : ''}>Minutes each day</option>
+                    <option value="lessons" ${goal.type === 'lessons' ? 'selected' : ''}>Lessons each day</option>
+                </select>
+            </label>
+            <label>Amount <input type="number" id="goal-target" min="1" max="120" value="${goal.target}"></label>
+        </div>
+        <details class="goal-weekdays">
+            <summary>A different amount on some days</summary>
+            <p>Leave a day blank to use the usual amount.</p>
+            <div class="goal-weekday-grid">${dayInputs}</div>
+        </details>
+        <div class="button-row mt-sm"><button id="save-goal-btn" class="button button-secondary">Save Goal</button></div>`;
+}
+
+// Helper to show the "Learn the Keys" course on the home screen, with a key map of progress
+function getCourseHtml(state, DATA) {
+    const status = getCourseStatus(state.progress.course, DATA.KEYMAP);
+    if (!status.order.length) return '';
+    const unlocked = new Set(status.unlocked);
+    const keyMapHtml = getKeyboardRows(DATA.KEYMAP, { modifiers: false })
+        .filter(row => row.some(k => status.order.includes(k.key)))
+        .map(row => `<div class="keyboard-row">${row.map(k => {
+            let stateClass = 'course-other';
+            let label = 'not part of the course';
+            if (k.key === status.newest) { stateClass = 'course-newest'; label = 'newest key'; }
+            else if (unlocked.has(k.key)) { stateClass = 'course-unlocked'; label = 'unlocked'; }
+            else if (k.key === status.next) { stateClass = 'course-next'; label = 'next to unlock'; }
+            else if (status.order.includes(k.key)) { stateClass = 'course-locked'; label = 'locked'; }
+            return `<div class="key ${stateClass}" title="${escapeHtml(k.name)}: ${label}">${escapeHtml(k.name)}</div>`;
+        }).join('')}</div>`).join('');
+    const message = status.complete
+        ? 'Every letter is unlocked. Keep drilling to stay sharp!'
+        : `<b>${status.unlocked.length} of ${status.order.length}</b> letters unlocked. Type a drill with ${config.COURSE_ACCURACY_GATE}% accuracy to unlock '${escapeHtml(status.next)}'.`;
+    return `
+        <div id="course-card" class="card home-card">
+            <h2>Learn the Keys</h2>
+            <p>Start on the home row and add one new letter at a time.</p>
+            <div class="course-key-map" role="img" aria-label="Keyboard showing ${status.unlocked.length} unlocked letters">${keyMapHtml}</div>
+            <p class="course-status">${message}</p>
+            <button id="course-btn" class="button button-primary">${status.unlocked.length === getStarterKeys(DATA.KEYMAP).length ? 'Start the Course' : 'Next Course Drill'}</button>
+        </div>`;
+}
+
+// Helper to get the "Who's practising?" switcher for the home screen
+function getProfileSwitcherHtml() {
+    const active = getActiveProfile();
+    const buttons = getProfiles().map(p => `
+        <button class="profile-btn" data-profile-id="${p.id}" aria-pressed="${p.id === active?.id}">
+            <span class="profile-avatar" aria-hidden="true">${p.avatar}</span>
+            <span>${escapeHtml(p.name)}</span>
+        </button>`).join('');
+    return `
+        <div id="profile-switcher" class="card home-card profile-switcher">
+            <h2>Who's practising?</h2>
+            <div class="profile-list">
+                ${buttons}
+                <button id="add-profile-btn" class="button button-secondary button-sm">+ Add learner</button>
+            </div>
+        </div>`;
+}
+
+// Helper to summarise every learner on this device for Parent Glance
+function getProfilesTableHtml() {
+    const active = getActiveProfile();
+    const rows = getProfiles().map(p => {
+        const saved = readProfileState(p.id);
+        const sessions = saved?.sessions || [];
+        const last = sessions.length ? new Date(sessions[sessions.length - 1].ts).toLocaleDateString() : '–';
+        const avg = sessions.length ? `${Math.round(sessions.reduce((acc, s) => acc + s.accuracy, 0) / sessions.length)}%` : '–';
+        const isActive = p.id === active?.id;
+        const actions = isActive
+            ? '<span class="meta-chip">Active</span>'
+            : `<button class="button button-secondary button-sm" data-profile-action="switch" data-profile-id="${p.id}">Switch</button>
+               <button class="button button-danger button-sm" data-profile-action="delete" data-profile-id="${p.id}">Remove</button>`;
+        return `<tr><th scope="row">${p.avatar} ${escapeHtml(p.name)}</th><td>${sessions.length}</td><td>${Math.round(saved?.progress?.minutesTotal || 0)}</td><td>${(saved?.progress?.badges || []).length}</td><td>${avg}</td><td>${last}</td><td>${actions}</td></tr>`;
+    }).join('');
+    return `
+        <table class="profile-table">
+            <thead><tr><th scope="col">Learner</th><th scope="col">Sessions</th><th scope="col">Minutes</th><th scope="col">Badges</th><th scope="col">Avg. Acc.</th><th scope="col">Last</th><th scope="col" aria-label="Actions"></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Error-rate thresholds for the heatmap colour bands (heat-0 .. heat-4)
+const HEAT_BANDS = [0.03, 0.08, 0.15, 0.25];
+// Keys with fewer attempts than this are drawn faded, as their rate is not yet reliable
+const HEAT_MIN_ATTEMPTS = 5;
+
+function keyLabel(key) {
+    return key === ' ' ? 'Space' : key;
+}
+
+// Helper to draw per-key accuracy over the learner's keyboard layout
+function getKeyHeatmapHtml(keyStats, keymap) {
+    const summary = getKeySummary(keyStats);
+    if (!Object.keys(summary).length) return '<p>Key statistics will appear here after the first lesson.</p>';
+
+    const keyboardHtml = getKeyboardRows(keymap, { modifiers: false }).map(row => `<div class="keyboard-row">${row.map(k => {
+        const stats = summary[k.key];
+        if (!stats) return `<div class="key heat-none${k.key === ' ' ? ' space' : ''}" title="${escapeHtml(keyLabel(k.name))}: not typed yet">${escapeHtml(keyLabel(k.name))}</div>`;
+        const band = HEAT_BANDS.findIndex(limit => stats.errorRate < limit);
+        const pct = Math.round(stats.errorRate * 100);
+        const latency = stats.meanLatency !== null ? `, ${stats.meanLatency} ms to reach` : '';
+        const classes = ['key', `heat-${band === -1 ? HEAT_BANDS.length : band}`];
+        if (stats.attempts < HEAT_MIN_ATTEMPTS) classes.push('heat-few');
+        if (k.key === ' ') classes.push('space');
+        return `<div class="${classes.join(' ')}" title="${escapeHtml(keyLabel(k.name))}: ${stats.attempts} tries, ${pct}% missed${latency}">${escapeHtml(keyLabel(k.name))}<small>${pct}%</small></div>`;
+    }).join('')}</div>`).join('');
+
+    const reversals = getReversalSummary(keyStats).filter(r => r.attempts > 0);
+    const reversalRows = reversals.map(({ pair: [a, b], forward, backward, attempts }) =>
+        `<tr><th scope="row">${a} / ${b}</th><td>${forward}</td><td>${backward}</td><td>${attempts}</td></tr>`
+    ).join('');
+    const reversalHtml = reversals.length ? `
+        <table class="reversal-table">
+            <thead><tr><th scope="col">Letters</th><th scope="col">1st typed as 2nd</th><th scope="col">2nd typed as 1st</th><th scope="col">Times typed</th></tr></thead>
+            <tbody>${reversalRows}</tbody>
+        </table>` : '<p>No b, d, p or q practised yet.</p>';
+
+    const mixUps = getTopSubstitutions(keyStats).map(s => `<li>'${escapeHtml(keyLabel(s.typed))}' typed for '${escapeHtml(keyLabel(s.expected))}' × ${s.count}</li>`).join('');
+    const slowest = Object.entries(summary)
+        .filter(([, stats]) => stats.attempts >= HEAT_MIN_ATTEMPTS && stats.meanLatency !== null)
+        .sort(([, a], [, b]) => b.meanLatency - a.meanLatency)
+        .slice(0, 3)
+        .map(([key, stats]) => `<li>'${escapeHtml(keyLabel(key))}' (${stats.meanLatency} ms)</li>`).join('');
+
+    return `
+        <div class="key-heatmap" role="img" aria-label="Keyboard coloured by how often each key is missed">${keyboardHtml}</div>
+        <p class="heatmap-legend"><span class="key heat-0"></span> rarely missed <span class="key heat-4"></span> often missed <span class="key heat-none"></span> not typed yet</p>
+        <h4>Letter Reversals</h4>
+        ${reversalHtml}
+        <div class="summary-feedback">
+            ${mixUps ? `<div><h4>Common Mix-ups</h4><ul>${mixUps}</ul></div>` : ''}
+            ${slowest ? `<div><h4>Slowest to Find</h4><ul>${slowest}</ul></div>` : ''}
+        </div>`;
+}
+
+// Helper to list the letter pairs and triples missed most often, with the phonics pattern that practises each
+function getTransitionsHtml(ngramStats, patterns) {
+    const worst = getWorstTransitionsOverall(ngramStats);
+    if (!worst.length) return '<p>Letter pairs that often go wrong will appear here after a few lessons.</p>';
+    const rows = worst.map(t => {
+        const pattern = findPatternForGram(t.gram, patterns);
+        return `<tr><th scope="row">${escapeHtml(t.gram)}</th><td>${Math.round(t.errorRate * 100)}%</td><td>${t.meanLatency !== null ? `${t.meanLatency} ms` : '—'}</td><td>${pattern ? escapeHtml(pattern.name) : '—'}</td></tr>`;
+    }).join('');
+    return `
+        <table class="transition-table">
+            <thead><tr><th scope="col">Letters</th><th scope="col">Missed</th><th scope="col">Time to reach</th><th scope="col">Pattern to practise</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Helper for the parent badge audit: each badge's status, what it takes and how close the learner has come
+function getBadgeAuditHtml(audit) {
+    const dateOf = ts => new Date(ts).toLocaleDateString();
+    const rows = audit.map(({ badge, status, when, waitingFor, parts }) => {
+        let statusText = waitingFor.length ? `Not yet (needs ${waitingFor.map(escapeHtml).join(', ')} first)` : 'Not yet';
+        if (status === 'earned') statusText = `✓ Earned ${dateOf(when)}`;
+        else if (status === 'queued') statusText = `On its way: owed since ${dateOf(when)}${waitingFor.length ? `, after ${waitingFor.map(escapeHtml).join(', ')}` : ''}`;
+        return `<tr>
+            <th scope="row">${escapeHtml(badge.label)}${badge.hidden ? ' <span class="badge-audit-note">(surprise)</span>' : ''}</th>
+            <td>${statusText}</td>
+            <td>${parts.map(p => escapeHtml(p.text)).join('<br>')}</td>
+            <td>${parts.map(p => escapeHtml(p.progress)).join('<br>')}</td>
+        </tr>`;
+    }).join('');
+    return `
+        <table class="transition-table badge-audit-table">
+            <thead><tr><th scope="col">Badge</th><th scope="col">Status</th><th scope="col">What it takes</th><th scope="col">So far</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Helper for the badges modal: the next badge in each track, with a bar for how close it is
+function getNextBadgesHtml(summary) {
+    const cards = Object.entries(summary.tracks).filter(([, track]) => track.next).map(([name, track]) => {
+        const { badge, queued, current, target, unit, best, fraction } = track.next;
+        let detail = '';
+        if (queued) detail = '<small>On its way! It arrives after one of your next lessons.</small>';
+        else if (fraction !== null) {
+            const percent = Math.round(fraction * 100);
+            const amount = `${current}/${target} ${unit}`;
+            detail = `
+                <div class="badge-meter" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}" aria-label="${escapeHtml(badge.label)}: ${amount}">
+                    <div class="badge-meter-fill" style="width: ${percent}%"></div>
+                </div>
+                <small>${best ? `Best so far: ${amount}` : amount}</small>`;
+        }
+        return `<div class="badge-card badge-next">
+            <span class="badge-track">${escapeHtml(name)} · ${track.earned} of ${track.visible}</span>
+            <h4>${escapeHtml(badge.label)}</h4><p>${escapeHtml(badge.desc)}</p>${detail}
+        </div>`;
+    });
+    if (!cards.length) return '';
+    return `<h3>Up Next</h3><div class="badge-grid">${cards.join('')}</div>`;
+}
+
+// Marks beside each phonics cell, so the grid does not rely on colour alone
+const MASTERY_MARKS = { 'not-started': '', developing: '◐ ', secure: '✓ ' };
+
+// Helper for the phonics progress grid: one cell per phonics tag, by Key Stage, marked by how secure it is
+function getPhonicsGridHtml(grid) {
+    if (!grid.length) return '';
+    const legend = MASTERY_LEVELS.map(level => `<span class="mastery-cell mastery-${level}">${MASTERY_MARKS[level]}${MASTERY_LABELS[level]}</span>`).join('');
+    const stages = grid.map(({ stage, tags }) => `
+        <div class="phonics-grid-stage">
+            <b>${escapeHtml(stage)}</b>
+            <ul class="phonics-grid-cells">${tags.map(t => `<li class="mastery-cell mastery-${t.level}" title="${escapeHtml(t.tag)}: ${MASTERY_LABELS[t.level]}${t.seen ? ` (${t.seen} words typed)` : ''}">${MASTERY_MARKS[t.level]}${escapeHtml(t.label)}</li>`).join('')}</ul>
+        </div>`).join('');
+    return `<div class="phonics-grid">${stages}<p class="phonics-grid-legend">${legend}</p></div>`;
+}
+
+// Helper for Parent Glance: each spelling list the learner has started, and how many of its words are secure
+function getSpellingMasteryHtml(mastery, lists) {
+    const rows = lists
+        .map(list => ({ list, ...getSpellingListMastery(mastery, list) }))
+        .filter(row => row.level !== 'not-started')
+        .sort((a, b) => b.secure / b.total - a.secure / a.total || a.list.name.localeCompare(b.list.name))
+        .map(({ list, level, secure, total }) => `<tr><th scope="row">${escapeHtml(list.name)}</th><td>${MASTERY_LABELS[level]}</td><td>${secure} of ${total}</td></tr>`)
+        .join('');
+    if (!rows) return '<p>No spelling lists started yet.</p>';
+    return `
+        <table class="transition-table">
+            <thead><tr><th scope="col">Spelling list</th><th scope="col">Status</th><th scope="col">Words secure</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Minute thresholds for the practice calendar colour bands (cal-0 .. cal-4)
+const CALENDAR_BANDS = [1, 5, 10, 20];
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+
+function periodLabel(start, period) {
+    return period === 'week'
+        ? `w/c ${start.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}`
+        : start.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+// Draws one value per period as a line; periods without practice leave a gap
+function getLineChartHtml(series, field, { title, unit, max, period }) {
+    const known = series.map((p, i) => ({ i, value: p[field] })).filter(p => p.value !== null);
+    const top = max || Math.max(...known.map(p => p.value), 1);
+    const x = i => 4 + (i / Math.max(series.length - 1, 1)) * (CHART_WIDTH - 8);
+    const y = value => CHART_HEIGHT - 4 - (value / top) * (CHART_HEIGHT - 8);
+    const segments = [];
+    known.forEach((p, n) => {
+        if (n === 0 || known[n - 1].i !== p.i - 1) segments.push([]);
+        segments[segments.length - 1].push(`${x(p.i).toFixed(1)},${y(p.value).toFixed(1)}`);
+    });
+    const latest = known[known.length - 1];
+    const description = known.length
+        ? `${title} by ${period}: latest ${latest.value}${unit}, lowest ${Math.min(...known.map(p => p.value))}${unit}, highest ${Math.max(...known.map(p => p.value))}${unit}.`
+        : `${title} by ${period}: no lessons yet.`;
+
+    return `
+        <figure class="progress-chart">
+            <figcaption>${title}</figcaption>
+            <svg class="line-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(description)}">
+                <line class="chart-axis" x1="0" y1="${CHART_HEIGHT - 4}" x2="${CHART_WIDTH}" y2="${CHART_HEIGHT - 4}"/>
+                ${segments.map(points => `<polyline points="${points.join(' ')}"/>`).join('')}
+                ${known.map(p => `<circle cx="${x(p.i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3"><title>${escapeHtml(periodLabel(series[p.i].start, period))}: ${p.value}${unit}</title></circle>`).join('')}
+            </svg>
+            <div class="sparkline-labels"><span>${escapeHtml(periodLabel(series[0].start, period))}</span><span>${max ? `out of ${max}${unit}` : `top ${top}${unit}`}</span><span>${escapeHtml(periodLabel(series[series.length - 1].start, period))}</span></div>
+        </figure>`;
+}
+
+// Helper to draw speed, accuracy, practice minutes and finished lessons over time in Parent Glance
+function getProgressChartsHtml(sessions, period) {
+    if (!sessions.length) return '<p>Charts will appear here after the first lesson.</p>';
+
+    const series = getTrendSeries(sessions, period);
+    const trendRows = series.map(p => `<tr><th scope="row">${escapeHtml(periodLabel(p.start, period))}</th><td>${p.sessions}</td><td>${p.minutes}</td><td>${p.wpm ?? '–'}</td><td>${p.accuracy !== null ? `${p.accuracy}%` : '–'}</td></tr>`).join('');
+
+    const days = getDailyMinutes(sessions);
+    const practisedDays = days.filter(d => d.minutes > 0);
+    const calendarCells = days.map(d => {
+        const band = CALENDAR_BANDS.findIndex(limit => d.minutes < limit);
+        return `<span class="calendar-day cal-${band === -1 ? CALENDAR_BANDS.length : band}" title="${escapeHtml(d.date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' }))}: ${d.minutes} min"></span>`;
+    }).join('');
+    const weekRows = [];
+    for (let i = 0; i < days.length; i += 7) {
+        const week = days.slice(i, i + 7);
+        weekRows.push(`<tr><th scope="row">${escapeHtml(periodLabel(week[0].date, 'week'))}</th>${Array.from({ length: 7 }, (_, d) => `<td>${week[d] ? week[d].minutes : ''}</td>`).join('')}</tr>`);
+    }
+
+    const completed = getCompletedByStage(sessions);
+    const stageMax = Math.max(...Object.values(completed), 1);
+    const stageBars = Object.entries(completed).map(([stage, count], i) => `
+        <text x="0" y="${i * 22 + 15}">${escapeHtml(stage)}</text>
+        <rect x="40" y="${i * 22 + 3}" width="${((count / stageMax) * (CHART_WIDTH - 80)).toFixed(1)}" height="16" rx="3"/>
+        <text x="${(44 + (count / stageMax) * (CHART_WIDTH - 80)).toFixed(1)}" y="${i * 22 + 15}">${count}</text>`).join('');
+
+    return `
+        <div class="chart-period" role="group" aria-label="Show charts by">
+            <button class="button button-secondary button-sm" data-chart-period="day" aria-pressed="${period === 'day'}">By Day</button>
+            <button class="button button-secondary button-sm" data-chart-period="week" aria-pressed="${period === 'week'}">By Week</button>
+        </div>
+        <div class="progress-charts">
+            ${getLineChartHtml(series, 'wpm', { title: 'Speed', unit: ' wpm', period })}
+            ${getLineChartHtml(series, 'accuracy', { title: 'Accuracy', unit: '%', max: 100, period })}
+        </div>
+        <details class="chart-table">
+            <summary>Show speed and accuracy as a table</summary>
+            <table class="reversal-table">
+                <thead><tr><th scope="col">${period === 'week' ? 'Week' : 'Day'}</th><th scope="col">Sessions</th><th scope="col">Minutes</th><th scope="col">WPM</th><th scope="col">Accuracy</th></tr></thead>
+                <tbody>${trendRows}</tbody>
+            </table>
+        </details>
+        <h4>Minutes Practised</h4>
+        <div class="practice-calendar" role="img" aria-label="Practised on ${practisedDays.length} of the last ${days.length} days, ${practisedDays.reduce((sum, d) => sum + d.minutes, 0)} minutes in total">${calendarCells}</div>
+        <p class="heatmap-legend"><span class="calendar-day cal-0"></span> none <span class="calendar-day cal-2"></span> 5+ min <span class="calendar-day cal-4"></span> 20+ min</p>
+        <details class="chart-table">
+            <summary>Show minutes as a table</summary>
+            <table class="reversal-table">
+                <thead><tr><th scope="col">Week</th>${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(d => `<th scope="col">${d}</th>`).join('')}</tr></thead>
+                <tbody>${weekRows.join('')}</tbody>
+            </table>
+        </details>
+        <h4>Lessons Completed by Stage</h4>
+        <svg class="stage-chart" viewBox="0 0 ${CHART_WIDTH} 88" role="img" aria-label="${escapeHtml(Object.entries(completed).map(([stage, count]) => `${stage}: ${count}`).join(', '))} lessons completed">${stageBars}</svg>
+        <details class="chart-table">
+            <summary>Show lessons as a table</summary>
+            <table class="reversal-table">
+                <thead><tr><th scope="col">Stage</th><th scope="col">Lessons completed</th></tr></thead>
+                <tbody>${Object.entries(completed).map(([stage, count]) => `<tr><th scope="row">${escapeHtml(stage)}</th><td>${count}</td></tr>`).join('')}</tbody>
+            </table>
+        </details>`;
+}
+
+// Helper to list parent-written lessons in Parent Glance
+function getCustomContentHtml() {
+    const items = getCustomItems();
+    if (!items.length) return '<p>No custom lessons yet. Create one to add your own passage, spelling list or word set.</p>';
+    const rows = items.map(item => `
+        <tr>
+            <th scope="row">${escapeHtml(item.title || item.name)}</th>
+            <td>${CUSTOM_TYPES[item.type].label}</td>
+            <td>${escapeHtml(item.stage || '')}</td>
+            <td>${escapeHtml(item.theme)}</td>
+            <td>
+                <button class="button button-secondary button-sm" data-content-action="edit" data-content-id="${escapeHtml(item.id)}">Edit</button>
+                <button class="button button-danger button-sm" data-content-action="delete" data-content-id="${escapeHtml(item.id)}">Delete</button>
+            </td>
+        </tr>`).join('');
+    return `
+        <table class="profile-table custom-content-table">
+            <thead><tr><th scope="col">Title</th><th scope="col">Type</th><th scope="col">Stage</th><th scope="col">Theme</th><th scope="col" aria-label="Actions"></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Helper to list installed lesson packs in Parent Glance
+function getLessonPacksHtml() {
+    const packs = getInstalledPacks();
+    if (!packs.length) return '<p>No lesson packs installed. Import a pack file shared by another teacher, or share your custom lessons as a pack.</p>';
+    const rows = packs.map(pack => {
+        const total = Object.values(countPackItems(pack)).reduce((sum, n) => sum + n, 0);
+        return `
+        <tr>
+            <th scope="row">${escapeHtml(pack.name)}</th>
+            <td>${escapeHtml(pack.author || '–')}</td>
+            <td>${total}</td>
+            <td>
+                <button class="button button-secondary button-sm" data-pack-action="download" data-pack-id="${pack.id}">Download</button>
+                <button class="button button-danger button-sm" data-pack-action="remove" data-pack-id="${pack.id}">Remove</button>
+            </td>
+        </tr>`;
+    }).join('');
+    return `
+        <table class="profile-table lesson-pack-table">
+            <thead><tr><th scope="col">Pack</th><th scope="col">Author</th><th scope="col">Lessons</th><th scope="col" aria-label="Actions"></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Helper to describe what a pack contains, e.g. "3 passages, 2 spelling lists"
+function describePackContents(pack) {
+    const counts = countPackItems(pack);
+    return Object.entries(PACK_SECTIONS)
+        .filter(([section]) => counts[section])
+        .map(([section, { label }]) => `${counts[section]} ${label[counts[section] === 1 ? 0 : 1]}`)
+        .join(', ');
+}
+
 export function getLessonPickerState() {
     return lessonPickerState;
 }
@@ -169,6 +714,7 @@ export function getScreenHtml(screenName, state, DATA) {
         case 'home':
             const petIndex = Math.min(PET_LEVELS.length - 1, Math.floor(state.progress.minutesTotal / 30));
             const currentPet = PET_LEVELS[petIndex];
+            const streakStatus = getStreakStatus(state);
             // Check for draft session
             const draft = getDraftInfo();
             const progressText = draft && draft.typedText.length > 0 
@@ -177,7 +723,7 @@ export function getScreenHtml(screenName, state, DATA) {
             const draftHtml = draft ? `
                 <div id="resume-draft-card" class="card home-card resume-card">
                     <h2>📝 Resume Your Session</h2>
-                    <p>You have an unfinished ${draft.lessonType}: <strong>${draft.lessonData.title || draft.lessonData.name}</strong></p>
+                    <p>You have an unfinished ${escapeHtml(draft.lessonType || 'lesson')}: <strong>${escapeHtml(draft.lessonData.title || draft.lessonData.name || '')}</strong></p>
                     <p class="draft-progress">${progressText}</p>
                     <div class="button-row">
                         <button id="resume-draft-btn" class="button button-primary">Resume</button>
@@ -190,7 +736,11 @@ export function getScreenHtml(screenName, state, DATA) {
                     <h1>Welcome to StoryKeys</h1>
                     <p>Your calm and friendly space to practice typing.</p>
                 </div>
+                ${getProfileSwitcherHtml()}
+                ${getWelcomeBackHtml(streakStatus)}
                 ${draftHtml}
+                ${getTodayHtml(state)}
+                ${getWordReviewHtml(state)}
                 <div id="new-story-card" class="card home-card">
                     <h2>Start a New Story</h2>
                     <p>Choose a Key Stage to begin a new passage or jump straight into spelling and phonics practice.</p>
@@ -215,6 +765,7 @@ export function getScreenHtml(screenName, state, DATA) {
                     </div>
                 </div>
                 ${getRecentLessonsHtml(state)}
+                ${getCourseHtml(state, DATA)}
                 <div class="card home-card">
                     <h2>Explore the Library</h2>
                     <p>Browse all content, repeat lessons, or choose word sets and drills.</p>
@@ -232,41 +783,25 @@ export function getScreenHtml(screenName, state, DATA) {
                         <p class="mb-0">You've practiced for <b>${Math.round(state.progress.minutesTotal)} minutes</b> in total. Keep it up!</p>
                     </div>
                 </div>
-                ${state.progress.consecutiveDays > 0 ? `
-                <div class="card streak-card">
-                    <div class="streak-icon">🔥</div>
-                    <div>
-                        <h3>${state.progress.consecutiveDays} Day Streak!</h3>
-                        <p class="mb-0">${state.progress.consecutiveDays === 1 ? "You practiced today. Come back tomorrow to keep it going!" : `You've practiced ${state.progress.consecutiveDays} days in a row. Amazing!`}</p>
-                    </div>
-                </div>` : ''}
+                ${getStreakHtml(streakStatus)}
             </div>`;
         case 'typing':
             const initialHtml = state.runtime.targetText.split('').map((char, idx) =>
-                `<span class="char" data-idx="${idx}">${char}</span>`
+                `<span class="char" data-idx="${idx}">${escapeHtml(char)}</span>`
             ).join('');
 
-            // Finger zones: left pinky, left ring, left middle, left index, right index, right middle, right ring, right pinky
-            const fingerZones = {
-                'q': 'lp', 'a': 'lp', 'z': 'lp', '1': 'lp',
-                'w': 'lr', 's': 'lr', 'x': 'lr', '2': 'lr',
-                'e': 'lm', 'd': 'lm', 'c': 'lm', '3': 'lm',
-                'r': 'li', 'f': 'li', 'v': 'li', 't': 'li', 'g': 'li', 'b': 'li', '4': 'li', '5': 'li',
-                'y': 'ri', 'h': 'ri', 'n': 'ri', 'u': 'ri', 'j': 'ri', 'm': 'ri', '6': 'ri', '7': 'ri',
-                'i': 'rm', 'k': 'rm', ',': 'rm', '8': 'rm',
-                'o': 'rr', 'l': 'rr', '.': 'rr', '9': 'rr',
-                'p': 'rp', ';': 'rp', '/': 'rp', '0': 'rp',
-                ' ': 'thumb'
-            };
             const showFingerGuide = state.settings.fingerGuide && state.runtime.flags.keyboardHint;
-            const keyboardLayout = [['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'], ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';'], ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.']];
-            const keyboardHtml = state.runtime.flags.keyboardHint ? `<div id="keyboard-hint" class="${showFingerGuide ? 'finger-guide' : ''}">${keyboardLayout.map(row => `<div class="keyboard-row">${row.map(key => `<div class="key ${showFingerGuide ? 'finger-' + fingerZones[key] : ''}" data-key="${key}">${key}</div>`).join('')}</div>`).join('')}<div class="keyboard-row"><div class="key space ${showFingerGuide ? 'finger-thumb' : ''}" data-key=" ">Space</div></div></div>` : '';
+            const keyboardHtml = state.runtime.flags.keyboardHint ? `<div id="keyboard-hint" class="${showFingerGuide ? 'finger-guide' : ''}">${getKeyboardRows(DATA.KEYMAP).map(row => `<div class="keyboard-row">${row.map(k => {
+                // Letters only show their capital when Shift gives something else (e.g. '3' and '£')
+                const shiftLabel = k.shiftKey && k.shiftKey !== k.key.toUpperCase() ? `<span class="key-shift">${escapeHtml(k.shiftKey)}</span>` : '';
+                return `<div class="key${k.key === ' ' ? ' space' : ''}${k.modifier ? ' shift-key' : ''} ${showFingerGuide ? 'finger-' + k.zone : ''}" data-key="${escapeHtml(k.key)}">${shiftLabel}${escapeHtml(k.name)}</div>`;
+            }).join('')}</div>`).join('')}</div>` : '';
             return `
             <div id="typing-screen" class="screen active">
                 <div class="progress-bar-container"><div id="typing-progress-bar" class="progress-bar" style="width: 0%"></div></div>
                 <div class="card">
                     <div class="typing-controls">
-                        <div class="typing-controls__title"><h2>${state.runtime.lesson.data.title || state.runtime.lesson.data.name}</h2></div>
+                        <div class="typing-controls__title"><h2>${escapeHtml(state.runtime.lesson.data.title || state.runtime.lesson.data.name || '')}</h2>${state.runtime.lesson.reason ? `<p class="recommend-reason">${escapeHtml(state.runtime.lesson.reason)}</p>` : ''}</div>
                         <div class="button-group">
                             ${state.runtime.flags.showTimerChip ? `<div id="timer-chip" class="timer-chip">--:--</div>` : ''}
                             <button id="read-aloud-btn" class="button button-secondary read-aloud-btn" title="Read passage aloud">🔊 Read Aloud</button>
@@ -310,11 +845,13 @@ export function getScreenHtml(screenName, state, DATA) {
                 </div>
             </div>`;
         case 'summary':
-            const { accuracy, durationSec, errors, netWPM, grossWPM, hardestKeys, trickyWords, newBadges, isDrill, personalBest } = state.runtime.summaryResults;
+            const { accuracy, durationSec, errors, netWPM, grossWPM, hardestKeys, trickyWords, newBadges, isDrill, personalBest, forgotShift, course, worstTransitions = [], goal, planStep, streak } = state.runtime.summaryResults;
+            const nextPlanStep = planStep ? getNextPlanStep(getDayPlan(state.progress)) : null;
             const wpmLabel = DATA.COPY.metricWPM || DATA.COPY.metricNetWPM || 'Words per minute';
             const safeNet = typeof netWPM === 'number' ? netWPM : '—';
             const safeGross = typeof grossWPM === 'number' ? grossWPM : '—';
-            const drillBtnHtml = !isDrill && (hardestKeys.length > 0 || trickyWords.length > 0) ? `<button id="start-drill-btn" class="button button-secondary">${DATA.COPY.summaryDrill}</button>` : '';
+            // Focus drills could use letters the course has not unlocked yet
+            const drillBtnHtml = !isDrill && !course && (hardestKeys.length > 0 || trickyWords.length > 0) ? `<button id="start-drill-btn" class="button button-secondary">${DATA.COPY.summaryDrill}</button>` : '';
             const prettyKeyName = (k) => k === ' ' ? 'Space' : k;
             
             // Perfect accuracy celebration
@@ -376,15 +913,33 @@ export function getScreenHtml(screenName, state, DATA) {
                         <div class="metric-item"><h3>${DATA.COPY.metricTime}</h3><div class="value">${durationSec}s</div></div>
                         <div class="metric-item"><h3>${DATA.COPY.metricErrors}</h3><div class="value">${errors}</div></div>
                     </div>
+                    ${course ? `
+                    <div class="course-result ${course.passed ? 'passed' : ''}">
+                        <h3>${course.unlocked ? `🔓 New key unlocked: '${escapeHtml(course.unlocked)}'` : course.passed ? 'Every letter is unlocked!' : `Reach ${course.gate}% to unlock the next key`}</h3>
+                        <p class="mb-0">${course.unlocked ? 'Your next drill will practise it.' : course.passed ? 'You can now reach every letter. Brilliant!' : `You got ${accuracy}%. Take your time - accuracy comes first.`}</p>
+                    </div>` : ''}
+                    ${goal?.justMet && goal.type !== 'none' ? `
+                    <div class="goal-reached">
+                        <h3>🎯 Daily goal reached!</h3>
+                        <p class="mb-0">${goal.done} ${goal.type} of practice today. That counts towards your streak.</p>
+                    </div>` : ''}
+                    ${getStreakNoteHtml(streak)}
                     ${sparklineHtml}
                     ${comparisonHtml}
                     <div class="summary-feedback">
                         ${hardestKeys.length > 0 ? `<div><h3>${DATA.COPY.summaryHardestKeys}</h3><ul>${hardestKeys.map(k => `<li>'${prettyKeyName(k)}'</li>`).join('')}</ul></div>` : ''}
                         ${trickyWords.length > 0 ? `<div><h3>${DATA.COPY.summaryTrickyWords}</h3><ul>${trickyWords.map(w => `<li>${w}</li>`).join('')}</ul></div>` : ''}
+                        ${worstTransitions.length > 0 ? `<div><h3>${DATA.COPY.summaryTrickyPairs}</h3><ul class="transition-list">${worstTransitions.map(t => `
+                            <li><b>'${t.gram}'</b> missed ${t.errors} of ${t.attempts}${t.meanLatency !== null ? ` • ${t.meanLatency} ms` : ''}
+                                ${t.pattern && !course ? `<button class="button button-secondary button-sm transition-practise" data-practise-pattern="${escapeHtml(t.pattern.id)}">Practise ${escapeHtml(t.pattern.name)}</button>` : ''}</li>`).join('')}</ul></div>` : ''}
+                        ${forgotShift > 0 ? `<div><h3>${DATA.COPY.summaryForgotShift}</h3><p>${forgotShift === 1 ? 'Once' : `${forgotShift} times`}. ${DATA.COPY.tipShift}</p></div>` : ''}
                     </div>
                     <div class="button-row-center mt-xl">
                         ${!isDrill ? `<button id="replay-btn" class="button button-primary">${DATA.COPY.summaryReplay}</button>` : ''}
                         ${drillBtnHtml}
+                        ${nextPlanStep ? `<button id="plan-next-btn" class="button button-secondary">Next in Today's Plan: ${nextPlanStep.label}</button>` : ''}
+                        ${course ? `<button id="course-next-btn" class="button button-secondary">${course.passed ? 'Next Course Drill' : 'New Course Drill'}</button>` : ''}
+                        ${state.runtime.keystrokes?.length ? `<button id="watch-replay-btn" class="button button-secondary">▶ Watch Replay</button>` : ''}
                         <button id="home-btn" class="button button-secondary">${DATA.COPY.summaryHome}</button>
                     </div>
                     <p class="keyboard-hint-text">Press <kbd>Enter</kbd> to try again • <kbd>Esc</kbd> to go home</p>
@@ -455,7 +1010,7 @@ export function getModalHtml(modalName, state, DATA) {
                     <ul>
                         <li>Your progress is stored only in this browser using localStorage.</li>
                         <li>No accounts, no cloud storage, no third-party trackers.</li>
-                        <li>You can export or erase local data via Parent Glance.</li>
+                        <li>You can export, import, or erase local data via Parent Glance.</li>
                     </ul>
                 </div>
                 <div class="info-block">
@@ -495,7 +1050,8 @@ export function getModalHtml(modalName, state, DATA) {
             return `
             <div class="modal" role="dialog" aria-modal="true" aria-labelledby="badges-title"><div class="modal-content">
                 <div class="modal-header"><h2 id="badges-title" class="modal-title">Your Badges</h2>${closeModalBtn}</div>
-                ${hasBadges ? `<div class="badge-grid">${earnedBadges.join('')}</div>` : '<p>You have not earned any badges yet. Complete lessons to unlock them!</p>'}
+                ${getNextBadgesHtml(getBadgeProgressSummary(state, DATA))}
+                ${hasBadges ? `<h3>Earned</h3><div class="badge-grid">${earnedBadges.join('')}</div>` : '<p>You have not earned any badges yet. Complete lessons to unlock them!</p>'}
                 ${hasBadges ? `<div class="modal-footer"><button id="print-certificate-btn" class="button button-secondary">🎓 Print Certificate</button></div>` : ''}
             </div></div>`;
         case 'lessonPicker':
@@ -526,6 +1082,7 @@ export function getModalHtml(modalName, state, DATA) {
                         <option value="theme">Sort by Theme</option>
                     </select>
                 </div>
+                <div class="phonics-grid-panel"></div>
                 <div class="lesson-list"></div>
                 <div class="pagination-controls"></div>
             </div></div>`;
@@ -546,6 +1103,7 @@ export function getModalHtml(modalName, state, DATA) {
                     <div class="setting-item"><div><b>Focus Line</b><p>Highlight the current line of text.</p></div><label class="toggle-switch"><input type="checkbox" id="setting-focusline"><span class="slider"></span></label></div>
                     <div class="setting-item"><div><b>Keyboard Guide</b><p>Show on-screen keyboard hints.</p></div><label class="toggle-switch"><input type="checkbox" id="setting-keyboard"><span class="slider"></span></label></div>
                     <div class="setting-item"><div><b>Finger Guide</b><p>Show which finger to use.</p></div><label class="toggle-switch"><input type="checkbox" id="setting-finger-guide"><span class="slider"></span></label></div>
+                    <div class="setting-item"><div><b>Keyboard Layout</b><p>Match the keyboard being typed on.</p></div><select id="setting-keyboard-layout" class="button button-secondary">${getLayoutOptions(DATA.LAYOUTS).map(l => `<option value="${l.id}">${escapeHtml(l.name)}</option>`).join('')}</select></div>
                 </details>
                 <details class="settings-section" open>
                     <summary>Sound &amp; Speech</summary>
@@ -566,19 +1124,233 @@ export function getModalHtml(modalName, state, DATA) {
         case 'parent':
             const weeklySessions = state.sessions.filter(s => (new Date() - new Date(s.ts)) < 7 * 24 * 60 * 60 * 1000);
             const avgAccuracy = weeklySessions.length ? Math.round(weeklySessions.reduce((acc, s) => acc + s.accuracy, 0) / weeklySessions.length) : 'N/A';
+            const weeklyForgotShift = weeklySessions.reduce((sum, s) => sum + (s.forgotShift || 0), 0);
+            const activeProfile = getActiveProfile();
+            const parentStreak = getStreakStatus(state);
+            // The report covers the last four weeks unless the parent picks other dates
+            const reportTo = new Date();
+            const reportFrom = new Date(reportTo.getFullYear(), reportTo.getMonth(), reportTo.getDate() - 27);
             return `
             <div class="modal" role="dialog" aria-modal="true" aria-labelledby="parent-title"><div class="modal-content">
                 <div class="modal-header"><h2 id="parent-title" class="modal-title">Parent Glance</h2>${closeModalBtn}</div>
-                <h3>This Week</h3><p>Sessions: ${weeklySessions.length} | Avg. Accuracy: ${avgAccuracy}%</p>
-                <h3>All Time</h3><p>Total Minutes: ${Math.round(state.progress.minutesTotal)}</p>
+                <h3>Learners on This Device</h3>
+                ${getProfilesTableHtml()}
+                <h2 class="parent-learner-heading">${activeProfile.avatar} ${escapeHtml(activeProfile.name)}</h2>
+                <h3>This Week</h3><p>Sessions: ${weeklySessions.length} | Avg. Accuracy: ${avgAccuracy}% | Forgot Shift: ${weeklyForgotShift}</p>
+                <h3>All Time</h3><p>Total Minutes: ${Math.round(state.progress.minutesTotal)} | Streak: ${parentStreak.days} ${parentStreak.days === 1 ? 'day' : 'days'} (best ${parentStreak.best}) | Streak Freezes: ${parentStreak.freezes}</p>
+                <h3 id="phonics-progress">Phonics and Spelling</h3>
+                <p>Phonics patterns and spelling lists become secure as the words in them are typed cleanly again and again.</p>
+                ${getPhonicsGridHtml(getPhonicsGrid(state.progress.mastery, DATA))}
+                ${getSpellingMasteryHtml(state.progress.mastery, DATA.SPELLING)}
+                <h3 id="progress-over-time">Progress Over Time</h3>
+                ${getProgressChartsHtml(state.sessions, state.ui.chartPeriod || 'week')}
+                <h3 id="daily-goal">Daily Goal</h3>
+                <p>Choose how much practice makes a day count towards the streak.</p>
+                ${getGoalEditorHtml(state.settings.dailyGoal)}
+                <h3 id="rest-days">Rest Days and Holidays</h3>
+                <p>Rest days never count towards the streak or break it.</p>
+                ${getRestDaysEditorHtml(state.settings.restDays)}
+                <h3>Progress Report</h3>
+                <p>A detailed report to print or save as a PDF for a teacher or SENCo.</p>
+                <div class="report-range">
+                    <label>From <input type="date" id="report-from" value="${toDateKey(reportFrom)}"></label>
+                    <label>To <input type="date" id="report-to" value="${toDateKey(reportTo)}"></label>
+                    <button id="print-report-btn" class="button button-secondary">🖨️ Print Progress Report</button>
+                </div>
+                <h3>Key Heatmap</h3>
+                ${getKeyHeatmapHtml(state.progress.keyStats, DATA.KEYMAP)}
+                <h3>Tricky Letter Pairs</h3>
+                ${getTransitionsHtml(state.progress.ngramStats, DATA.PATTERNS)}
+                <h3 id="badge-audit">Badge Check</h3>
+                <p>Look back over every lesson for badges that are owed, and see why each badge was or wasn't earned. Owed badges arrive a few at a time over the next lessons.</p>
+                <div class="button-row mt-sm"><button id="check-badges-btn" class="button button-secondary">Check Badges</button></div>
+                ${state.ui.badgeAudit ? getBadgeAuditHtml(auditBadges(state, DATA)) : ''}
+                <h3>Custom Lessons</h3>
+                ${getCustomContentHtml()}
+                <div class="button-row mt-sm"><button id="create-content-btn" class="button button-secondary">Create a Lesson</button></div>
+                <h3>Lesson Packs</h3>
+                ${getLessonPacksHtml()}
+                <div class="button-row mt-sm">
+                    <button id="import-pack-btn" class="button button-secondary">Import Pack</button>
+                    <button id="share-pack-btn" class="button button-secondary" ${getCustomItems().length ? '' : 'disabled title="Create a custom lesson first"'}>Share Lessons as Pack</button>
+                </div>
+                <input type="file" id="pack-file-input" class="hidden" accept=".json,application/json">
                 <h3>Recent Sessions</h3>
                 <div class="session-list">${state.sessions.slice(-10).reverse().map(s => {
                     const wpmText = typeof s.netWPM === 'number' ? `${s.netWPM} wpm` : '– wpm';
-                    return `<p class="session-item">${new Date(s.ts).toLocaleString()}: ${s.accuracy}% acc • ${wpmText}</p>`;
+                    const replayBtn = s.replay?.keystrokes?.length ? ` <button class="button button-secondary button-sm" data-replay-session="${s.id}">▶ Replay</button>` : '';
+                    return `<p class="session-item">${new Date(s.ts).toLocaleString()}: ${s.accuracy}% acc • ${wpmText}${replayBtn}</p>`;
                 }).join('') || '<p>No sessions yet.</p>'}</div>
                 <div class="button-row mt-lg">
                     <button id="export-btn" class="button button-secondary">Export Data</button>
-                    <button id="clear-data-btn" class="button button-danger">Clear All Data</button>
+                    <button id="import-btn" class="button button-secondary">Import Data</button>
+                    <button id="clear-data-btn" class="button button-danger">Clear Learner Data</button>
+                </div>
+                <input type="file" id="import-file-input" class="hidden" accept=".json,application/json">
+            </div></div>`;
+        case 'replay':
+            const replay = state.ui.replay;
+            if (!replay) return '';
+            const hesitations = findHesitations(replay.keystrokes);
+            const hesitationIdx = new Map(hesitations.map(h => [h.i, h.pauseMs]));
+            const replayChars = replay.targetText.split('').map((char, idx) => {
+                const pause = hesitationIdx.get(idx);
+                const pauseAttrs = pause ? ` data-pause="${(pause / 1000).toFixed(1)}" title="Paused ${(pause / 1000).toFixed(1)}s before this letter"` : '';
+                return `<span class="char${pause ? ' hesitation' : ''}" data-idx="${idx}"${pauseAttrs}>${escapeHtml(char)}</span>`;
+            }).join('');
+            const hesitationItems = hesitations.slice(0, 5).map(h =>
+                `<li>${(h.pauseMs / 1000).toFixed(1)}s before '${h.exp === ' ' ? 'Space' : escapeHtml(h.exp)}' in <b>${escapeHtml(wordAt(replay.targetText, h.i))}</b></li>`
+            ).join('');
+            return `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="replay-title"><div class="modal-content replay-modal">
+                <div class="modal-header"><h2 id="replay-title" class="modal-title">Replay: ${escapeHtml(replay.title)}</h2>${closeModalBtn}</div>
+                <div id="replay-target" class="typing-target replay-target">${replayChars}</div>
+                <div class="replay-controls button-group">
+                    <button id="replay-play-btn" class="button button-primary">▶ Play</button>
+                    <button id="replay-restart-btn" class="button button-secondary">⏮ Restart</button>
+                    <label for="replay-speed">Speed</label>
+                    <select id="replay-speed" class="sort-select">
+                        <option value="1">1×</option>
+                        <option value="2" selected>2×</option>
+                        <option value="4">4×</option>
+                    </select>
+                    <span id="replay-position" class="replay-position" aria-live="off">0 / ${replay.keystrokes.length}</span>
+                </div>
+                <div class="info-block">
+                    <h3>Where there was a pause</h3>
+                    ${hesitationItems ? `<ul class="hesitation-list">${hesitationItems}</ul>` : '<p>No long pauses in this session. Nice and steady!</p>'}
+                </div>
+            </div></div>`;
+        case 'contentEditor':
+            const editing = state.ui.contentEditor?.item || null;
+            const editType = editing?.type || 'passage';
+            const editBody = editing ? (editing.text || editing.words.join('\n')) : '';
+            const phonicsTags = getKnownPhonicsTags(DATA);
+            const themes = [...new Set([...DATA.PASSAGES, ...DATA.SPELLING, ...DATA.WORDSETS].map(i => i.theme).filter(Boolean))].sort();
+            return `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="content-editor-title"><div class="modal-content content-editor">
+                <div class="modal-header"><h2 id="content-editor-title" class="modal-title">${editing ? 'Edit Lesson' : 'Create a Lesson'}</h2>${closeModalBtn}</div>
+                <form id="content-editor-form" class="content-editor-form" novalidate>
+                    <fieldset class="content-type-picker">
+                        <legend>Kind of lesson</legend>
+                        ${Object.entries(CUSTOM_TYPES).map(([type, { label }]) => `<label><input type="radio" name="content-type" value="${type}" ${type === editType ? 'checked' : ''}> ${label}</label>`).join('')}
+                    </fieldset>
+                    <label for="content-title"><b>Title</b></label>
+                    <input type="text" id="content-title" class="search-input" maxlength="60" autocomplete="off" value="${escapeHtml(editing?.title || editing?.name || '')}">
+                    <div class="content-editor-row">
+                        <div>
+                            <label for="content-stage"><b>Key Stage</b></label>
+                            <select id="content-stage" class="sort-select">${CUSTOM_STAGES.map(stage => `<option value="${stage}" ${stage === (editing?.stage || state.settings.defaultStage) ? 'selected' : ''}>${stage}</option>`).join('')}</select>
+                        </div>
+                        <div>
+                            <label for="content-theme"><b>Theme</b></label>
+                            <input type="text" id="content-theme" class="search-input" list="content-theme-options" autocomplete="off" placeholder="Custom" value="${escapeHtml(editing?.theme || '')}">
+                            <datalist id="content-theme-options">${themes.map(t => `<option value="${escapeHtml(t)}">`).join('')}</datalist>
+                        </div>
+                    </div>
+                    <label for="content-phonics"><b>Phonics patterns</b> <span class="content-hint">(optional, hold Ctrl to pick several)</span></label>
+                    <select id="content-phonics" class="content-phonics" multiple size="4">${phonicsTags.map(tag => `<option value="${escapeHtml(tag)}" ${editing?.tags?.phonics?.includes(tag) ? 'selected' : ''}>${escapeHtml(tag)}</option>`).join('')}</select>
+                    <label for="content-body"><b>Text</b> <span id="content-body-hint" class="content-hint">${editType === 'passage' ? 'Type or paste the passage.' : 'Put one word on each line.'}</span></label>
+                    <textarea id="content-body" class="content-body" rows="8" spellcheck="true">${escapeHtml(editBody)}</textarea>
+                    <div id="content-editor-errors" class="content-editor-errors" role="alert"></div>
+                    <div class="modal-footer button-row">
+                        <button type="button" id="content-cancel-btn" class="button button-secondary">Cancel</button>
+                        <button type="submit" id="content-save-btn" class="button button-primary">Save Lesson</button>
+                    </div>
+                </form>
+            </div></div>`;
+        case 'packPreview':
+            const pendingPack = state.ui.pendingPack;
+            if (!pendingPack) return '';
+            return `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="pack-preview-title"><div class="modal-content">
+                <div class="modal-header"><h2 id="pack-preview-title" class="modal-title">Install Lesson Pack</h2>${closeModalBtn}</div>
+                <h3>${escapeHtml(pendingPack.pack.name)}</h3>
+                ${pendingPack.pack.author ? `<p>By ${escapeHtml(pendingPack.pack.author)}</p>` : ''}
+                ${pendingPack.pack.description ? `<p>${escapeHtml(pendingPack.pack.description)}</p>` : ''}
+                <p><b>Contains:</b> ${describePackContents(pendingPack.pack)}</p>
+                ${pendingPack.replaces ? '<p class="pack-replace-note">A pack with this name is already installed. Installing will replace it; progress on its lessons is kept.</p>' : ''}
+                ${pendingPack.warnings.length ? `<details class="pack-warnings"><summary>${pendingPack.warnings.length} note${pendingPack.warnings.length === 1 ? '' : 's'} about this pack</summary><ul>${pendingPack.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul></details>` : ''}
+                <div class="modal-footer button-row">
+                    <button id="pack-cancel-btn" class="button button-secondary">Cancel</button>
+                    <button id="pack-install-btn" class="button button-primary">${pendingPack.replaces ? 'Replace Pack' : 'Install Pack'}</button>
+                </div>
+            </div></div>`;
+        case 'sharePack':
+            return `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="share-pack-title"><div class="modal-content content-editor">
+                <div class="modal-header"><h2 id="share-pack-title" class="modal-title">Share Lessons as a Pack</h2>${closeModalBtn}</div>
+                <form id="share-pack-form" class="content-editor-form" novalidate>
+                    <label for="pack-name-input"><b>Pack name</b></label>
+                    <input type="text" id="pack-name-input" class="search-input" maxlength="60" autocomplete="off">
+                    <label for="pack-author-input"><b>Author</b> <span class="content-hint">(optional)</span></label>
+                    <input type="text" id="pack-author-input" class="search-input" maxlength="60" autocomplete="off">
+                    <label for="pack-description-input"><b>Description</b> <span class="content-hint">(optional)</span></label>
+                    <textarea id="pack-description-input" class="content-body" rows="2" maxlength="300"></textarea>
+                    <fieldset class="share-pack-items">
+                        <legend>Lessons to include</legend>
+                        ${getCustomItems().map(item => `<label><input type="checkbox" name="share-item" value="${escapeHtml(item.id)}" checked> ${escapeHtml(item.title || item.name)} <span class="content-hint">(${CUSTOM_TYPES[item.type].label}, ${escapeHtml(item.stage || '')})</span></label>`).join('')}
+                    </fieldset>
+                    <div id="content-editor-errors" class="content-editor-errors" role="alert"></div>
+                    <div class="modal-footer button-row">
+                        <button type="button" id="share-pack-cancel-btn" class="button button-secondary">Cancel</button>
+                        <button type="submit" class="button button-primary">Download Pack</button>
+                    </div>
+                </form>
+            </div></div>`;
+        case 'saveProblem':
+            const problem = state.ui.saveProblem || {};
+            return `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="save-problem-title"><div class="modal-content">
+                <div class="modal-header"><h2 id="save-problem-title" class="modal-title">Saved Progress Needs Attention</h2>${closeModalBtn}</div>
+                <p>${escapeHtml(problem.error || 'The saved progress could not be read.')}</p>
+                <p>${problem.reason === 'future'
+                    ? 'It has been left as it is: please update StoryKeys on this device to see that progress again. Until then, lessons done here are not saved.'
+                    : 'StoryKeys has started fresh for now.'} A copy of the original save has been kept on this device, and you can download it to keep it safe.</p>
+                <div class="modal-footer button-row">
+                    <button id="download-unreadable-btn" class="button button-secondary">Download a Copy</button>
+                    <button id="save-problem-ok-btn" class="button button-primary">OK</button>
+                </div>
+            </div></div>`;
+        case 'addProfile':
+            return `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="add-profile-title"><div class="modal-content">
+                <div class="modal-header"><h2 id="add-profile-title" class="modal-title">Add a Learner</h2>${closeModalBtn}</div>
+                <label class="profile-name-label" for="profile-name-input"><b>Name</b></label>
+                <input type="text" id="profile-name-input" class="search-input" maxlength="24" autocomplete="off" placeholder="First name or nickname">
+                <fieldset class="avatar-picker">
+                    <legend>Pick a buddy</legend>
+                    ${PROFILE_AVATARS.map((a, i) => `<label class="avatar-option"><input type="radio" name="profile-avatar" value="${a}" ${i === getProfiles().length % PROFILE_AVATARS.length ? 'checked' : ''}><span>${a}</span></label>`).join('')}
+                </fieldset>
+                <div class="modal-footer">
+                    <button id="create-profile-btn" class="button button-primary">Add Learner</button>
+                </div>
+            </div></div>`;
+        case 'importPreview':
+            const pending = state.ui.pendingImport;
+            if (!pending) return '';
+            const { summary } = pending;
+            const previewRow = (label, key) => `<tr><th scope="row">${label}</th><td>${summary.current[key]}</td><td>${summary.replace[key]}</td><td>${summary.merge[key]}</td></tr>`;
+            return `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="import-title"><div class="modal-content">
+                <div class="modal-header"><h2 id="import-title" class="modal-title">Import Data</h2>${closeModalBtn}</div>
+                <p>Reading <strong>${escapeHtml(pending.fileName)}</strong>${pending.backup.appVersion ? ` (made with StoryKeys ${escapeHtml(pending.backup.appVersion)})` : ''}.</p>
+                <table class="import-preview-table">
+                    <thead><tr><th scope="col"></th><th scope="col">Now</th><th scope="col">Replace</th><th scope="col">Merge</th></tr></thead>
+                    <tbody>
+                        ${previewRow('Sessions', 'sessions')}
+                        ${previewRow('Badges', 'badges')}
+                        ${previewRow('Minutes', 'minutes')}
+                    </tbody>
+                </table>
+                <fieldset class="import-mode">
+                    <legend>How should this backup be used?</legend>
+                    <label><input type="radio" name="import-mode" value="merge" checked> <b>Merge</b> — keep everything on this device and add what is new in the file.</label>
+                    <label><input type="radio" name="import-mode" value="replace"> <b>Replace</b> — use only the file. Progress on this device will be lost.</label>
+                </fieldset>
+                <div class="modal-footer button-row">
+                    <button id="import-cancel-btn" class="button button-secondary">Cancel</button>
+                    <button id="import-confirm-btn" class="button button-primary">Import</button>
                 </div>
             </div></div>`;
         case 'pin': return `
@@ -689,6 +1461,7 @@ export function deriveLessonPickerViewModel(lessonPickerState, state, DATA) {
         const lessonId = buildLessonId(currentType, l);
         const completionPercent = getLessonCompletionPercent(state, lessonId);
         const tags = l.tags?.complexity ?? { caps: true, punct: true };
+        const mastery = currentType === 'spelling' ? getSpellingListMastery(state.progress.mastery, l) : null;
 
         // Generate preview text (first ~100 chars)
         const rawText = l.text || (l.words ? l.words.slice(0, 15).join(' ') : '');
@@ -706,8 +1479,12 @@ export function deriveLessonPickerViewModel(lessonPickerState, state, DATA) {
             completionLabel: completionPercent === 100 ? 'Completed ✓' : `${completionPercent}% complete`,
             isComplete: completionPercent === 100,
             isLastVisited: isLastLesson(state, lessonId),
+            isCustom: Boolean(l.custom),
+            packName: l.packName || null,
             hasCaps: tags.caps,
             hasPunct: tags.punct,
+            masteryLevel: mastery?.level || null,
+            masteryLabel: mastery ? MASTERY_LABELS[mastery.level] + (mastery.level === 'developing' ? ` (${mastery.secure}/${mastery.total} words)` : '') : '',
             preview
         };
     });
@@ -737,16 +1514,19 @@ function renderLessonListDOM(vm) {
         listEl.innerHTML = `<p class="no-results">No lessons found. Try adjusting your search or filters.</p>`;
     } else {
         listEl.innerHTML = vm.items.map(item => `
-            <div class="lesson-item" data-id="${item.id}" data-type="${item.type}" data-lesson-id="${item.lessonId}" title="${escapeHtml(item.preview)}">
+            <div class="lesson-item" data-id="${escapeHtml(item.id)}" data-type="${item.type}" data-lesson-id="${escapeHtml(item.lessonId)}" title="${escapeHtml(item.preview)}">
                 <div class="lesson-icon">${item.icon}</div>
                 <div class="lesson-details">
-                    <b>${item.title}</b>
+                    <b>${escapeHtml(item.title)}</b>
                     <div class="lesson-meta">
-                        <span class="meta-chip">${item.theme}</span>
+                        <span class="meta-chip">${escapeHtml(item.theme || '')}</span>
                         <span class="meta-chip">${item.lenDisplay}</span>
                         ${item.hasCaps ? '<span class="meta-chip" title="Includes capital letters">Aa</span>' : ''}
                         ${item.hasPunct ? '<span class="meta-chip" title="Includes punctuation">.,!</span>' : ''}
+                        ${item.isCustom ? '<span class="meta-chip custom-chip" title="Written on this device">Custom</span>' : ''}
+                        ${item.packName ? `<span class="meta-chip custom-chip" title="From the lesson pack ${escapeHtml(item.packName)}">Pack</span>` : ''}
                         <span class="meta-chip ${item.isComplete ? 'complete-chip' : 'progress-chip'}">${item.completionLabel}</span>
+                        ${item.masteryLevel ? `<span class="meta-chip mastery-${item.masteryLevel}" title="How well the words in this list are known">${item.masteryLabel}</span>` : ''}
                         ${item.isLastVisited ? '<span class="last-visited">← Last visited</span>' : ''}
                     </div>
                 </div>
@@ -757,6 +1537,18 @@ function renderLessonListDOM(vm) {
     listEl.classList.remove('loading');
 }
 
+/**
+ * Shows the phonics progress grid above the list on the Phonics tab (DOM update only).
+ * @param {object} state - The main application state.
+ * @param {object} DATA - The global data object.
+ * @param {string} type - The current lesson type.
+ */
+function renderPhonicsGridDOM(state, DATA, type) {
+    const panel = document.querySelector('.phonics-grid-panel');
+    if (!panel) return;
+    panel.innerHTML = type === 'phonics' ? getPhonicsGridHtml(getPhonicsGrid(state.progress.mastery, DATA)) : '';
+}
+
 /**
  * Renders the pagination controls (DOM update only).
  * @param {object} vm - The view model from deriveLessonPickerViewModel.
@@ -793,6 +1585,7 @@ export function renderLessonList(DATA, state) {
     
     // Update DOM
     updateStageProgressBadges(state, DATA, vm.currentType);
+    renderPhonicsGridDOM(state, DATA, vm.currentType);
     renderLessonListDOM(vm);
     renderPaginationDOM(vm);
 
@@ -849,6 +1642,56 @@ export function resetLessonPickerState(defaultStage) {
 }
 
 
+/**
+ * Paints one frame of a session replay onto the replay target (DOM update only).
+ * @param {string} typedText - The text typed so far at this point in the replay.
+ * @param {string} targetText - The normalised target text.
+ * @param {object} frame - The frame from the replay player ({ position, total }).
+ */
+export function renderReplayFrame(typedText, targetText, frame) {
+    const targetEl = document.getElementById('replay-target');
+    if (!targetEl) return;
+    targetEl.querySelectorAll('.char').forEach(span => {
+        const i = parseInt(span.dataset.idx);
+        span.classList.remove('correct', 'incorrect', 'current');
+        if (i < typedText.length) {
+            span.classList.add(typedText[i] === targetText[i] ? 'correct' : 'incorrect');
+        } else if (i === typedText.length) {
+            span.classList.add('current');
+        }
+    });
+    const positionEl = document.getElementById('replay-position');
+    if (positionEl) positionEl.textContent = `${frame.position} / ${frame.total}`;
+}
+
+/**
+ * Builds the "new version available" banner shown when an updated service worker is waiting.
+ * @param {string} currentVersion - APP_VERSION of the running app.
+ * @param {string|null} newVersion - Version reported by the waiting worker, if it answered.
+ * @returns {string} The HTML string for the banner.
+ */
+export function getUpdateBannerHtml(currentVersion, newVersion) {
+    const versionText = newVersion ? `StoryKeys ${escapeHtml(newVersion)} is ready` : 'A new version of StoryKeys is ready';
+    return `
+        <div id="update-banner" class="update-banner" role="status">
+            <span>${versionText} (you have ${escapeHtml(currentVersion)}). Your progress is kept.</span>
+            <div class="button-group">
+                <button id="update-reload-btn" class="button button-primary button-sm">Update Now</button>
+                <button id="update-later-btn" class="button button-secondary button-sm">Later</button>
+            </div>
+        </div>`;
+}
+
+/**
+ * Shows validation problems in the content editor (DOM update only).
+ * @param {string[]} errors - Messages to show; an empty array clears them.
+ */
+export function renderContentEditorErrors(errors) {
+    const el = document.getElementById('content-editor-errors');
+    if (!el) return;
+    el.innerHTML = errors.length ? `<ul>${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>` : '';
+}
+
 /**
  * Triggers a confetti animation, typically for earning a badge.
  */
@@ -997,3 +1840,135 @@ export function printCertificate(state, DATA) {
         toast('Pop-up blocked. Please allow pop-ups to print the certificate.');
     }
 }
+
+const FONT_NAMES = { default: 'Default', dyslexia: 'Clear (Arial)', opendyslexic: 'OpenDyslexic' };
+
+/**
+ * Opens a printable, multi-page progress report for the active learner, ready to print or
+ * save as PDF from the browser's print dialog.
+ * @param {object} state - The app state.
+ * @param {object} DATA - The global data object, with every stage loaded.
+ * @param {{from: Date, to: Date}} range - The days the report covers (inclusive).
+ */
+export function printProgressReport(state, DATA, range) {
+    const report = buildProgressReport(state, DATA, range);
+    const profile = getActiveProfile();
+    const s = state.settings;
+    const formatDate = date => date.toLocaleDateString('en-GB', { year: 'numeric', month: 'long', day: 'numeric' });
+    const onOff = value => (value ? 'On' : 'Off');
+    const orDash = value => (value === null ? '–' : value);
+    const layoutName = getLayoutOptions(DATA.LAYOUTS).find(l => l.id === s.keyboardLayout)?.name || s.keyboardLayout;
+    const table = (headings, rows, empty) => rows.length ? `
+        <table>
+            <thead><tr>${headings.map(h => `<th scope="col">${h}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(cells => `<tr>${cells.map((cell, i) => (i === 0 ? `<th scope="row">${cell}</th>` : `<td>${cell}</td>`)).join('')}</tr>`).join('')}</tbody>
+        </table>` : `<p>${empty}</p>`;
+
+    const reportHtml = `
+<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+    <title>StoryKeys Progress Report - ${escapeHtml(profile.name)}</title>
+    <style>
+        @page { size: A4; margin: 15mm; }
+        body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; line-height: 1.5; max-width: 800px; margin: 0 auto; padding: 20px; }
+        h1 { font-size: 1.6rem; margin: 0; }
+        h2 { font-size: 1.2rem; border-bottom: 2px solid #d1d5db; padding-bottom: 4px; margin-top: 28px; }
+        h3 { font-size: 1rem; margin: 18px 0 6px; }
+        .subtitle { color: #4b5563; margin: 4px 0 0; }
+        .page { page-break-before: always; break-before: page; }
+        .metrics { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; margin-top: 16px; }
+        .metric { border: 1px solid #d1d5db; border-radius: 6px; padding: 8px; text-align: center; }
+        .metric b { display: block; font-size: 1.4rem; }
+        .metric span { font-size: 0.8rem; color: #4b5563; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.9rem; margin: 6px 0 12px; }
+        th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e7eb; }
+        thead th { background: #f3f4f6; }
+        .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+        .progress-chart { margin: 0; }
+        .progress-chart figcaption { font-weight: bold; font-size: 0.9rem; }
+        .line-chart { width: 100%; height: auto; }
+        .line-chart polyline { fill: none; stroke: #2563eb; stroke-width: 2; }
+        .line-chart circle { fill: #2563eb; }
+        .chart-axis { stroke: #d1d5db; }
+        .sparkline-labels { display: flex; justify-content: space-between; font-size: 0.75rem; color: #6b7280; }
+        .note { font-size: 0.85rem; color: #4b5563; }
+        .footer { margin-top: 32px; font-size: 0.8rem; color: #6b7280; }
+    </style>
+</head>
+<body>
+    <h1>StoryKeys Progress Report</h1>
+    <p class="subtitle"><b>${escapeHtml(`${profile.avatar} ${profile.name}`)}</b> • ${formatDate(report.from)} to ${formatDate(report.to)}</p>
+
+    <h2>Summary</h2>
+    <div class="metrics">
+        <div class="metric"><b>${report.sessionCount}</b><span>Sessions</span></div>
+        <div class="metric"><b>${report.daysPractised}</b><span>Days practised</span></div>
+        <div class="metric"><b>${report.minutes}</b><span>Minutes</span></div>
+        <div class="metric"><b>${report.lessonsCompleted}</b><span>Lessons completed</span></div>
+        <div class="metric"><b>${report.accuracy === null ? '–' : `${report.accuracy}%`}</b><span>Average accuracy</span></div>
+        <div class="metric"><b>${orDash(report.wpm)}</b><span>Average WPM</span></div>
+        <div class="metric"><b>${orDash(report.bestWpm)}</b><span>Best WPM</span></div>
+        <div class="metric"><b>${report.forgotShift}</b><span>Forgot Shift</span></div>
+    </div>
+
+    <h2>Trends by Week</h2>
+    ${report.sessionCount ? `<div class="charts">
+        ${getLineChartHtml(report.weekly, 'wpm', { title: 'Speed', unit: ' wpm', period: 'week' })}
+        ${getLineChartHtml(report.weekly, 'accuracy', { title: 'Accuracy', unit: '%', max: 100, period: 'week' })}
+    </div>` : ''}
+    ${table(['Week', 'Sessions', 'Minutes', 'WPM', 'Accuracy'], report.weekly.map(w => [escapeHtml(periodLabel(w.start, 'week')), w.sessions, w.minutes, orDash(w.wpm), w.accuracy === null ? '–' : `${w.accuracy}%`]), 'No lessons in this period.')}
+
+    <section class="page">
+        <h2>Keys and Words</h2>
+        <p class="note">Key figures include every lesson so far, not only this period.</p>
+        <h3>Weakest Keys</h3>
+        ${table(['Key', 'Times typed', 'Missed', 'Time to reach'], report.weakKeys.map(k => [`'${escapeHtml(keyLabel(k.key))}'`, k.attempts, `${Math.round(k.errorRate * 100)}%`, k.meanLatency === null ? '–' : `${k.meanLatency} ms`]), 'No key has been missed often enough to list yet.')}
+        <h3>Letter Reversals</h3>
+        ${table(['Letters', '1st typed as 2nd', '2nd typed as 1st'], report.reversals.map(({ pair: [a, b], forward, backward }) => [`${a} / ${b}`, forward, backward]), 'No b/d or p/q reversals recorded.')}
+        <h3>Common Mix-ups</h3>
+        ${table(['Expected', 'Typed', 'Times'], report.mixUps.map(m => [`'${escapeHtml(keyLabel(m.expected))}'`, `'${escapeHtml(keyLabel(m.typed))}'`, m.count]), 'No mix-ups recorded.')}
+        <h3>Tricky Letter Pairs</h3>
+        ${table(['Letters', 'Missed', 'Time to reach'], report.trickyPairs.map(t => [escapeHtml(t.gram), `${Math.round(t.errorRate * 100)}%`, t.meanLatency === null ? '–' : `${t.meanLatency} ms`]), 'No letter pairs stand out yet.')}
+        <h3>Repeated Tricky Words</h3>
+        ${table(['Word', 'Lessons with a slip', 'Word review'], report.trickyWords.map(w => [escapeHtml(w.word), w.lessons, w.status]), 'No word caused slips in more than one lesson.')}
+    </section>
+
+    <section class="page">
+        <h2>Content Covered</h2>
+        <h3>Key Stages</h3>
+        ${table(['Stage', 'Sessions', 'Minutes', 'Lessons completed'], report.stages.map(st => [st.stage, st.sessions, st.minutes, st.completed]), '')}
+        <h3>Lesson Types</h3>
+        ${table(['Type', 'Sessions'], report.types.map(([type, count]) => [escapeHtml(type), count]), 'No lessons in this period.')}
+        <h3>Themes</h3>
+        ${table(['Theme', 'Sessions'], report.themes.map(([theme, count]) => [escapeHtml(theme), count]), 'No themed lessons in this period.')}
+
+        <h2>Settings and Supports</h2>
+        ${table(['Setting', 'Value'], [
+            ['Font', FONT_NAMES[s.font] || escapeHtml(s.font)],
+            ['Letter spacing', `+${s.letterSpacing}%`],
+            ['Line height', s.lineHeight],
+            ['Colour theme', escapeHtml(s.theme)],
+            ['Keyboard layout', escapeHtml(layoutName)],
+            ['Lockstep (fix mistakes before moving on)', `${onOff(s.lockstepDefault)}${report.supports.lockstep !== null ? ` • used in ${report.supports.lockstep}% of lessons` : ''}`],
+            ['Focus line', `${onOff(s.focusLineDefault)}${report.supports.focusLine !== null ? ` • used in ${report.supports.focusLine}% of lessons` : ''}`],
+            ['Keyboard guide', `${onOff(s.keyboardHintDefault)}${report.supports.keyboardHint !== null ? ` • used in ${report.supports.keyboardHint}% of lessons` : ''}`],
+            ['Finger guide', onOff(s.fingerGuide)],
+            ['Timer shown', onOff(s.showTimerDisplay)],
+            ['Reduce motion', onOff(s.reduceMotion)],
+            ['Typing sounds', onOff(s.soundEnabled)]
+        ], '')}
+        <p class="footer">Generated by StoryKeys on ${formatDate(new Date())}. All data stays on this device.</p>
+    </section>
+    <script>window.onload = () => window.print();</script>
+</body>
+</html>`;
+
+    const printWindow = window.open('', '_blank');
+    if (printWindow) {
+        printWindow.document.write(reportHtml);
+        printWindow.document.close();
+    } else {
+        toast('Pop-up blocked. Please allow pop-ups to print the report.');
+    }
+}
@@ -77,4 +77,40 @@ export function debounce(func, wait) {
         clearTimeout(timeout);
         timeout = setTimeout(later, wait);
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a small deterministic random number generator (mulberry32).
+ * The same seed always produces the same sequence, which keeps lesson picks reproducible.
+ * @param {number|string} seed - A number, or a string that is hashed to one.
+ * @returns {function(): number} A function returning floats in [0, 1).
+ */
+export function createSeededRandom(seed) {
+    let h = typeof seed === 'number' ? seed >>> 0 : 2166136261;
+    if (typeof seed === 'string') {
+        for (let i = 0; i < seed.length; i++) h = Math.imul(h ^ seed.charCodeAt(i), 16777619) >>> 0;
+    }
+    return function random() {
+        h = (h + 0x6D2B79F5) >>> 0;
+        let t = h;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffles a copy of a list (Fisher-Yates) using the given random source, so a seeded
+ * source always gives the same order.
+ * @param {Array} list
+ * @param {function(): number} random - e.g. from createSeededRandom.
+ * @returns {Array} The shuffled copy.
+ */
+export function seededShuffle(list, random) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
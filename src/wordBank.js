@@ -0,0 +1,121 @@
+/**
+ * @file wordBank.js
+ * @description A per-learner bank of tricky words scheduled with Leitner boxes.
+ *
+ * Any word the learner slips on (including mistakes they corrected) goes into box 1 and
+ * comes back the next day. Each time it is typed cleanly on or after its due date it moves
+ * up a box and waits longer; a slip sends it back to box 1. Words that pass box 5 are learned.
+ *
+ * Stored in `state.progress.wordBank` as { [word]: { box, due, misses, reviews, lastSeen } },
+ * where `due` is a local calendar date ('YYYY-MM-DD').
+ */
+
+import { wordAt } from './replay.js';
+
+// Days to wait before the next review, indexed by box (box 1 = 1 day ... box 5 = 16 days)
+const BOX_INTERVAL_DAYS = [0, 1, 2, 4, 8, 16];
+export const LEARNED_BOX = BOX_INTERVAL_DAYS.length;
+
+/**
+ * Formats a date as a local 'YYYY-MM-DD' key, so due dates follow the learner's calendar.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${m}-${d}`;
+}
+
+// Adds calendar days rather than milliseconds, so clock changes cannot skip or repeat a day
+function addDays(date, days) {
+    return toDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+}
+
+/**
+ * Strips a word to its letters (keeping inner apostrophes and hyphens) and lowercases it.
+ * @param {string} word
+ * @returns {string}
+ */
+export function cleanWord(word) {
+    return word.replace(/[^A-Za-z'-]/g, '').replace(/^['-]+|['-]+$/g, '').toLowerCase();
+}
+
+/**
+ * Lists the words of the target text that had at least one wrong keystroke.
+ * Corrected slips count too, since lockstep mode never leaves a mistake in the final text.
+ * @param {object[]} keystrokes - Keystrokes recorded by replay.js.
+ * @param {string} targetText - The normalised target text.
+ * @returns {string[]} Unique, lowercased words.
+ */
+export function getMissedWords(keystrokes, targetText) {
+    const missed = new Set();
+    keystrokes.forEach(k => {
+        if (!k.bs && k.exp && k.got !== k.exp) missed.add(cleanWord(wordAt(targetText, k.i)));
+    });
+    return [...missed].filter(w => w.length > 1);
+}
+
+/**
+ * Updates the word bank after a session: missed words drop to box 1, and due words typed
+ * cleanly move up a box. Only words typed in full count, so stopping a lesson early does not
+ * promote the words it never reached.
+ * @param {object} bank - state.progress.wordBank (mutated).
+ * @param {string} targetText - The normalised target text of the session.
+ * @param {number} typedLength - How many characters of it were typed.
+ * @param {string[]} missedWords - Words with a mistake, from getMissedWords.
+ * @param {Date} [now=new Date()]
+ * @returns {object} The updated bank.
+ */
+export function updateWordBank(bank, targetText, typedLength, missedWords, now = new Date()) {
+    const today = toDateKey(now);
+    const missed = new Set(missedWords);
+
+    missed.forEach(word => {
+        const entry = bank[word] || { box: 1, due: today, misses: 0, reviews: 0 };
+        entry.box = 1;
+        entry.due = addDays(now, BOX_INTERVAL_DAYS[1]);
+        entry.misses++;
+        entry.lastSeen = now.toISOString();
+        bank[word] = entry;
+    });
+
+    const typed = [...targetText.matchAll(/\S+/g)]
+        .filter(match => match.index + match[0].length <= typedLength)
+        .map(match => cleanWord(match[0]));
+
+    new Set(typed).forEach(word => {
+        const entry = bank[word];
+        if (!entry || missed.has(word) || entry.box >= LEARNED_BOX || entry.due > today) return;
+        entry.box++;
+        entry.reviews++;
+        entry.lastSeen = now.toISOString();
+        entry.due = entry.box >= LEARNED_BOX ? null : addDays(now, BOX_INTERVAL_DAYS[entry.box]);
+    });
+
+    return bank;
+}
+
+/**
+ * Lists the words due for review today or earlier, lowest box first.
+ * @param {object} bank - state.progress.wordBank.
+ * @param {Date} [now=new Date()]
+ * @returns {string[]}
+ */
+export function getDueWords(bank, now = new Date()) {
+    const today = toDateKey(now);
+    return Object.entries(bank || {})
+        .filter(([, entry]) => entry.box < LEARNED_BOX && entry.due <= today)
+        .sort(([wa, a], [wb, b]) => a.box - b.box || a.due.localeCompare(b.due) || wa.localeCompare(wb))
+        .map(([word]) => word);
+}
+
+/**
+ * Finds the earliest upcoming review date, for the "all caught up" message.
+ * @param {object} bank - state.progress.wordBank.
+ * @returns {string|null} A 'YYYY-MM-DD' date, or null if nothing is scheduled.
+ */
+export function getNextReviewDate(bank) {
+    const dates = Object.values(bank || {}).filter(e => e.box < LEARNED_BOX && e.due).map(e => e.due).sort();
+    return dates[0] || null;
+}
@@ -0,0 +1,112 @@
+/**
+ * @file sw.js
+ * @description Service worker that makes StoryKeys work fully offline.
+ *
+ * On install it precaches the app shell, every file under data/ and the bundled OpenDyslexic
+ * font into a cache named after VERSION. A release bumps APP_VERSION in main.js and VERSION
+ * here together: the changed bytes make the browser install this worker as an update, which
+ * waits until the learner accepts the "new version available" prompt, then takes over and
+ * removes the old cache.
+ *
+ * Any new file the app needs offline must be added to PRECACHE_URLS.
+ */
+
+// Keep in step with APP_VERSION in src/main.js
+const VERSION = '8.0.0';
+const CACHE_NAME = `storykeys-${VERSION}`;
+
+const STAGES = ['KS1', 'KS2', 'KS3', 'KS4'];
+const STAGE_FILES = ['passages', 'wordsets', 'patterns'];
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'fonts/opendyslexic/opendyslexic-latin-400-normal.woff2',
+    'fonts/opendyslexic/opendyslexic-latin-700-normal.woff2',
+    'src/main.js',
+    'src/config.js',
+    'src/dataLoader.js',
+    'src/ui.js',
+    'src/lessons.js',
+    'src/keyboard.js',
+    'src/stats.js',
+    'src/badges.js',
+    'src/sounds.js',
+    'src/progress.js',
+    'src/utils.js',
+    'src/backup.js',
+    'src/profiles.js',
+    'src/migrations.js',
+    'src/replay.js',
+    'src/keyStats.js',
+    'src/recommender.js',
+    'src/wordBank.js',
+    'src/customContent.js',
+    'src/lessonPacks.js',
+    'src/layouts.js',
+    'src/course.js',
+    'src/drillGenerator.js',
+    'src/ngramStats.js',
+    'src/progressCharts.js',
+    'src/progressReport.js',
+    'src/goals.js',
+    'src/planner.js',
+    'src/streaks.js',
+    'src/badgeRules.js',
+    'src/badgeAudit.js',
+    'src/mastery.js',
+    'data/badges.json',
+    'data/copy.json',
+    'data/layouts.json',
+    'data/phonics.json',
+    'data/spelling.json',
+    ...STAGES.flatMap(stage => STAGE_FILES.map(file => `data/${stage}/${file}.json`))
+];
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('storykeys-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+    if (event.data?.type === 'GET_VERSION') event.ports[0]?.postMessage(VERSION);
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            // Match on path only, so a page opened with a query string still loads offline
+            const cached = await cache.match(request, { ignoreSearch: true });
+            if (cached) return cached;
+            try {
+                const response = await fetch(request);
+                if (response.ok) cache.put(request, response.clone());
+                return response;
+            } catch (e) {
+                // Offline and not cached: fall back to the app shell for page loads
+                if (request.mode === 'navigate') return cache.match('index.html');
+                throw e;
+            }
+        })
+    );
+});
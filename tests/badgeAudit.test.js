@@ -0,0 +1,63 @@
+/**
+ * The badge replay over saved sessions: count rules tallied as it goes agree with counting
+ * the sessions afresh, and an owed badge dates from the lesson that earned it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { evaluateRule } from '../src/badgeRules.js';
+import { replayBadgeContexts, findOwedBadges, auditBadges } from '../src/badgeAudit.js';
+
+const BADGES = JSON.parse(readFileSync(new URL('../data/badges.json', import.meta.url), 'utf8'));
+const DATA = { BADGES, PASSAGES: [], SPELLING: [], PHONICS: [], WORDSETS: [], PATTERNS: [] };
+
+const TYPES = ['passage', 'spelling', 'phonics'];
+const sessions = Array.from({ length: 40 }, (_, i) => ({
+    id: `sess_${i}`,
+    ts: new Date(2026, 0, 1 + Math.floor(i / 3), 16, i % 3).toISOString(),
+    contentType: TYPES[i % 3],
+    stage: 'KS2',
+    accuracy: i % 4 ? 92 : 80,
+    netWPM: 20,
+    grossWPM: 22,
+    durationSec: 60,
+    errors: 2
+}));
+const state = { settings: {}, progress: { badges: [] }, sessions };
+
+function countRules(rule) {
+    if (Array.isArray(rule.all)) return rule.all.flatMap(countRules);
+    if (Array.isArray(rule.any)) return rule.any.flatMap(countRules);
+    return 'count' in rule ? [rule] : [];
+}
+
+test('count rules tallied in the replay match counting the sessions so far', () => {
+    const contexts = replayBadgeContexts(state, DATA);
+    assert.equal(contexts.length, sessions.length);
+    const rules = BADGES.flatMap(badge => countRules(badge.criteria));
+    assert.ok(rules.length > 0);
+
+    contexts.forEach((context, i) => {
+        const sessionsSoFar = sessions.slice(0, i + 1);
+        for (const rule of rules) {
+            const expected = sessionsSoFar.filter(s => evaluateRule(rule.count, { metrics: s })).length;
+            assert.equal(context.counts.get(rule), expected, `${JSON.stringify(rule.count)} after ${i + 1} lessons`);
+        }
+        for (const badge of BADGES) {
+            assert.equal(evaluateRule(badge.criteria, context), evaluateRule(badge.criteria, { metrics: context.metrics, sessions: sessionsSoFar }), badge.id);
+        }
+    });
+});
+
+test('an owed badge dates from the lesson that earned it', () => {
+    const owed = new Map(findOwedBadges(state, DATA).map(o => [o.id, o.since]));
+    // Three lessons with at least 90% accuracy: the second, third and fourth
+    assert.equal(owed.get('steady_3'), sessions[3].ts);
+    assert.equal(owed.get('spelling_10'), sessions[28].ts);
+    assert.equal(owed.has('spelling_25'), false);
+
+    const spelling25 = auditBadges(state, DATA).find(a => a.badge.id === 'spelling_25');
+    assert.equal(spelling25.status, 'not-yet');
+    assert.deepEqual(spelling25.parts.map(p => p.progress), ['13 so far']);
+});
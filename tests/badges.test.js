@@ -0,0 +1,187 @@
+/**
+ * Every badge in data/badges.json: its rule is well formed, is met exactly at its threshold
+ * and not just below it, and gives the same answer as the criteria that were written in
+ * badges.js before they moved into the data file. A new badge needs no change here.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { evaluateRule, validateRule } from '../src/badgeRules.js';
+import { getBadgeMetrics } from '../src/badges.js';
+
+const BADGES = JSON.parse(readFileSync(new URL('../data/badges.json', import.meta.url), 'utf8'));
+
+// Metrics that only take whole numbers, so one less is the nearest value below
+const WHOLE_METRICS = ['totalLessons', 'daysPractised', 'streak', 'themesCount', 'stagesCount', 'errors', 'charCount', 'sessionHour'];
+
+// A lesson that meets nothing: every context below starts from here
+const BASELINE = {
+    accuracy: 0, netWPM: 0, grossWPM: 0, errors: 5, durationSec: 0, charCount: 0,
+    contentType: 'passage', lockstep: false, hasPunctuation: false, aboveUsualStage: false,
+    sessionHour: 12, isWeekend: false,
+    totalLessons: 0, minutesTotal: 0, wordsTotal: 0, daysPractised: 0, streak: 0, themesCount: 0, stagesCount: 0
+};
+
+// The criteria as badges.js hard-coded them, in terms of the same metrics and sessions
+const count = (sessions, matches) => sessions.filter(matches).length;
+const ofType = (sessions, type) => count(sessions, s => s.contentType === type);
+const LEGACY_CRITERIA = {
+    practice_1: m => m.totalLessons >= 1,
+    practice_5: m => m.totalLessons >= 5,
+    practice_15: m => m.totalLessons >= 15,
+    practice_30: m => m.totalLessons >= 30,
+    practice_50: m => m.totalLessons >= 50,
+    practice_100: m => m.totalLessons >= 100,
+    accuracy_90: m => m.accuracy >= 90,
+    accuracy_95: m => m.accuracy >= 95,
+    accuracy_98: m => m.accuracy >= 98,
+    accuracy_100: m => m.accuracy === 100,
+    steady_3: (m, s) => count(s, x => x.accuracy >= 90) >= 3,
+    steady_10: (m, s) => count(s, x => x.accuracy >= 90) >= 10,
+    steady_25: (m, s) => count(s, x => x.accuracy >= 90) >= 25,
+    fluency_20: m => m.netWPM >= 20,
+    fluency_30: m => m.netWPM >= 30,
+    fluency_40: m => m.netWPM >= 40,
+    fluency_50: m => m.netWPM >= 50,
+    fluency_60: m => m.netWPM >= 60,
+    balanced_40: m => m.netWPM >= 40 && m.accuracy >= 90,
+    balanced_50: m => m.netWPM >= 50 && m.accuracy >= 95,
+    time_15: m => m.minutesTotal >= 15,
+    time_30: m => m.minutesTotal >= 30,
+    time_60: m => m.minutesTotal >= 60,
+    time_120: m => m.minutesTotal >= 120,
+    time_180: m => m.minutesTotal >= 180,
+    words_500: m => m.wordsTotal >= 500,
+    words_1k: m => m.wordsTotal >= 1000,
+    words_3k: m => m.wordsTotal >= 3000,
+    words_5k: m => m.wordsTotal >= 5000,
+    routine_2: m => m.daysPractised >= 2,
+    routine_5: m => m.daysPractised >= 5,
+    routine_10: m => m.daysPractised >= 10,
+    routine_20: m => m.daysPractised >= 20,
+    streak_3: m => m.streak >= 3,
+    streak_5: m => m.streak >= 5,
+    streak_7: m => m.streak >= 7,
+    explorer_2: m => m.themesCount >= 2,
+    explorer_4: m => m.themesCount >= 4,
+    explorer_6: m => m.themesCount >= 6,
+    mode_passage: (m, s) => ofType(s, 'passage') >= 1,
+    mode_spelling: (m, s) => ofType(s, 'spelling') >= 1,
+    mode_phonics: (m, s) => ofType(s, 'phonics') >= 1,
+    mode_mixer: (m, s) => ofType(s, 'passage') >= 1 && ofType(s, 'spelling') >= 1 && ofType(s, 'phonics') >= 1,
+    stage_2: m => m.stagesCount >= 2,
+    stage_3: m => m.stagesCount >= 3,
+    stage_4: m => m.stagesCount >= 4,
+    brave_longer: m => m.charCount >= 200,
+    brave_challenging: m => m.aboveUsualStage,
+    brave_steady: m => m.durationSec >= 300,
+    brave_lockstep: m => m.errors === 0 && m.lockstep,
+    brave_persist: m => m.errors >= 10 && m.totalLessons >= 1,
+    spelling_star: m => m.errors === 0 && m.contentType === 'spelling',
+    spelling_10: (m, s) => ofType(s, 'spelling') >= 10,
+    spelling_25: (m, s) => ofType(s, 'spelling') >= 25,
+    phonics_precision: m => m.accuracy >= 90 && m.contentType === 'phonics',
+    phonics_10: (m, s) => ofType(s, 'phonics') >= 10,
+    phonics_25: (m, s) => ofType(s, 'phonics') >= 25,
+    punct_pro: m => m.accuracy >= 95 && m.hasPunctuation,
+    surprise_early: m => m.sessionHour < 9,
+    surprise_late: m => m.sessionHour >= 21,
+    surprise_weekend: m => m.isWeekend,
+    surprise_streak_10: m => m.streak >= 10
+};
+
+// The nearest value on the other side of a comparison from `value`
+function nearest(metric, value) {
+    if (typeof value === 'boolean') return !value;
+    if (typeof value === 'string') return `not-${value}`;
+    return Math.round((value - (WHOLE_METRICS.includes(metric) ? 1 : 0.1)) * 10) / 10;
+}
+
+function merge(...contexts) {
+    return {
+        metrics: Object.assign({}, ...contexts.map(c => c.metrics)),
+        sessions: contexts.flatMap(c => c.sessions)
+    };
+}
+
+/**
+ * The contexts on either side of a rule's threshold: `at` just meets it, and each context in
+ * `below` just misses it, by one part at a time for "all" rules and every part at once for "any".
+ */
+function boundaries(rule) {
+    if (rule.any) {
+        const parts = rule.any.map(boundaries);
+        return { at: parts[0].at, below: [merge(...parts.map(p => p.below[0]))] };
+    }
+    if (rule.all) {
+        const parts = rule.all.map(boundaries);
+        const at = merge(...parts.map(p => p.at));
+        const below = parts.flatMap((part, i) => part.below.map(b =>
+            merge(...parts.map((p, j) => (i === j ? b : p.at)))));
+        return { at, below };
+    }
+    if ('count' in rule) {
+        const session = boundaries(rule.count).at.metrics;
+        const sessions = n => Array.from({ length: n }, () => ({ ...session }));
+        return {
+            at: { metrics: {}, sessions: sessions(rule.value) },
+            below: [{ metrics: {}, sessions: sessions(rule.value - 1) }]
+        };
+    }
+    const { metric, op, value } = rule;
+    const other = nearest(metric, value);
+    // For "<" the threshold itself is the first value that misses
+    const [met, missed] = op === '<' ? [other, value] : [value, other];
+    return {
+        at: { metrics: { [metric]: met }, sessions: [] },
+        below: [{ metrics: { [metric]: missed }, sessions: [] }]
+    };
+}
+
+function withBaseline(context) {
+    return { metrics: { ...BASELINE, ...context.metrics }, sessions: context.sessions };
+}
+
+test('every badge the old criteria knew is still in badges.json', () => {
+    const ids = BADGES.map(b => b.id);
+    assert.deepEqual(Object.keys(LEGACY_CRITERIA).filter(id => !ids.includes(id)), []);
+});
+
+test('every badge rule is well formed and uses known metrics', () => {
+    const state = {
+        sessions: [],
+        settings: {},
+        progress: { badges: [], themesCompleted: {}, stagesCompleted: {} },
+        runtime: {
+            lesson: { type: 'passage', data: { id: 'p1', stage: 'KS2', theme: 'Animals' } },
+            targetTextNorm: 'The cat sat.',
+            startTime: new Date(2026, 0, 5, 10),
+            flags: {}
+        }
+    };
+    const results = { accuracy: 95, netWPM: 20, grossWPM: 22, errors: 1, durationSec: 60 };
+    const metricNames = Object.keys(getBadgeMetrics(results, state).metrics);
+    assert.deepEqual(Object.keys(BASELINE).sort(), [...metricNames].sort());
+
+    for (const badge of BADGES) {
+        assert.deepEqual(validateRule(badge.criteria, metricNames), [], badge.id);
+    }
+});
+
+for (const badge of BADGES) {
+    test(`${badge.id} is earned at its threshold and not just below`, () => {
+        const legacy = LEGACY_CRITERIA[badge.id];
+        const { at, below } = boundaries(badge.criteria);
+
+        const atThreshold = withBaseline(at);
+        assert.equal(evaluateRule(badge.criteria, atThreshold), true, 'at the threshold');
+        // Badges added since the criteria moved into badges.json have no old rule to match
+        assert.equal(legacy?.(atThreshold.metrics, atThreshold.sessions) ?? true, true, 'old criteria at the threshold');
+
+        for (const context of [...below, { metrics: {}, sessions: [] }].map(withBaseline)) {
+            assert.equal(evaluateRule(badge.criteria, context), false, JSON.stringify(context));
+            assert.equal(legacy?.(context.metrics, context.sessions) ?? false, false, `old criteria: ${JSON.stringify(context)}`);
+        }
+    });
+}
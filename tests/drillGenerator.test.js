@@ -0,0 +1,74 @@
+/**
+ * Seeded drills: the same seed gives the same drill, and a drill is built around the keys
+ * and letter pairs it targets.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateDrill, collectDrillWords } from '../src/drillGenerator.js';
+import { buildWarmupDrill } from '../src/planner.js';
+
+const DATA = {
+    WORDSETS: [
+        { id: 'ks1-words', stage: 'KS1', words: ['bed', 'bad', 'big', 'cab', 'dog', 'cat', 'sun', 'hat', 'pen', 'red'] },
+        { id: 'ks2-words', stage: 'KS2', words: ['table', 'number', 'garden', 'window', 'basket', 'little'] }
+    ],
+    PATTERNS: [{ id: 'sh', name: 'sh words', items: ['ship', 'shop', 'fish', 'wish', 'dash', 'shell', 'brush'] }],
+    PASSAGES: [{ id: 'p1', stage: 'KS1', text: 'The big bear sat on a rug. Then the cat hid in the shed with the other cubs.' }],
+    SPELLING: [{ id: 's1', stage: 'KS2', words: ['thumb', 'bath', 'both', 'think'] }],
+    PHONICS: [{ id: 'ph1', text: 'The thin moth sat on the path.' }],
+    KEYMAP: []
+};
+
+const share = (words, target) => words.filter(w => w.includes(target)).length / words.length;
+
+test('the same seed gives the same drill', () => {
+    const options = { targets: ['b', 'sh'], length: 10, seed: 'monday' };
+    assert.deepEqual(generateDrill(DATA, options), generateDrill(DATA, options));
+    assert.deepEqual(generateDrill(DATA, { ...options, seed: 42 }), generateDrill(DATA, { ...options, seed: 42 }));
+    assert.notDeepEqual(generateDrill(DATA, options).words, generateDrill(DATA, { ...options, seed: 'tuesday' }).words);
+});
+
+test('every word practises a target key', () => {
+    const { words, coverage } = generateDrill(DATA, { targets: ['b'], length: 10, seed: 1 });
+    assert.equal(words.length, 10);
+    assert.ok(words.every(w => w.includes('b')), words.join(' '));
+    assert.ok(share(words, 'b') > share(collectDrillWords(DATA), 'b'));
+    assert.equal(coverage.b, words.reduce((sum, w) => sum + w.split('b').length - 1, 0));
+});
+
+test('letter pairs are targeted as a whole', () => {
+    const { words } = generateDrill(DATA, { targets: ['sh', 'th'], length: 10, seed: 7 });
+    assert.ok(words.every(w => w.includes('sh') || w.includes('th')), words.join(' '));
+});
+
+test('each target gets a fair share of the drill', () => {
+    // Words with "b" outnumber words with "sh", but neither takes over
+    const { coverage } = generateDrill(DATA, { targets: ['b', 'sh'], length: 10, seed: 3 });
+    assert.ok(coverage.b >= 3, JSON.stringify(coverage));
+    assert.ok(coverage.sh >= 3, JSON.stringify(coverage));
+});
+
+test('letters the learner has not met are left out', () => {
+    const { words } = generateDrill(DATA, { targets: ['b'], length: 6, allowedKeys: 'abdegi', seed: 5 });
+    assert.ok(words.length > 0);
+    assert.ok(words.every(w => [...w].every(ch => 'abdegi'.includes(ch))), words.join(' '));
+});
+
+test('the warm-up drill works on the weakest keys', () => {
+    const entry = (attempts, errors) => ({ attempts, errors, latencyTotal: 0, latencyCount: 0, subs: {} });
+    const state = {
+        settings: { defaultStage: 'KS1' },
+        progress: {
+            keyStats: {
+                b: entry(40, 12), h: entry(40, 8), t: entry(40, 4), a: entry(80, 1), e: entry(80, 0),
+                // Too few attempts to judge, however many went wrong
+                q: entry(2, 2)
+            }
+        }
+    };
+    const drill = buildWarmupDrill(state, DATA, { length: 8, seed: 'warm-up' });
+    assert.deepEqual(drill.targets, ['b', 'h', 't']);
+    assert.ok(drill.words.every(w => drill.targets.some(t => w.includes(t))), drill.words.join(' '));
+    assert.deepEqual(buildWarmupDrill(state, DATA, { length: 8, seed: 'warm-up' }), drill);
+});
@@ -0,0 +1,130 @@
+/**
+ * Saved state from every earlier schema version upgrades to the current one, and upgrading
+ * an upgraded save changes nothing.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEMA_VERSION, migrateState, parseSave } from '../src/migrations.js';
+
+// A save from before `_v` was stamped, in the oldest shape the app wrote
+const UNVERSIONED_BASELINE = {
+    settings: { font: 'default', lineHeight: 1.7, theme: 'cream', defaultStage: 'KS2' },
+    progress: {
+        minutesTotal: 12.5,
+        wordsTotal: 240,
+        badges: ['practice_1', { id: 'accuracy_90', earnedAt: '2025-03-01T10:05:00.000Z' }],
+        themesCompleted: { Animals: true },
+        stagesCompleted: { KS2: true },
+        lastPlayed: '2025-03-02T16:30:00.000Z',
+        consecutiveDays: 2,
+        completedPassages: ['ks2-zoo']
+    },
+    sessions: [
+        { ts: '2025-03-01T10:00:00.000Z', contentType: 'passage', contentId: 'ks2-zoo', accuracy: 94, netWPM: 18 },
+        { id: 'sess_kept', ts: '2025-03-02T16:30:00.000Z', contentType: 'spelling', contentId: 'y3-4', accuracy: 100 },
+        { contentType: 'phonics', contentId: 'ph-ck', accuracy: 88 }
+    ],
+    meta: { hasSeenWelcome: true, welcomeVersion: 1, lastLessonId: 'ks2-zoo' }
+};
+
+// Unversioned, with only settings: the first screen was seen but no lesson was finished
+const UNVERSIONED_EMPTY = { settings: { theme: 'dark' } };
+
+// Version 1 as the app wrote it before saving only the persistent parts of the state
+const VERSION_1 = {
+    _v: 1,
+    settings: { font: 'opendyslexic', defaultStage: 'KS1' },
+    progress: {
+        minutesTotal: 3,
+        wordsTotal: 40,
+        badges: [{ id: 'practice_1', earnedAt: '2025-06-01T09:00:00.000Z' }],
+        themesCompleted: {},
+        stagesCompleted: { KS1: true },
+        completedPassages: [],
+        completedSpellings: [],
+        completedPhonics: ['ph-ai']
+    },
+    sessions: [{ id: 'sess_1', ts: '2025-06-01T09:00:00.000Z', contentType: 'phonics', contentId: 'ph-ai', accuracy: 97 }],
+    meta: { hasSeenWelcome: true, welcomeVersion: 1, lastLessonId: 'ph-ai' },
+    ui: { currentScreen: 'home', modal: null },
+    runtime: {}
+};
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+test('the fixtures cover every earlier version', () => {
+    assert.equal(SCHEMA_VERSION, 1, 'add a fixture for the new version and update this test');
+});
+
+test('an unversioned save is upgraded', () => {
+    const input = clone(UNVERSIONED_BASELINE);
+    const result = migrateState(input);
+    assert.equal(result.ok, true);
+    assert.equal(result.fromVersion, 0);
+    assert.deepEqual(result.data, {
+        ...UNVERSIONED_BASELINE,
+        _v: 1,
+        progress: {
+            ...UNVERSIONED_BASELINE.progress,
+            badges: [
+                { id: 'practice_1', earnedAt: null },
+                { id: 'accuracy_90', earnedAt: '2025-03-01T10:05:00.000Z' }
+            ],
+            completedPassages: ['ks2-zoo'],
+            completedSpellings: [],
+            completedPhonics: []
+        },
+        sessions: [
+            { ...UNVERSIONED_BASELINE.sessions[0], id: 'sess_1740823200000' },
+            UNVERSIONED_BASELINE.sessions[1],
+            // No timestamp to go on, so its place in the history stands in
+            { ...UNVERSIONED_BASELINE.sessions[2], id: 'sess_2' }
+        ]
+    });
+    // The save it was given is left as it was
+    assert.deepEqual(input, UNVERSIONED_BASELINE);
+});
+
+test('an unversioned save with no progress gets empty lists', () => {
+    const result = migrateState(clone(UNVERSIONED_EMPTY));
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.data, {
+        _v: 1,
+        settings: { theme: 'dark' },
+        progress: { badges: [], completedPassages: [], completedSpellings: [], completedPhonics: [] },
+        sessions: []
+    });
+});
+
+test('a current save passes through unchanged', () => {
+    const result = migrateState(clone(VERSION_1));
+    assert.equal(result.ok, true);
+    assert.equal(result.fromVersion, 1);
+    assert.deepEqual(result.data, VERSION_1);
+});
+
+test('upgrading an upgraded save changes nothing', () => {
+    for (const fixture of [UNVERSIONED_BASELINE, UNVERSIONED_EMPTY, VERSION_1]) {
+        const once = migrateState(clone(fixture));
+        const twice = migrateState(clone(once.data));
+        assert.equal(twice.ok, true);
+        assert.equal(twice.fromVersion, SCHEMA_VERSION);
+        assert.deepEqual(twice.data, once.data);
+    }
+});
+
+test('a save read from storage is parsed and upgraded', () => {
+    const result = parseSave(JSON.stringify(UNVERSIONED_BASELINE));
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.data, migrateState(clone(UNVERSIONED_BASELINE)).data);
+});
+
+test('saves that cannot be upgraded say why', () => {
+    assert.equal(migrateState({ ...VERSION_1, _v: SCHEMA_VERSION + 1 }).reason, 'future');
+    assert.equal(migrateState({ ...VERSION_1, _v: -1 }).reason, 'unreadable');
+    assert.equal(migrateState({ ...VERSION_1, _v: '1' }).reason, 'unreadable');
+    assert.equal(migrateState([]).reason, 'unreadable');
+    assert.equal(migrateState(null).reason, 'unreadable');
+    assert.equal(parseSave('{"settings":').reason, 'unreadable');
+});
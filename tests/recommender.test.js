@@ -0,0 +1,98 @@
+/**
+ * Which lesson the recommender picks for a known learner: their weak keys, tricky words,
+ * struggling phonics patterns and recent history, with a fixed seed.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recommendLesson, buildLearnerModel } from '../src/recommender.js';
+
+const entry = (attempts, errors) => ({ attempts, errors, latencyTotal: 0, latencyCount: 0, subs: {} });
+
+const PASSAGES = [
+    { id: 'ks2-zoo', stage: 'KS2', title: 'The Zoo', text: 'Zak and Zoe zip to the zoo to see a lazy zebra doze.' },
+    { id: 'ks2-park', stage: 'KS2', title: 'The Park', text: 'We went to the park and had a picnic on the grass.' },
+    { id: 'ks2-rain', stage: 'KS2', title: 'Rain', text: 'It rained because the clouds were full, so we stayed in.' }
+];
+const PHONICS = [
+    { id: 'ph-ck', text: 'The duck and the chick sat on a rock by the dock.', tags: { phonics: ['ks2-phonics-ck'] } },
+    { id: 'ph-ai', text: 'The snail in the rain had a trail on the path.', tags: { phonics: ['ks2-phonics-ai'] } }
+];
+const ALL_ITEMS = [...PASSAGES, ...PHONICS];
+
+function learner({ keyStats = {}, sessions = [], completedPassages = [] } = {}) {
+    return { progress: { keyStats, completedPassages, completedPhonics: [], completedSpellings: [] }, sessions };
+}
+
+// Well-typed keys, so only the fixture's weak keys stand out
+const STEADY_KEYS = Object.fromEntries([...'aeiourstnd'].map(key => [key, entry(200, 0)]));
+
+test('a weak key picks the passage that uses it most', () => {
+    // All finished before, so being new does not outweigh the key
+    const state = learner({ keyStats: { ...STEADY_KEYS, z: entry(20, 8) }, completedPassages: PASSAGES.map(p => p.id) });
+    assert.deepEqual([...buildLearnerModel(state, ALL_ITEMS).weakKeys.keys()], ['z']);
+
+    for (const seed of [1, 2, 3, 'a', 'b']) {
+        const pick = recommendLesson(PASSAGES, 'passage', state, ALL_ITEMS, { seed });
+        assert.equal(pick.item.id, 'ks2-zoo', `seed ${seed}`);
+        assert.equal(pick.reason, "Picked because it practises the 'z' key");
+    }
+});
+
+test('a key with too few attempts is not treated as weak', () => {
+    const state = learner({ keyStats: { ...STEADY_KEYS, z: entry(3, 3) } });
+    assert.equal(buildLearnerModel(state, ALL_ITEMS).weakKeys.size, 0);
+});
+
+test('a word that was tricky last time picks the passage that has it', () => {
+    const state = learner({
+        keyStats: STEADY_KEYS,
+        sessions: [{ contentType: 'passage', contentId: 'ks2-park', accuracy: 92, trickyWords: ['because', 'clouds'] }],
+        completedPassages: ['ks2-park']
+    });
+    const pick = recommendLesson(PASSAGES, 'passage', state, ALL_ITEMS, { seed: 1 });
+    assert.equal(pick.item.id, 'ks2-rain');
+    assert.equal(pick.reason, "Picked because it includes 'because', which was tricky last time");
+});
+
+test('a struggling phonics pattern picks an item that practises it', () => {
+    const state = learner({
+        keyStats: STEADY_KEYS,
+        sessions: [
+            { contentType: 'phonics', contentId: 'ph-ck', accuracy: 70 },
+            { contentType: 'phonics', contentId: 'ph-ai', accuracy: 100 },
+            { contentType: 'passage', contentId: 'ks2-park', accuracy: 100 }
+        ]
+    });
+    const model = buildLearnerModel(state, ALL_ITEMS);
+    assert.deepEqual([...model.weakPhonics.keys()], ['ks2-phonics-ck']);
+
+    const pick = recommendLesson(PHONICS, 'phonics', state, ALL_ITEMS, { seed: 1 });
+    assert.equal(pick.item.id, 'ph-ck');
+    assert.equal(pick.reason, "Picked because it practises 'ck'");
+});
+
+test('a lesson just played gives way to one not tried yet', () => {
+    const state = learner({
+        keyStats: STEADY_KEYS,
+        sessions: [{ contentType: 'passage', contentId: 'ks2-zoo', accuracy: 95 }],
+        completedPassages: ['ks2-zoo']
+    });
+    for (const seed of [1, 2, 3, 'a', 'b']) {
+        const pick = recommendLesson(PASSAGES, 'passage', state, ALL_ITEMS, { seed });
+        assert.notEqual(pick.item.id, 'ks2-zoo', `seed ${seed}`);
+        assert.equal(pick.reason, "Picked because you haven't tried it yet");
+    }
+});
+
+test('the same seed and state always pick the same lesson', () => {
+    const state = learner({ keyStats: STEADY_KEYS });
+    const first = recommendLesson(PASSAGES, 'passage', state, ALL_ITEMS, { seed: 'today' });
+    // Pool order does not matter
+    const again = recommendLesson([...PASSAGES].reverse(), 'passage', state, ALL_ITEMS, { seed: 'today' });
+    assert.deepEqual(again, first);
+});
+
+test('an empty pool picks nothing', () => {
+    assert.equal(recommendLesson([], 'passage', learner(), ALL_ITEMS), null);
+});
@@ -0,0 +1,129 @@
+/**
+ * The streak worked out from the practice history, always against a fixed `today`. The clock
+ * is set to UK time, whose summer time changes fall on 29 March and 25 October 2026.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStreak, getStreakStatus, getStreakDays } from '../src/streaks.js';
+
+// Set before any date is made; the first test checks it took effect
+process.env.TZ = 'Europe/London';
+
+const HOUR = 60 * 60 * 1000;
+const at = (y, m, d, h = 12, min = 0) => new Date(y, m - 1, d, h, min);
+const days = (from, n) => Array.from({ length: n }, (_, i) => {
+    const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+});
+const state = (sessions, { log = {}, restDays, bestStreak } = {}) => ({
+    sessions: sessions.map((date, i) => ({ id: i, ts: date.toISOString() })),
+    progress: { practiceLog: log, bestStreak },
+    settings: { restDays }
+});
+
+test('the clock changes fall where the tests expect', () => {
+    assert.equal(at(2026, 3, 29, 12) - at(2026, 3, 28, 12), 23 * HOUR);
+    assert.equal(at(2026, 10, 25, 12) - at(2026, 10, 24, 12), 25 * HOUR);
+});
+
+test('a session just before midnight and one just after are on different days', () => {
+    const s = state([at(2026, 1, 5, 23, 59), at(2026, 1, 6, 0, 1)]);
+    assert.deepEqual(getStreakDays(s), ['2026-01-05', '2026-01-06']);
+    assert.equal(getStreakStatus(s, at(2026, 1, 6, 0, 2)).days, 2);
+});
+
+test('a streak carries on across the spring clock change', () => {
+    const streak = computeStreak(days(at(2026, 3, 27), 4), null, at(2026, 3, 30));
+    assert.equal(streak.days, 4);
+    assert.equal(streak.practisedToday, true);
+
+    // Just after midnight on the short day is still that day
+    const s = state([at(2026, 3, 28, 23, 30), at(2026, 3, 29, 0, 30), at(2026, 3, 30, 0, 30)]);
+    assert.deepEqual(getStreakDays(s), ['2026-03-28', '2026-03-29', '2026-03-30']);
+    assert.equal(getStreakStatus(s, at(2026, 3, 30, 23)).days, 3);
+});
+
+test('a streak carries on across the autumn clock change', () => {
+    assert.equal(computeStreak(days(at(2026, 10, 23), 4), null, at(2026, 10, 26, 0)).days, 4);
+
+    // The repeated hour on the long day belongs to that day only
+    const s = state([at(2026, 10, 24, 23), at(2026, 10, 25, 1, 30), at(2026, 10, 26, 0, 30)]);
+    assert.deepEqual(getStreakDays(s), ['2026-10-24', '2026-10-25', '2026-10-26']);
+    assert.equal(getStreakStatus(s, at(2026, 10, 26, 23)).days, 3);
+});
+
+test('a day not yet practised keeps the streak until it is over', () => {
+    assert.deepEqual(computeStreak(days(at(2026, 1, 1), 3), null, at(2026, 1, 4)), {
+        days: 3, practisedToday: false, freezes: 0, freezesNeeded: 0, broken: false, previousStreak: 3, best: 3
+    });
+    const broken = computeStreak(days(at(2026, 1, 1), 3), null, at(2026, 1, 5));
+    assert.equal(broken.days, 0);
+    assert.equal(broken.broken, true);
+    assert.equal(broken.previousStreak, 3);
+});
+
+test('practice dated after today counts as today', () => {
+    // The clock was set a month ahead for one lesson, then put right
+    const streak = computeStreak(['2026-01-01', '2026-01-02', '2026-02-10'], null, at(2026, 1, 3));
+    assert.deepEqual(streak, {
+        days: 3, practisedToday: true, freezes: 0, freezesNeeded: 0, broken: false, previousStreak: 3, best: 3
+    });
+
+    const s = state([at(2026, 1, 1), at(2026, 1, 2), at(2026, 2, 10)]);
+    assert.equal(getStreakStatus(s, at(2026, 1, 3)).days, 3);
+    // Once the real date catches up, the gap before it shows
+    assert.equal(getStreakStatus(s, at(2026, 2, 10)).days, 1);
+});
+
+test('rest days neither count nor break a streak', () => {
+    const weekends = { weekdays: [0, 6], holidays: [] };
+    // Friday 2 January, then Monday 5 January
+    assert.equal(computeStreak(['2026-01-02', '2026-01-05'], weekends, at(2026, 1, 5)).days, 2);
+    // Resting today keeps yesterday's streak alive
+    const s = state([at(2026, 1, 1), at(2026, 1, 2)], { restDays: weekends });
+    const status = getStreakStatus(s, at(2026, 1, 4));
+    assert.equal(status.days, 2);
+    assert.equal(status.restToday, true);
+    assert.equal(status.freezesNeeded, 0);
+
+    const holiday = { weekdays: [], holidays: [{ from: '2026-01-02', to: '2026-01-08' }] };
+    assert.equal(computeStreak(['2026-01-01', '2026-01-09'], holiday, at(2026, 1, 9)).days, 2);
+    assert.equal(computeStreak(['2026-01-01', '2026-01-09'], null, at(2026, 1, 9)).days, 1);
+});
+
+test('a freeze covers a missed school day', () => {
+    const run = days(at(2026, 1, 1), 5);
+    assert.equal(computeStreak(run, null, at(2026, 1, 5)).freezes, 1);
+
+    // Missed 6 January: the streak holds and shows the freeze it will need
+    const waiting = computeStreak(run, null, at(2026, 1, 7));
+    assert.equal(waiting.days, 5);
+    assert.equal(waiting.freezesNeeded, 1);
+
+    const covered = computeStreak([...run, '2026-01-07'], null, at(2026, 1, 7));
+    assert.equal(covered.days, 6);
+    assert.equal(covered.freezes, 0);
+
+    // One freeze cannot cover two missed days
+    assert.equal(computeStreak([...run, '2026-01-08'], null, at(2026, 1, 8)).days, 1);
+});
+
+test('a streak that ended welcomes the learner back', () => {
+    const s = state([at(2026, 1, 1), at(2026, 1, 2), at(2026, 1, 3)], { bestStreak: 8 });
+    const status = getStreakStatus(s, at(2026, 1, 9));
+    assert.equal(status.days, 0);
+    assert.equal(status.welcomeBack, true);
+    assert.equal(status.previousStreak, 3);
+    assert.equal(status.best, 8);
+});
+
+test('logged days count only once their goal was met', () => {
+    const s = state([at(2026, 1, 1)], {
+        log: {
+            '2026-01-01': { minutes: 2, lessons: 1, met: false },
+            '2026-01-02': { minutes: 12, lessons: 2, met: true }
+        }
+    });
+    assert.deepEqual(getStreakDays(s), ['2026-01-02']);
+});